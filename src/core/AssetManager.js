@@ -43,13 +43,8 @@ class AssetManager {
      * Setup asset type mappings
      */
     setupAssetTypes() {
-        // 3D Models
-        this.assetTypes.set('gltf', 'model');
-        this.assetTypes.set('glb', 'model');
-        this.assetTypes.set('obj', 'model');
-        this.assetTypes.set('fbx', 'model');
-        this.assetTypes.set('dae', 'model');
-        this.assetTypes.set('3ds', 'model');
+        // 3D Models: the formats SceneManager can parse
+        Object.keys(SceneManager.ModelLoaders).forEach(extension => this.assetTypes.set(extension, 'model'));
         
         // Textures
         this.assetTypes.set('jpg', 'texture');
@@ -86,42 +81,30 @@ class AssetManager {
      * Setup asset loaders
      */
     setupLoaders() {
-        // GLTF/GLB Loader
+        // Model Loader: SceneManager parses every format it can import (see SceneManager.ModelLoaders)
         this.loaders.set('model', async (url, options = {}) => {
-            const loader = new THREE.GLTFLoader();
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
             
-            return new Promise((resolve, reject) => {
-                loader.load(
-                    url,
-                    (gltf) => {
-                        const asset = {
-                            type: 'model',
-                            url: url,
-                            data: gltf,
-                            scene: gltf.scene,
-                            animations: gltf.animations,
-                            cameras: gltf.cameras,
-                            metadata: {
-                                triangles: this.countTriangles(gltf.scene),
-                                materials: this.extractMaterials(gltf.scene),
-                                textures: this.extractTextures(gltf.scene)
-                            }
-                        };
-                        resolve(asset);
-                    },
-                    (progress) => {
-                        this.eventBus.emit('asset:loading-progress', {
-                            url,
-                            loaded: progress.loaded,
-                            total: progress.total,
-                            progress: progress.loaded / progress.total
-                        });
-                    },
-                    (error) => {
-                        reject(new Error(`Failed to load model: ${error.message}`));
-                    }
-                );
-            });
+            const sceneManager = EditorCore.getInstance().sceneManager;
+            const { model, gltf, animations } = await sceneManager.parseModelSource(
+                await response.arrayBuffer(), options.fileName || url, options.resources || []);
+            
+            return {
+                type: 'model',
+                url: url,
+                data: gltf || { scene: model, animations: animations || [] },
+                scene: model,
+                animations: animations || [],
+                cameras: gltf ? gltf.cameras : [],
+                metadata: {
+                    triangles: this.countTriangles(model),
+                    materials: this.extractMaterials(model),
+                    textures: this.extractTextures(model)
+                }
+            };
         });
 
         // Texture Loader
@@ -202,9 +185,11 @@ class AssetManager {
                     type: 'script',
                     url: url,
                     data: scriptCode,
+                    category: 'scripts',
+                    tags: ['script'],
                     metadata: {
                         size: scriptCode.length,
-                        language: url.endsWith('.ts') ? 'typescript' : 'javascript'
+                        language: (options.fileName || url).endsWith('.ts') ? 'typescript' : 'javascript'
                     }
                 };
                 
@@ -354,6 +339,9 @@ class AssetManager {
 
     /**
      * Load an asset from URL
+     * @param {string} url - Asset URL
+     * @param {Object} [options] - Loader options. `fileName` names blob URLs for type
+     *   detection and `assetId` registers the asset under a fixed ID
      */
     async loadAsset(url, options = {}) {
         // Check cache first
@@ -366,8 +354,8 @@ class AssetManager {
             return this.loadingPromises.get(url);
         }
 
-        // Determine asset type
-        const extension = this.getFileExtension(url).toLowerCase();
+        // Determine asset type (blob URLs carry no extension, so prefer the file name)
+        const extension = this.getFileExtension(options.fileName || url).toLowerCase();
         const assetType = this.assetTypes.get(extension);
         
         if (!assetType) {
@@ -391,7 +379,7 @@ class AssetManager {
             this.assetCache.set(url, asset);
             
             // Generate asset ID and register
-            const assetId = this.generateAssetId(url);
+            const assetId = options.assetId || this.generateAssetId(options.fileName || url);
             this.registerAsset(assetId, asset);
             
             // Emit event
@@ -524,6 +512,7 @@ class AssetManager {
      */
     async importFile(file) {
         const url = URL.createObjectURL(file);
+        const buffer = await file.arrayBuffer();
         
         try {
             const asset = await this.loadAsset(url, {
@@ -533,10 +522,14 @@ class AssetManager {
             });
             
             // Update asset with file info
+            asset.name = asset.name || file.name;
             asset.fileName = file.name;
             asset.fileSize = file.size;
             asset.imported = true;
             
+            // Keep the original file so it can be embedded in project bundles
+            asset.source = { fileName: file.name, buffer };
+            
             this.eventBus.emit(EventBus.Events.ASSET_IMPORTED, {
                 file: file.name,
                 asset: asset
@@ -549,6 +542,43 @@ class AssetManager {
         }
     }
 
+    /**
+     * Get imported assets whose original files can be embedded in a project bundle
+     * @returns {Array<Object>} Assets with a `source` file
+     */
+    getEmbeddableAssets() {
+        return this.getAllAssets().filter(asset => asset.source && !(asset.metadata && asset.metadata.builtin));
+    }
+
+    /**
+     * Restore an asset embedded in a project bundle
+     * @param {Object} entry - Asset entry from the bundle manifest
+     * @param {ArrayBuffer} buffer - Original file contents
+     * @returns {Promise<Object>} The loaded asset
+     */
+    async importEmbeddedAsset(entry, buffer) {
+        const url = URL.createObjectURL(new Blob([buffer]));
+        
+        try {
+            // IDs end up in the editor's markup; an invalid one is replaced
+            const asset = await this.loadAsset(url, {
+                fileName: entry.fileName,
+                assetId: AssetManager.ID_PATTERN.test(entry.id) ? entry.id : undefined
+            });
+            
+            asset.name = entry.name || entry.fileName;
+            asset.fileName = entry.fileName;
+            asset.fileSize = buffer.byteLength;
+            asset.imported = true;
+            asset.source = { fileName: entry.fileName, buffer };
+            
+            return asset;
+            
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+
     /**
      * Delete an asset
      */
@@ -633,7 +663,7 @@ class AssetManager {
      */
     generateAssetId(url) {
         const fileName = url.split('/').pop().split('?')[0];
-        const baseName = fileName.split('.')[0];
+        const baseName = fileName.split('.')[0].replace(/[^\w-]/g, '_') || 'asset';
         const timestamp = Date.now();
         return `${baseName}_${timestamp}`;
     }
@@ -707,6 +737,14 @@ class AssetManager {
         return Array.from(this.assets.values());
     }
 
+    /**
+     * Whether a texture (or other resource) is the data of an asset. Objects
+     * using it share it, so it is only disposed with the asset.
+     */
+    isAssetData(resource) {
+        return this.getAllAssets().some(asset => asset.data === resource);
+    }
+
     /**
      * Get all categories
      */
@@ -781,6 +819,9 @@ class AssetManager {
     }
 }
 
+// Form of asset IDs ('script_1712345678901'); IDs from project files must match it
+AssetManager.ID_PATTERN = /^[\w-]+$/;
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = AssetManager;
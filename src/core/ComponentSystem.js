@@ -8,6 +8,7 @@ class ComponentSystem {
         
         // Component registry
         this.componentTypes = new Map(); // Map of component name to component class
+        this.componentSchemas = new Map(); // Map of component name to normalized property schema
         this.entityComponents = new Map(); // Map of entity ID to Map of component instances
         
         // Script system
@@ -16,12 +17,19 @@ class ComponentSystem {
         this.scriptStartTime = 0; // Time when scripts started
         this.scriptPauseTime = 0; // Time when scripts were paused
         this.totalPausedTime = 0; // Total time scripts have been paused
+        this.scriptFrame = null; // Snapshot sandboxed scripts see this frame, see getScriptFrame()
+        this.fixedSteps = 0; // Physics steps taken this frame; scripts run fixedUpdate as often
+        this.pointerTarget = null; // Object under the mouse pointer in play mode
+        this.pointerPressed = null; // Object the left mouse button went down on
         
         // Component update system
         this.updateableComponents = new Set(); // Components that need regular updates
         this.isUpdating = false;
         this.updateInterval = null;
         
+        // Rigidbody and collider simulation in play mode
+        this.physics = new PhysicsSystem(this);
+        
         this.init();
     }
 
@@ -43,232 +51,207 @@ class ComponentSystem {
 
         // Script Component
         this.registerComponent('Script', class Script {
+            // An entity can run several scripts
+            static get allowMultiple() {
+                return true;
+            }
+            
+            static get schema() {
+                return {
+                    scriptName: { type: 'string', label: 'Script Name', default: 'New Script' },
+                    // A script asset takes the place of the inline code below
+                    scriptAsset: { type: 'asset', assetType: 'script', label: 'Script Asset', default: '' },
+                    enabled: { type: 'boolean', default: true },
+                    scriptCode: {
+                        type: 'text',
+                        label: 'Script Code',
+                        rows: 10,
+                        default: '// New script\nfunction start() {\n    console.log("Script started");\n}\n\nfunction update() {\n    // Update logic here\n}'
+                    }
+                };
+            }
+            
             constructor(entity, data = {}) {
                 this.entity = entity;
                 this.scriptName = data.scriptName || '';
                 this.scriptCode = data.scriptCode || '';
-                this.scriptInstance = null;
+                this.scriptAsset = data.scriptAsset || '';
+                this.sandbox = null; // ScriptSandbox running the code while the scene plays
+                this.started = false; // Whether start has run in the current sandbox
                 this.enabled = data.enabled !== undefined ? data.enabled : true;
                 this.variables = data.variables || {};
                 
-                if (this.scriptCode || this.scriptName) {
-                    this.compileScript();
+                if (this.scriptCode || this.scriptName || this.scriptAsset) {
+                    this.reloadScript();
                 }
             }
             
             setScript(scriptName, scriptCode) {
                 this.scriptName = scriptName;
                 this.scriptCode = scriptCode;
-                this.compileScript();
+                this.reloadScript();
             }
             
-            compileScript() {
-                try {
-                    // Create a safe execution context
-                    const context = this.createScriptContext();
-                    
-                    // Compile the script
-                    const scriptFunction = new Function('context', `
-                        with(context) {
-                            ${this.scriptCode}
-                        }
-                        // Extract functions from the global scope and assign them to context
-                        if (typeof start === 'function') context.start = start;
-                        if (typeof update === 'function') context.update = update;
-                        if (typeof onDestroy === 'function') context.onDestroy = onDestroy;
-                    `);
-                    
-                    // Create script instance
-                    this.scriptInstance = {
-                        context: context,
-                        execute: scriptFunction,
-                        start: null,
-                        update: null,
-                        onDestroy: null
-                    };
-                    
-                    // Execute the script to define methods
-                    scriptFunction.call(this.scriptInstance, context);
-                    
-                    // Extract functions from context
-                    if (typeof context.start === 'function') {
-                        this.scriptInstance.start = context.start;
+            onPropertyChanged(property) {
+                // Reload when the code (or the name it runs under) changes
+                if (property === 'scriptCode' || property === 'scriptName' || property === 'scriptAsset') {
+                    this.reloadScript();
+                } else if (property === 'enabled' && this.sandbox) {
+                    if (this.enabled) {
+                        this.sandbox.call('onEnable');
+                        this.start();
+                    } else {
+                        this.sandbox.call('onDisable');
+                    }
+                } else if (property.startsWith('variables.') && this.sandbox) {
+                    // A running script gets the new value of a variable without reloading
+                    const name = property.slice('variables.'.length);
+                    this.sandbox.setVariable(name, this.getVariables()[name]);
+                }
+            }
+            
+            /**
+             * The public variables the code declares (see ComponentSystem.parseScriptVariables),
+             * shown in the inspector as properties named `variables.<name>`
+             */
+            getInstanceSchema() {
+                const code = this.getCode();
+                if (this.variableSchemaCode !== code) {
+                    this.variableSchemaCode = code;
+                    this.variableSchema = ComponentSystem.getInstance().parseScriptVariables(code);
+                }
+                return this.variableSchema;
+            }
+            
+            /**
+             * Variables as the script gets them: declared variables that have no
+             * value yet get their default, and object variables become references
+             * the sandbox turns into object proxies
+             * @param {Object} [values] - Values to start from, the saved ones by default
+             */
+            getVariables(values = this.variables) {
+                const variables = Object.assign({}, values);
+                this.getInstanceSchema().forEach(field => {
+                    const name = field.name.slice('variables.'.length);
+                    let value = variables[name];
+                    if (value === undefined) {
+                        value = ComponentSystem.copyDefault(field.default);
                     }
-                    if (typeof context.update === 'function') {
-                        this.scriptInstance.update = context.update;
+                    if (field.type === 'object' && typeof value === 'string') {
+                        value = value ? { __object: value } : null;
                     }
-                    if (typeof context.onDestroy === 'function') {
-                        this.scriptInstance.onDestroy = context.onDestroy;
+                    variables[name] = value;
+                });
+                return variables;
+            }
+            
+            /**
+             * The code to run: the script asset's when one is set, otherwise the inline code
+             */
+            getCode() {
+                if (this.scriptAsset) {
+                    const asset = EditorCore.getInstance().scriptManager.getScript(this.scriptAsset);
+                    if (asset) {
+                        return asset.data;
                     }
-                    
-                    console.log(`Script compiled successfully for entity ${this.entity}`);
-                    
-                } catch (error) {
-                    console.error(`Error compiling script for entity ${this.entity}:`, error);
+                    console.warn(`Script asset ${this.scriptAsset} of entity ${this.entity} is missing, running its inline code`);
                 }
+                return this.scriptCode;
             }
             
-            createScriptContext() {
+            /**
+             * Scripts only run in play mode: a change while the scene plays replaces
+             * the running sandbox with one running the new code, keeping the values
+             * its variables had
+             */
+            reloadScript() {
                 const editor = EditorCore.getInstance();
-                const entityId = this.entity;
+                if (editor.editorMode === 'edit') return;
                 
-                return {
-                    // Entity reference
-                    entity: entityId,
-                    
-                    // Component access
-                    getComponent: (componentName) => {
-                        return ComponentSystem.getInstance().getComponent(entityId, componentName);
-                    },
-                    
-                    addComponent: (componentName, data) => {
-                        return ComponentSystem.getInstance().addComponent(entityId, componentName, data);
-                    },
-                    
-                    removeComponent: (componentName) => {
-                        return ComponentSystem.getInstance().removeComponent(entityId, componentName);
-                    },
-                    
-                    // Scene access
-                    findObject: (name) => {
-                        if (typeof name === 'string') {
-                            return Array.from(editor.sceneManager.objects.values())
-                                .find(obj => obj.name === name);
-                        } else {
-                            // If name is actually an entity ID
-                            return editor.sceneManager.objects.get(name);
-                        }
-                    },
-                    
-                    // Get current object
-                    gameObject: editor.sceneManager.objects.get(entityId),
-                    
-                    // Get this object specifically
-                    this: {
-                        gameObject: editor.sceneManager.objects.get(entityId)
-                    },
-                    
-                    createObject: (type, options) => {
-                        return editor.createObject(type, options);
-                    },
-                    
-                    destroyObject: (id) => {
-                        return editor.sceneManager.removeObject(id);
-                    },
-                    
-                    // Event system
-                    on: (event, callback) => {
-                        return editor.eventBus.on(event, callback);
-                    },
-                    
-                    emit: (event, data) => {
-                        return editor.eventBus.emit(event, data);
-                    },
-                    
-                    // Utility functions
-                    log: console.log,
-                    warn: console.warn,
-                    error: console.error,
-                    
-                    // Math utilities
-                    Math: Math,
-                    Vector3: THREE.Vector3,
-                    
-                    // Time - will be updated in update loop
-                    time: {
-                        deltaTime: 0.016,
-                        time: 0,
-                        timeScale: 1,
-                        getTime: () => {
-                            const componentSystem = ComponentSystem.getInstance();
-                            if (componentSystem) {
-                                return componentSystem.scriptStartTime ? 
-                                    (performance.now() - componentSystem.scriptStartTime - componentSystem.totalPausedTime) / 1000 : 0;
-                            }
-                            return 0;
-                        }
-                    },
-                    
-                    // Input (basic)
-                    input: {
-                        getKey: (key) => {
-                            // Simple key state tracking
-                            return false; // TODO: Implement proper input system
-                        }
-                    },
-                    
-                    // Variables
-                    variables: this.variables,
-                    
-                    // Script lifecycle methods (to be defined by user script)
-                    start: null,
-                    update: null,
-                    onDestroy: null
-                };
+                this.launch(this.sandbox ? this.sandbox.variables : this.variables);
+                this.awake();
+                this.start();
             }
             
-            update(deltaTime) {
-                if (!this.enabled || !this.scriptInstance) {
-                    // console.log(`Script update skipped - enabled: ${this.enabled}, hasInstance: ${!!this.scriptInstance}`);
-                    return;
+            onPlay() {
+                this.launch();
+            }
+            
+            /**
+             * Load the code into a new sandbox, stopping the one running before
+             * @param {Object} [variables] - Starting values of the variables, the saved ones by default
+             */
+            launch(variables = this.variables) {
+                this.stopSandbox();
+                this.started = false;
+                if (this.getCode()) {
+                    try {
+                        this.sandbox = new ScriptSandbox(this, this.getVariables(variables));
+                    } catch (error) {
+                        console.error(`Script '${this.scriptName || 'Script'}' on ${this.entity} was not started:`, error.message);
+                    }
+                }
+            }
+            
+            /**
+             * Run awake, then onEnable if the script is enabled
+             */
+            awake() {
+                if (this.sandbox) {
+                    this.sandbox.call('awake');
+                    if (this.enabled) {
+                        this.sandbox.call('onEnable');
+                    }
+                }
+            }
+            
+            /**
+             * Run start, once, when the script is first enabled
+             */
+            start() {
+                if (this.sandbox && this.enabled && !this.started) {
+                    this.started = true;
+                    this.sandbox.call('start');
                 }
+            }
+            
+            update(deltaTime) {
+                if (!this.enabled || !this.sandbox) return;
                 
                 // Only update if scene is in play mode
                 const editor = EditorCore.getInstance();
-                if (editor.editorMode !== 'play') {
-                    // console.log(`Script update skipped - editor mode: ${editor.editorMode}`);
-                    return;
-                }
-                
-                // console.log(`Script update called for entity ${this.entity}, deltaTime: ${deltaTime}`);
+                if (editor.editorMode !== 'play') return;
                 
-                // Update time in context
-                if (this.scriptInstance.context) {
-                    this.scriptInstance.context.time.deltaTime = deltaTime;
-                    this.scriptInstance.context.time.time = this.scriptInstance.context.time.getTime();
-                    
-                    // Update gameObject reference in case it changed
-                    const currentObject = editor.sceneManager.objects.get(this.entity);
-                    if (currentObject) {
-                        this.scriptInstance.context.gameObject = currentObject;
-                        this.scriptInstance.context.this.gameObject = currentObject;
-                        // console.log(`Updated gameObject reference for entity ${this.entity}:`, currentObject);
-                        // console.log(`Object mesh position:`, currentObject.mesh.position);
-                        // console.log(`Object mesh rotation:`, currentObject.mesh.rotation);
-                    } else {
-                        console.warn(`Script update: Could not find object for entity ${this.entity}`);
-                        return;
-                    }
-                }
-                
-                // Call update method if it exists
-                if (typeof this.scriptInstance.update === 'function') {
-                    try {
-                        // console.log(`Calling update() method for entity ${this.entity}`);
-                        this.scriptInstance.update();
-                        // console.log(`Update() method completed for entity ${this.entity}`);
-                    } catch (error) {
-                        console.error(`Error in script update for entity ${this.entity}:`, error);
+                const componentSystem = ComponentSystem.getInstance();
+                this.sandbox.frame(deltaTime, componentSystem.getScriptFrame());
+            }
+            
+            callHook(hookName, ...args) {
+                if (!this.enabled || !this.sandbox) return;
+                this.sandbox.call(hookName, args);
+            }
+            
+            /**
+             * Run the script's onDisable and onDestroy and shut its sandbox down
+             */
+            stopSandbox() {
+                if (this.sandbox) {
+                    if (this.enabled) {
+                        this.sandbox.call('onDisable');
                     }
-                } else {
-                    // console.warn(`Script for entity ${this.entity} has no update() method`);
+                    this.sandbox.stop();
+                    this.sandbox = null;
                 }
             }
             
             destroy() {
-                if (this.scriptInstance && typeof this.scriptInstance.onDestroy === 'function') {
-                    try {
-                        this.scriptInstance.onDestroy();
-                    } catch (error) {
-                        console.error(`Error in script destroy for entity ${this.entity}:`, error);
-                    }
-                }
-                this.scriptInstance = null;
+                this.stopSandbox();
             }
             
             serialize() {
                 return {
                     scriptName: this.scriptName,
+                    scriptAsset: this.scriptAsset,
                     scriptCode: this.scriptCode,
                     enabled: this.enabled,
                     variables: this.variables
@@ -278,6 +261,20 @@ class ComponentSystem {
 
         // Collider Component
         this.registerComponent('Collider', class Collider {
+            static get schema() {
+                return {
+                    type: { type: 'enum', options: [
+                        { value: 'box', label: 'Box' },
+                        { value: 'sphere', label: 'Sphere' },
+                        { value: 'mesh', label: 'Mesh' }
+                    ], default: 'box' },
+                    size: { type: 'vector', min: 0.001, step: 0.1, default: { x: 1, y: 1, z: 1 } },
+                    offset: { type: 'vector', step: 0.1, default: { x: 0, y: 0, z: 0 } },
+                    isTrigger: { type: 'boolean', default: false },
+                    enabled: { type: 'boolean', default: true }
+                };
+            }
+            
             constructor(entity, data = {}) {
                 this.entity = entity;
                 this.type = data.type || 'box'; // box, sphere, mesh
@@ -293,21 +290,11 @@ class ComponentSystem {
                 const object = this.getSceneObject();
                 if (!object || !object.mesh) return;
                 
-                // Create visual representation of collider
-                let geometry;
-                switch (this.type) {
-                    case 'box':
-                        geometry = new THREE.BoxGeometry(this.size.x, this.size.y, this.size.z);
-                        break;
-                    case 'sphere':
-                        geometry = new THREE.SphereGeometry(this.size.x / 2);
-                        break;
-                    case 'mesh':
-                        geometry = object.mesh.geometry;
-                        break;
-                    default:
-                        geometry = new THREE.BoxGeometry(this.size.x, this.size.y, this.size.z);
-                }
+                // Create visual representation of collider. Unit shapes are
+                // scaled to the collider's world shape in update().
+                const geometry = this.type === 'sphere'
+                    ? new THREE.SphereGeometry(1)
+                    : new THREE.BoxGeometry(1, 1, 1);
                 
                 const material = new THREE.MeshBasicMaterial({
                     color: this.isTrigger ? 0x00ff00 : 0xff0000,
@@ -317,30 +304,109 @@ class ComponentSystem {
                 });
                 
                 this.colliderMesh = new THREE.Mesh(geometry, material);
-                this.colliderMesh.position.copy(object.mesh.position);
-                this.colliderMesh.position.add(new THREE.Vector3(this.offset.x, this.offset.y, this.offset.z));
-                this.colliderMesh.visible = this.enabled;
+                this.colliderMesh.userData.editorHelper = true;
                 
                 // Add to scene
                 const editor = EditorCore.getInstance();
                 editor.sceneManager.scene.add(this.colliderMesh);
+                this.update();
             }
             
             update() {
-                if (this.colliderMesh) {
-                    const object = this.getSceneObject();
-                    if (object && object.mesh) {
-                        this.colliderMesh.position.copy(object.mesh.position);
-                        this.colliderMesh.position.add(new THREE.Vector3(this.offset.x, this.offset.y, this.offset.z));
-                        this.colliderMesh.visible = this.enabled;
+                if (!this.colliderMesh) return;
+                
+                const shape = this.getWorldShape();
+                if (!shape) return;
+                
+                this.colliderMesh.position.copy(shape.center);
+                if (shape.type === 'sphere') {
+                    this.colliderMesh.quaternion.identity();
+                    this.colliderMesh.scale.setScalar(Math.max(shape.radius, 1e-4));
+                } else {
+                    this.colliderMesh.quaternion.copy(shape.quaternion);
+                    this.colliderMesh.scale.copy(shape.halfSize).multiplyScalar(2).max(new THREE.Vector3(1e-4, 1e-4, 1e-4));
+                }
+                this.colliderMesh.visible = this.enabled;
+            }
+            
+            /**
+             * The collider's shape in world space, following the object's
+             * position, rotation and scale. Boxes are oriented boxes; mesh
+             * colliders use the bounds of the object's mesh.
+             * @returns {Object|null} `{ type: 'sphere', center, radius }` or
+             *   `{ type: 'box', center, quaternion, halfSize }`
+             */
+            getWorldShape() {
+                const object = this.getSceneObject();
+                if (!object || !object.mesh) return null;
+                
+                const position = new THREE.Vector3();
+                const quaternion = new THREE.Quaternion();
+                const scale = new THREE.Vector3();
+                object.mesh.updateWorldMatrix(true, false);
+                object.mesh.matrixWorld.decompose(position, quaternion, scale);
+                scale.set(Math.abs(scale.x), Math.abs(scale.y), Math.abs(scale.z));
+                
+                const offset = new THREE.Vector3(this.offset.x, this.offset.y, this.offset.z);
+                
+                if (this.type === 'sphere') {
+                    return {
+                        type: 'sphere',
+                        center: position.add(offset),
+                        radius: this.size.x / 2 * Math.max(scale.x, scale.y, scale.z)
+                    };
+                }
+                
+                const center = new THREE.Vector3();
+                const halfSize = new THREE.Vector3(this.size.x / 2, this.size.y / 2, this.size.z / 2);
+                if (this.type === 'mesh') {
+                    const bounds = this.getLocalBounds(object);
+                    if (bounds) {
+                        bounds.getCenter(center);
+                        bounds.getSize(halfSize).multiplyScalar(0.5);
+                    }
+                }
+                
+                return {
+                    type: 'box',
+                    center: center.multiply(scale).applyQuaternion(quaternion).add(position).add(offset),
+                    quaternion,
+                    halfSize: halfSize.multiply(scale)
+                };
+            }
+            
+            /**
+             * Bounds of the object's mesh and its parts (but not child objects) in the object's own space
+             */
+            getLocalBounds(object) {
+                const editor = EditorCore.getInstance();
+                const mesh = object.mesh;
+                const toLocal = new THREE.Matrix4().copy(mesh.matrixWorld).invert();
+                const bounds = new THREE.Box3();
+                
+                editor.sceneManager.traverseObjectMesh(object, (node) => {
+                    if (!node.geometry || node.userData.editorHelper || node.userData.componentOwned) return;
+                    
+                    if (!node.geometry.boundingBox) {
+                        node.geometry.computeBoundingBox();
                     }
+                    const nodeToLocal = new THREE.Matrix4().multiplyMatrices(toLocal, node.matrixWorld);
+                    bounds.union(node.geometry.boundingBox.clone().applyMatrix4(nodeToLocal));
+                });
+                
+                return bounds.isEmpty() ? null : bounds;
+            }
+            
+            onPropertyChanged(property) {
+                // Rebuild the collider shape; enabled is picked up by update()
+                if (property !== 'enabled') {
+                    this.destroy();
+                    this.createCollider();
                 }
             }
             
             checkCollision(other) {
-                // Basic collision detection
-                // In a real implementation, you'd use a physics engine
-                return false;
+                return !!(other && PhysicsSystem.collide(this.getWorldShape(), other.getWorldShape()));
             }
             
             getSceneObject() {
@@ -369,8 +435,98 @@ class ComponentSystem {
             }
         });
 
+        // Rigidbody Component - moves its object under gravity and forces in play mode
+        this.registerComponent('Rigidbody', class Rigidbody {
+            static get schema() {
+                return {
+                    mass: { type: 'number', min: 0.001, step: 0.1, default: 1 },
+                    drag: { type: 'number', min: 0, step: 0.05, default: 0 },
+                    useGravity: { type: 'boolean', default: true },
+                    isKinematic: { type: 'boolean', default: false }
+                };
+            }
+            
+            // What scripts can call, and runtime state they can read besides the schema
+            static get scriptApi() {
+                return { methods: ['addForce', 'addImpulse', 'setVelocity'], state: ['velocity'] };
+            }
+            
+            constructor(entity, data = {}) {
+                this.entity = entity;
+                this.mass = data.mass !== undefined ? data.mass : 1;
+                this.drag = data.drag !== undefined ? data.drag : 0;
+                this.useGravity = data.useGravity !== undefined ? data.useGravity : true;
+                this.isKinematic = data.isKinematic || false; // Moved by scripts only, but still pushes other bodies
+                
+                this.velocity = new THREE.Vector3();
+                this.force = new THREE.Vector3(); // Accumulated until the next physics step
+            }
+            
+            isDynamic() {
+                return !this.isKinematic && this.mass > 0;
+            }
+            
+            addForce(force) {
+                this.force.add(force);
+            }
+            
+            addImpulse(impulse) {
+                if (this.isDynamic()) {
+                    this.velocity.addScaledVector(impulse, 1 / this.mass);
+                }
+            }
+            
+            setVelocity(velocity) {
+                this.velocity.copy(velocity);
+            }
+            
+            onPlay() {
+                this.velocity.set(0, 0, 0);
+                this.force.set(0, 0, 0);
+            }
+            
+            onStop() {
+                this.velocity.set(0, 0, 0);
+                this.force.set(0, 0, 0);
+            }
+            
+            serialize() {
+                return {
+                    mass: this.mass,
+                    drag: this.drag,
+                    useGravity: this.useGravity,
+                    isKinematic: this.isKinematic
+                };
+            }
+        });
+
         // Light Component
         this.registerComponent('Light', class Light {
+            static get schema() {
+                return {
+                    lightType: { type: 'enum', label: 'Type', options: [
+                        { value: 'directional', label: 'Directional' },
+                        { value: 'point', label: 'Point' },
+                        { value: 'spot', label: 'Spot' },
+                        { value: 'ambient', label: 'Ambient' }
+                    ], default: 'point' },
+                    color: { type: 'color', default: 0xffffff },
+                    intensity: { type: 'number', min: 0, max: 5, step: 0.1, slider: true, default: 1 },
+                    distance: { type: 'number', min: 0, step: 0.5, default: 0 },
+                    decay: { type: 'number', min: 0, step: 0.1, default: 2 },
+                    angle: { type: 'number', min: 0, max: Math.PI / 2, step: 0.01, slider: true, default: Math.PI / 3 },
+                    penumbra: { type: 'number', min: 0, max: 1, step: 0.05, slider: true, default: 0 },
+                    castShadow: { type: 'boolean', default: true }
+                };
+            }
+            
+            static get scriptApi() {
+                return {
+                    methods: ['setColor', 'setIntensity', 'setType', 'setDistance', 'setDecay', 'setAngle', 'setPenumbra', 'setCastShadow'],
+                    state: []
+                };
+            }
+            
             constructor(entity, data = {}) {
                 this.entity = entity;
                 this.lightType = data.lightType || data.type || 'point'; // directional, point, spot, ambient
@@ -388,6 +544,7 @@ class ComponentSystem {
                     // Object already has a light (created by SceneManager), just sync properties
                     this.light = sceneObject.light;
                     this.helper = sceneObject.helper;
+                    this.sceneObject = sceneObject;
                     this.syncWithExistingLight();
                 } else {
                     // Create new light (for objects that weren't created as lights)
@@ -468,6 +625,11 @@ class ComponentSystem {
                         light.castShadow = this.castShadow;
                 }
                 
+                // The light is recreated from component data, so it is not part of the object's saved mesh
+                light.userData.componentOwned = true;
+                if (light.target) {
+                    light.target.userData.componentOwned = true;
+                }
                 this.light = light;
                 
                 // Create helper
@@ -495,6 +657,7 @@ class ComponentSystem {
                         // Store references in the scene object
                         object.light = light;
                         object.helper = this.helper;
+                        this.sceneObject = object;
                     } else {
                         // Fallback: add directly to scene
                         editor.sceneManager.scene.add(light);
@@ -517,6 +680,10 @@ class ComponentSystem {
                         break;
                     // Ambient lights don't have helpers
                 }
+                
+                if (this.helper) {
+                    this.helper.userData.editorHelper = true;
+                }
             }
             
             update() {
@@ -561,19 +728,35 @@ class ComponentSystem {
             setType(lightType) {
                 this.lightType = lightType;
                 // Remove old light first
-                if (this.light) {
-                    const editor = EditorCore.getInstance();
-                    const object = editor.sceneManager.objects.get(this.entity);
-                    if (object && object.mesh) {
-                        object.mesh.remove(this.light);
-                        if (this.helper) {
-                            object.mesh.remove(this.helper);
-                        }
-                    } else {
-                        editor.sceneManager.scene.remove(this.light);
+                this.detachLight();
+                this.createLight(); // Recreate light with new type
+            }
+            
+            onPropertyChanged(property) {
+                if (property === 'lightType') {
+                    this.setType(this.lightType);
+                } else {
+                    this.update();
+                }
+            }
+            
+            /**
+             * Remove the light, its target and helper from wherever they are attached.
+             * The object may already have left the scene, so this does not look it up by ID.
+             */
+            detachLight() {
+                if (!this.light) return;
+                
+                [this.light, this.light.target, this.helper].forEach(child => {
+                    if (child && child.parent) {
+                        child.parent.remove(child);
                     }
+                });
+                
+                if (this.sceneObject && this.sceneObject.light === this.light) {
+                    delete this.sceneObject.light;
+                    delete this.sceneObject.helper;
                 }
-                this.createLight(); // Recreate light with new type
             }
             
             setDistance(distance) {
@@ -623,19 +806,7 @@ class ComponentSystem {
             
             destroy() {
                 if (this.light) {
-                    const editor = EditorCore.getInstance();
-                    const object = editor.sceneManager.objects.get(this.entity);
-                    if (object && object.mesh) {
-                        object.mesh.remove(this.light);
-                        if (this.helper) {
-                            object.mesh.remove(this.helper);
-                        }
-                        if (this.light.target) {
-                            object.mesh.remove(this.light.target);
-                        }
-                    } else {
-                        editor.sceneManager.scene.remove(this.light);
-                    }
+                    this.detachLight();
                     this.light = null;
                     this.helper = null;
                 }
@@ -655,65 +826,278 @@ class ComponentSystem {
             }
         });
 
-        console.log('Built-in components registered');
-    }
-
-    /**
-     * Register built-in script templates
-     */
-    registerBuiltinScripts() {
-        // Rotator script
-        this.registerScriptTemplate('Rotator', `
-            // Rotator Script - Continuously rotates the object
-            var rotationSpeed = variables.rotationSpeed || 1;
-            var axis = variables.axis || 'y';
+        // Animator Component - plays the animation clips of imported models
+        this.registerComponent('Animator', class Animator {
+            static get schema() {
+                return {
+                    defaultClip: {
+                        type: 'enum',
+                        // The clips come from the model the animator is attached to
+                        options: (animator) => [{ value: '', label: 'First clip' }]
+                            .concat(animator ? animator.getClips().map(clip => clip.name) : []),
+                        default: ''
+                    },
+                    playOnStart: { type: 'boolean', default: true },
+                    loop: { type: 'boolean', default: true },
+                    speed: { type: 'number', min: 0, step: 0.1, default: 1 },
+                    crossFadeDuration: { type: 'number', label: 'Cross-fade (s)', min: 0, step: 0.05, default: 0.3 }
+                };
+            }
             
-            function start() {
-                log('Rotator script started for entity: ' + entity);
+            static get scriptApi() {
+                return {
+                    methods: ['play', 'crossFade', 'pause', 'resume', 'stop', 'setSpeed', 'setLoop'],
+                    state: ['currentClip', 'paused']
+                };
             }
             
-            function update() {
-                // Get the current object
-                var obj = gameObject;
-                if (obj && obj.mesh) {
-                    var rotationAmount = rotationSpeed * time.deltaTime;
-                    
-                    // Handle both single meshes and imported model groups
-                    var targetMesh = obj.mesh;
-                    if (obj.type === 'imported-model') {
-                        // For imported models, rotate the entire group
-                        targetMesh = obj.mesh;
-                    }
-                    
-                    switch(axis) {
-                        case 'x':
-                            targetMesh.rotation.x += rotationAmount;
-                            break;
-                        case 'y':
-                            targetMesh.rotation.y += rotationAmount;
-                            break;
-                        case 'z':
-                            targetMesh.rotation.z += rotationAmount;
-                            break;
-                    }
-                }
+            constructor(entity, data = {}) {
+                this.entity = entity;
+                this.defaultClip = data.defaultClip || '';
+                this.playOnStart = data.playOnStart !== undefined ? data.playOnStart : true;
+                this.loop = data.loop !== undefined ? data.loop : true;
+                this.speed = data.speed !== undefined ? data.speed : 1;
+                this.crossFadeDuration = data.crossFadeDuration !== undefined ? data.crossFadeDuration : 0.3;
+                
+                this.mixer = null;
+                this.actions = new Map(); // Map of clip name to AnimationAction
+                this.currentAction = null;
+                this.currentClip = null;
+                this.paused = false;
+                this.previewing = false; // Playing in edit mode from the inspector
+                
+                this.createMixer();
             }
-        `);
-
-        // Oscillator script
-        this.registerScriptTemplate('Oscillator', `
-            // Oscillator Script - Moves object back and forth
-            var amplitude = variables.amplitude || 2;
-            var frequency = variables.frequency || 1;
-            var axis = variables.axis || 'y';
-            var startPosition = null;
             
-            function start() {
-                // Get initial position from mesh
-                var obj = gameObject;
-                if (obj && obj.mesh) {
-                    // Handle both single meshes and imported model groups
-                    var targetMesh = obj.mesh;
+            createMixer() {
+                const object = this.getSceneObject();
+                if (!object || !object.mesh) return;
+                
+                this.mixer = new THREE.AnimationMixer(object.mesh);
+                this.mixer.timeScale = this.speed;
+            }
+            
+            getClips() {
+                const object = this.getSceneObject();
+                if (!object) return [];
+                
+                return object.animations ||
+                    (object.gltf && object.gltf.animations) ||
+                    (object.mesh && object.mesh.animations) ||
+                    [];
+            }
+            
+            getClipNames() {
+                return this.getClips().map(clip => clip.name);
+            }
+            
+            getAction(clipName) {
+                if (!this.mixer) return null;
+                
+                if (!this.actions.has(clipName)) {
+                    const clip = THREE.AnimationClip.findByName(this.getClips(), clipName);
+                    if (!clip) return null;
+                    this.actions.set(clipName, this.mixer.clipAction(clip));
+                }
+                return this.actions.get(clipName);
+            }
+            
+            /**
+             * Play a clip, cross-fading from the current one
+             * @param {string} [clipName] - Clip to play; defaults to the default clip or the first clip
+             * @param {Object} [options] - `loop` and `crossFade` (seconds) override the component settings
+             * @returns {THREE.AnimationAction|null} The playing action
+             */
+            play(clipName, options = {}) {
+                const name = clipName || this.defaultClip || this.getClipNames()[0];
+                const action = name ? this.getAction(name) : null;
+                if (!action) {
+                    console.warn(`Animator on entity ${this.entity}: clip '${name}' not found`);
+                    return null;
+                }
+                
+                const loop = options.loop !== undefined ? options.loop : this.loop;
+                action.setLoop(loop ? THREE.LoopRepeat : THREE.LoopOnce, Infinity);
+                action.clampWhenFinished = !loop;
+                action.enabled = true;
+                action.setEffectiveTimeScale(1);
+                action.setEffectiveWeight(1);
+                
+                const previous = this.currentAction;
+                const fade = options.crossFade !== undefined ? options.crossFade : this.crossFadeDuration;
+                action.reset().play();
+                if (previous && previous !== action) {
+                    if (fade > 0) {
+                        previous.crossFadeTo(action, fade, false);
+                    } else {
+                        previous.stop();
+                    }
+                }
+                
+                this.currentAction = action;
+                this.currentClip = name;
+                this.paused = false;
+                
+                const editor = EditorCore.getInstance();
+                this.previewing = editor.editorMode === 'edit';
+                
+                return action;
+            }
+            
+            crossFade(clipName, duration = this.crossFadeDuration) {
+                return this.play(clipName, { crossFade: duration });
+            }
+            
+            pause() {
+                this.paused = true;
+            }
+            
+            resume() {
+                this.paused = false;
+            }
+            
+            stop() {
+                if (this.mixer) {
+                    this.mixer.stopAllAction();
+                }
+                this.currentAction = null;
+                this.currentClip = null;
+                this.paused = false;
+                this.previewing = false;
+            }
+            
+            isPlaying(clipName) {
+                if (!this.currentAction || this.paused || !this.currentAction.isRunning()) return false;
+                return clipName === undefined || clipName === this.currentClip;
+            }
+            
+            setSpeed(speed) {
+                this.speed = speed;
+                if (this.mixer) {
+                    this.mixer.timeScale = speed;
+                }
+            }
+            
+            setLoop(loop) {
+                this.loop = loop;
+                if (this.currentAction) {
+                    this.currentAction.setLoop(loop ? THREE.LoopRepeat : THREE.LoopOnce, Infinity);
+                    this.currentAction.clampWhenFinished = !loop;
+                }
+            }
+            
+            onPlay() {
+                this.stop();
+                if (this.playOnStart && this.getClips().length > 0) {
+                    this.play();
+                }
+            }
+            
+            onStop() {
+                this.stop();
+            }
+            
+            update(deltaTime) {
+                if (!this.mixer || this.paused) return;
+                
+                // Advance in play mode, or while previewing a clip in edit mode
+                const editor = EditorCore.getInstance();
+                if (editor.editorMode === 'play' || (editor.editorMode === 'edit' && this.previewing)) {
+                    this.mixer.update(deltaTime);
+                }
+            }
+            
+            getSceneObject() {
+                const editor = EditorCore.getInstance();
+                return editor.sceneManager.objects.get(this.entity);
+            }
+            
+            destroy() {
+                if (this.mixer) {
+                    this.mixer.stopAllAction();
+                    this.mixer.uncacheRoot(this.mixer.getRoot());
+                    this.mixer = null;
+                }
+                this.actions.clear();
+                this.currentAction = null;
+            }
+            
+            serialize() {
+                return {
+                    defaultClip: this.defaultClip,
+                    playOnStart: this.playOnStart,
+                    loop: this.loop,
+                    speed: this.speed,
+                    crossFadeDuration: this.crossFadeDuration
+                };
+            }
+        });
+
+        console.log('Built-in components registered');
+    }
+
+    /**
+     * Register built-in script templates. They stay templates rather than
+     * script assets: loading one copies its code into a Script component, so
+     * they are never saved with a project, can't be deleted or edited by
+     * accident, and changing one in a new editor version leaves existing
+     * scenes alone. "Save as Asset" turns a loaded template into an asset.
+     */
+    registerBuiltinScripts() {
+        // Rotator script
+        this.registerScriptTemplate('Rotator', `
+            // Rotator Script - Continuously rotates the object
+            // @var rotationSpeed {"type": "number", "default": 1, "min": -10, "max": 10, "step": 0.1, "label": "Speed (rad/s)"}
+            // @var axis {"type": "enum", "options": ["x", "y", "z"], "default": "y"}
+            
+            function start() {
+                log('Rotator script started for entity: ' + entity);
+            }
+            
+            function update() {
+                var axis = variables.axis;
+                
+                // Get the current object
+                var obj = gameObject;
+                if (obj && obj.mesh) {
+                    var rotationAmount = variables.rotationSpeed * time.deltaTime;
+                    
+                    // Handle both single meshes and imported model groups
+                    var targetMesh = obj.mesh;
+                    if (obj.type === 'imported-model') {
+                        // For imported models, rotate the entire group
+                        targetMesh = obj.mesh;
+                    }
+                    
+                    switch(axis) {
+                        case 'x':
+                            targetMesh.rotation.x += rotationAmount;
+                            break;
+                        case 'y':
+                            targetMesh.rotation.y += rotationAmount;
+                            break;
+                        case 'z':
+                            targetMesh.rotation.z += rotationAmount;
+                            break;
+                    }
+                }
+            }
+        `);
+
+        // Oscillator script
+        this.registerScriptTemplate('Oscillator', `
+            // Oscillator Script - Moves object back and forth
+            // @var amplitude {"type": "number", "default": 2, "min": 0}
+            // @var frequency {"type": "number", "default": 1, "min": 0, "step": 0.1}
+            // @var axis {"type": "enum", "options": ["x", "y", "z"], "default": "y"}
+            var startPosition = null;
+            
+            function start() {
+                // Get initial position from mesh
+                var obj = gameObject;
+                if (obj && obj.mesh) {
+                    // Handle both single meshes and imported model groups
+                    var targetMesh = obj.mesh;
                     if (obj.type === 'imported-model') {
                         // For imported models, use the entire group
                         targetMesh = obj.mesh;
@@ -731,9 +1115,10 @@ class ComponentSystem {
             function update() {
                 if (!startPosition) return;
                 
+                var axis = variables.axis;
                 var obj = gameObject;
                 if (obj && obj.mesh) {
-                    var offset = Math.sin(time.time * frequency) * amplitude;
+                    var offset = Math.sin(time.time * variables.frequency) * variables.amplitude;
                     
                     // Handle both single meshes and imported model groups
                     var targetMesh = obj.mesh;
@@ -760,24 +1145,18 @@ class ComponentSystem {
         // Click Handler script
         this.registerScriptTemplate('ClickHandler', `
             // Click Handler Script - Responds to mouse clicks
-            var clickAction = variables.clickAction || 'log';
-            var message = variables.message || 'Object clicked!';
+            // @var clickAction {"type": "enum", "options": ["log", "hide", "destroy", "changeColor"], "default": "log"}
+            // @var message {"type": "string", "default": "Object clicked!"}
             
             function start() {
-                // Listen for object selection events
-                on('objectSelected', function(data) {
-                    if (data.id === entity) {
-                        handleClick();
-                    }
-                });
-                
                 log('Click Handler script started for entity: ' + entity);
             }
             
-            function handleClick() {
-                switch(clickAction) {
+            // Called when the object is clicked in play mode
+            function onPointerClick() {
+                switch(variables.clickAction) {
                     case 'log':
-                        log(message);
+                        log(variables.message);
                         break;
                     case 'hide':
                         var obj = gameObject;
@@ -795,9 +1174,8 @@ class ComponentSystem {
                         destroyObject(entity);
                         break;
                     case 'changeColor':
-                        var obj = gameObject;
-                        if (obj && obj.mesh && obj.mesh.material) {
-                            obj.mesh.material.color.setHex(Math.random() * 0xffffff);
+                        if (gameObject) {
+                            gameObject.setColor(Math.random() * 0xffffff);
                         }
                         break;
                 }
@@ -808,8 +1186,7 @@ class ComponentSystem {
         this.registerScriptTemplate('Simple Rotate', `
             // Simple Rotate Script
             // Makes the object rotate around its Y axis
-            
-            var rotationSpeed = 1.0; // degrees per second
+            // @var rotationSpeed {"type": "number", "default": 1, "label": "Speed (deg/s)"}
             
             function start() {
                 log('Simple rotate script started');
@@ -819,7 +1196,7 @@ class ComponentSystem {
                 var obj = gameObject;
                 if (obj && obj.mesh) {
                     // Rotate around Y axis
-                    obj.mesh.rotation.y += (rotationSpeed * Math.PI / 180) * time.deltaTime;
+                    obj.mesh.rotation.y += (variables.rotationSpeed * Math.PI / 180) * time.deltaTime;
                 }
             }
             
@@ -841,7 +1218,7 @@ class ComponentSystem {
                     log('Mesh position: ' + JSON.stringify(gameObject.mesh.position));
                     log('Mesh rotation: ' + JSON.stringify(gameObject.mesh.rotation));
                     if (gameObject.type === 'imported-model') {
-                        log('Imported model detected - mesh is a group with ' + gameObject.mesh.children.length + ' children');
+                        log('Imported model detected - mesh is a group');
                     }
                 }
             }
@@ -967,8 +1344,17 @@ class ComponentSystem {
         //     console.log('Play mode detected, updating scripts...');
         // }
         
+        // Scripts get a fresh snapshot of the scene each frame
+        this.scriptFrame = null;
+        this.fixedSteps = 0;
+        
         // Update script time tracking
         if (editor.editorMode === 'play') {
+            // Gamepads are polled and physics runs before scripts see the frame
+            editor.inputManager.beginFrame();
+            this.fixedSteps = this.physics.update(deltaTime);
+            this.updatePointer();
+            
             // Scripts are running - update all components including scripts
             this.entityComponents.forEach((components, entityId) => {
                 components.forEach((component, componentName) => {
@@ -980,11 +1366,14 @@ class ComponentSystem {
                     }
                 });
             });
+            
+            // Presses and releases only count for the frame they happened in
+            editor.inputManager.endFrame();
         } else if (editor.editorMode === 'pause') {
             // Scripts are paused - don't update script components but update others
             this.entityComponents.forEach((components, entityId) => {
-                components.forEach((component, componentName) => {
-                    if (componentName !== 'Script' && typeof component.update === 'function') {
+                components.forEach(component => {
+                    if (component.componentName !== 'Script' && typeof component.update === 'function') {
                         component.update(deltaTime);
                     }
                 });
@@ -992,8 +1381,8 @@ class ComponentSystem {
         } else {
             // Scripts are stopped - don't update script components but update others
             this.entityComponents.forEach((components, entityId) => {
-                components.forEach((component, componentName) => {
-                    if (componentName !== 'Script' && typeof component.update === 'function') {
+                components.forEach(component => {
+                    if (component.componentName !== 'Script' && typeof component.update === 'function') {
                         component.update(deltaTime);
                     }
                 });
@@ -1011,29 +1400,18 @@ class ComponentSystem {
         
         let scriptCount = 0;
         
-        // Call start() method on all script components
-        this.entityComponents.forEach((components, entityId) => {
-            const scriptComponent = components.get('Script');
-            if (scriptComponent && scriptComponent.scriptInstance) {
-                // Reset time context
-                if (scriptComponent.scriptInstance.context) {
-                    scriptComponent.scriptInstance.context.time.time = 0;
-                    scriptComponent.scriptInstance.context.time.deltaTime = 0;
-                }
-                
-                // Call start method
-                if (typeof scriptComponent.scriptInstance.start === 'function') {
-                    try {
-                        scriptComponent.scriptInstance.start();
-                        // console.log(`Started script for entity: ${entityId}`);
-                        scriptCount++;
-                    } catch (error) {
-                        console.error(`Error starting script for entity ${entityId}:`, error);
-                    }
-                } else {
-                    // console.warn(`Script for entity ${entityId} has no start() method`);
-                }
-            }
+        // Let components prepare for play mode before scripts start; Script components load their sandboxes
+        this.scriptFrame = null;
+        this.pointerTarget = null;
+        this.pointerPressed = null;
+        this.notifyComponents('onPlay');
+        
+        // Every script wakes up (and is enabled) before any of them starts
+        const scripts = this.getAllComponentsOfType('Script').filter(scriptComponent => scriptComponent.sandbox);
+        scripts.forEach(scriptComponent => scriptComponent.awake());
+        scripts.forEach(scriptComponent => {
+            scriptComponent.start();
+            scriptCount++;
         });
         
         // console.log(`Script execution started. ${scriptCount} scripts initialized.`);
@@ -1045,19 +1423,101 @@ class ComponentSystem {
     stopScriptExecution() {
         // console.log('Stopping script execution system...');
         
-        // Call onDestroy() method on all script components
+        // Call onDestroy() method on all script components and shut their sandboxes down
+        this.getAllComponentsOfType('Script').forEach(scriptComponent => {
+            scriptComponent.stopSandbox();
+        });
+        
+        this.notifyComponents('onStop');
+        this.physics.reset();
+    }
+
+    /**
+     * Call a hook function (e.g. onTriggerEnter) on the Script components of an entity, in their order
+     * @param {string} entityId - Entity whose scripts receive the call
+     * @param {string} hookName - One of ComponentSystem.SCRIPT_HOOKS
+     * @param {...*} args - Arguments for the hook
+     */
+    sendScriptMessage(entityId, hookName, ...args) {
+        this.getComponentsOfType(entityId, 'Script').forEach(script => {
+            script.callHook(hookName, ...args);
+        });
+    }
+
+    /**
+     * Send the pointer hooks of play mode to the scripts of the object under the
+     * mouse pointer: onPointerEnter and onPointerExit as the pointer moves onto
+     * and off it, onPointerDown and onPointerUp for the left button, and
+     * onPointerClick when the button is released over the object it went down on.
+     * The hooks get `{ position, point, normal, distance }` (the last three when
+     * the pointer is over an object).
+     */
+    updatePointer() {
+        if (this.getAllComponentsOfType('Script').length === 0) return;
+        
+        const input = EditorCore.getInstance().inputManager;
+        const position = input.getMousePosition();
+        const hit = this.pickPointer(position);
+        const target = hit ? hit.object.id : null;
+        const event = hit ? { position, point: hit.point, normal: hit.normal, distance: hit.distance } : { position };
+        
+        if (target !== this.pointerTarget) {
+            if (this.pointerTarget) {
+                this.sendScriptMessage(this.pointerTarget, 'onPointerExit', event);
+            }
+            if (target) {
+                this.sendScriptMessage(target, 'onPointerEnter', event);
+            }
+            this.pointerTarget = target;
+        }
+        
+        if (input.getMouseButtonDown(0)) {
+            this.pointerPressed = target;
+            if (target) {
+                this.sendScriptMessage(target, 'onPointerDown', event);
+            }
+        }
+        if (input.getMouseButtonUp(0) && this.pointerPressed) {
+            this.sendScriptMessage(this.pointerPressed, 'onPointerUp', event);
+            if (this.pointerPressed === target) {
+                this.sendScriptMessage(target, 'onPointerClick', event);
+            }
+            this.pointerPressed = null;
+        }
+    }
+    
+    /**
+     * Raycast from a viewport position into the scene
+     * @param {Object|null} position - `{ x, y }` in pixels from the top left of the viewport
+     * @returns {Object|null} The nearest hit (see PhysicsSystem.raycast), or null off the viewport
+     */
+    pickPointer(position) {
+        if (!position) return null;
+        
+        const sceneManager = EditorCore.getInstance().sceneManager;
+        const rect = sceneManager.renderer.domElement.getBoundingClientRect();
+        if (position.x < 0 || position.y < 0 || position.x > rect.width || position.y > rect.height) {
+            return null;
+        }
+        
+        const ray = sceneManager.screenPointToRay(position.x, position.y);
+        return this.physics.raycast(ray.origin, ray.direction);
+    }
+
+    /**
+     * Call an optional play mode hook (onPlay, onStop) on every component that defines it
+     */
+    notifyComponents(hookName) {
         this.entityComponents.forEach((components, entityId) => {
-            const scriptComponent = components.get('Script');
-            if (scriptComponent && scriptComponent.scriptInstance) {
-                if (typeof scriptComponent.scriptInstance.onDestroy === 'function') {
+            components.forEach((component, componentName) => {
+                if (typeof component[hookName] === 'function') {
                     try {
-                        scriptComponent.scriptInstance.onDestroy();
-                        // console.log(`Destroyed script for entity: ${entityId}`);
+                        component[hookName]();
                     } catch (error) {
-                        console.error(`Error destroying script for entity ${entityId}:`, error);
+                        console.error(`Error in ${componentName}.${hookName} for entity ${entityId}:`, error);
                     }
                 }
-            }
+            });
         });
     }
     
@@ -1088,25 +1548,467 @@ class ComponentSystem {
         this.scriptStartTime = 0;
         this.scriptPauseTime = 0;
         this.totalPausedTime = 0;
+        this.scriptFrame = null;
+    }
+
+    /**
+     * Seconds the scene has been playing, not counting pauses
+     */
+    getScriptTime() {
+        return this.scriptStartTime ? (performance.now() - this.scriptStartTime - this.totalPausedTime) / 1000 : 0;
+    }
+
+    /**
+     * What sandboxed scripts see of the scene this frame: object snapshots, input and time.
+     * Built once per frame and shared by all scripts.
+     */
+    getScriptFrame() {
+        if (!this.scriptFrame) {
+            const editor = EditorCore.getInstance();
+            const objects = {};
+            editor.sceneManager.objects.forEach((object, id) => {
+                objects[id] = ScriptSandbox.snapshotObject(object);
+            });
+            
+            this.scriptFrame = {
+                time: this.getScriptTime(),
+                fixedSteps: this.fixedSteps,
+                fixedDeltaTime: this.physics.fixedTimeStep,
+                objects,
+                input: editor.inputManager.getSnapshot()
+            };
+        }
+        return this.scriptFrame;
+    }
+
+    /**
+     * What a component type offers scripts: methods they can call and runtime state
+     * they can read besides the schema properties (the class's static `scriptApi`)
+     * @returns {Object} `{ methods, state }`
+     */
+    getScriptApi(componentName) {
+        const componentClass = this.componentTypes.get(componentName);
+        return Object.assign({ methods: [], state: [] }, componentClass && componentClass.scriptApi);
+    }
+
+    /**
+     * Script-callable methods of every component type: `{ [componentName]: [method, ...] }`
+     */
+    getScriptComponentMethods() {
+        const methods = {};
+        this.componentTypes.forEach((componentClass, componentName) => {
+            methods[componentName] = this.getScriptApi(componentName).methods;
+        });
+        return methods;
+    }
+
+    /**
+     * Component data of an entity as scripts see it (other than its Script)
+     */
+    getScriptComponentData(entityId) {
+        const data = {};
+        const components = this.entityComponents.get(entityId);
+        if (!components) return data;
         
-        // Reset time in all script contexts
-        this.entityComponents.forEach((components, entityId) => {
-            const scriptComponent = components.get('Script');
-            if (scriptComponent && scriptComponent.scriptInstance && scriptComponent.scriptInstance.context) {
-                scriptComponent.scriptInstance.context.time.time = 0;
-                scriptComponent.scriptInstance.context.time.deltaTime = 0;
-            }
+        components.forEach((component, componentKey) => {
+            const componentName = component.componentName;
+            if (componentName === 'Script' || typeof component.serialize !== 'function') return;
+            
+            const values = component.serialize();
+            this.getScriptApi(componentName).state.forEach(property => {
+                values[property] = component[property];
+            });
+            data[componentKey] = ScriptSandbox.toMessage(values);
         });
+        return data;
     }
 
     /**
      * Register a component type
+     * @param {string} name - Component name
+     * @param {Function} componentClass - Component class, constructed with (entityId, data)
+     * @param {Object} [schema] - Property schema, defaults to the class's static `schema`.
+     *   Maps property names to `{ type, label, default, ... }` where type is one of
+     *   ComponentSystem.PROPERTY_TYPES; see normalizeSchema() for the options of each type.
+     *   The inspector builds its editors from the schema.
      */
-    registerComponent(name, componentClass) {
+    registerComponent(name, componentClass, schema = componentClass.schema) {
         this.componentTypes.set(name, componentClass);
+        
+        if (schema) {
+            this.componentSchemas.set(name, this.normalizeSchema(name, schema));
+        } else {
+            this.componentSchemas.delete(name);
+        }
+        
         console.log(`Registered component type: ${name}`);
     }
 
+    /**
+     * Turn a schema declaration into a list of property descriptors.
+     * Common options: label, default, readOnly, validate(value, component) returning
+     * an error message to reject a value.
+     * - number / integer: min, max, step, slider (render as a range input)
+     * - enum: options, an array of values or { value, label }, or a function of the component returning one
+     * - color: stored as a hex number
+     * - vector: components (default ['x', 'y', 'z']), min, max, step
+     * - asset: assetType restricts the asset manager type (e.g. 'texture'); stores the asset ID
+     * - object: a scene object; stores the object ID
+     * - string / text (multi-line, rows) / boolean
+     */
+    normalizeSchema(componentName, schema) {
+        return Object.entries(schema).map(([name, field]) => {
+            if (!ComponentSystem.PROPERTY_TYPES.includes(field.type)) {
+                throw new Error(`Unknown type '${field.type}' for property ${componentName}.${name}`);
+            }
+            
+            const descriptor = Object.assign({}, field, {
+                name,
+                label: field.label || ComponentSystem.toLabel(name)
+            });
+            if (field.type === 'vector' && !field.components) {
+                descriptor.components = ['x', 'y', 'z'];
+            }
+            return descriptor;
+        });
+    }
+
+    /**
+     * Read the public variables a script declares. Each `// @var name {...}` line
+     * declares one, with a property declaration in JSON like those of component
+     * schemas, e.g. `// @var speed {"type": "number", "default": 2, "min": 0}`.
+     * The type can be left out when the default tells it. Variables of type
+     * 'object' hold a scene object, which scripts get as an object proxy.
+     * The code is only read, not run. Scripts may come from other people, so
+     * only the options in ComponentSystem.VARIABLE_OPTIONS are taken over,
+     * and only when their values have the expected form.
+     * @param {string} code - Script code
+     * @returns {Array<Object>} Property descriptors named `variables.<name>`
+     */
+    parseScriptVariables(code) {
+        const fields = [];
+        const pattern = /^[ \t]*\/\/[ \t]*@var[ \t]+([A-Za-z_$][\w$]*)[ \t]*(.*)$/gm;
+        let match;
+        while ((match = pattern.exec(code || '')) !== null) {
+            const name = match[1];
+            try {
+                if (ComponentSystem.RESERVED_KEYS.includes(name)) {
+                    throw new Error('the name is reserved');
+                }
+                const declaration = ComponentSystem.checkVariableDeclaration(match[2].trim() ? JSON.parse(match[2]) : {});
+                if (!declaration.type) {
+                    declaration.type = ComponentSystem.inferPropertyType(declaration.default) || 'number';
+                }
+                
+                const field = this.normalizeSchema('Script', { [name]: declaration })[0];
+                if (field.default === undefined) {
+                    field.default = field.type === 'enum'
+                        ? (this.getEnumOptions(field)[0] || {}).value
+                        : ComponentSystem.copyDefault(ComponentSystem.PROPERTY_DEFAULTS[field.type]);
+                }
+                field.name = `variables.${name}`;
+                fields.push(field);
+            } catch (error) {
+                console.warn(`Ignoring script variable '${name}': ${error.message}`);
+            }
+        }
+        return fields;
+    }
+
+    /**
+     * Keep the options of a script variable declaration that are allowed and
+     * well formed (see ComponentSystem.VARIABLE_OPTIONS)
+     * @throws {Error} If the declaration is not an object or an option has the wrong form
+     */
+    static checkVariableDeclaration(declaration) {
+        if (declaration === null || typeof declaration !== 'object' || Array.isArray(declaration)) {
+            throw new Error('the declaration must be an object');
+        }
+        
+        const checked = {};
+        Object.entries(declaration).forEach(([option, value]) => {
+            const check = ComponentSystem.VARIABLE_OPTIONS[option];
+            if (!check) {
+                throw new Error(`unknown option '${option}'`);
+            }
+            if (!check(value)) {
+                throw new Error(`invalid value for '${option}'`);
+            }
+            checked[option] = value;
+        });
+        return checked;
+    }
+
+    /**
+     * Property type of a plain value, or null if no property type fits it
+     */
+    static inferPropertyType(value) {
+        if (typeof value === 'number') return 'number';
+        if (typeof value === 'boolean') return 'boolean';
+        if (typeof value === 'string') return 'string';
+        if (ComponentSystem.isVector(value)) return 'vector';
+        return null;
+    }
+
+    /**
+     * Copy of a default value, so components don't share objects with their schema
+     */
+    static copyDefault(value) {
+        return value !== null && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value;
+    }
+
+    /**
+     * Value of a component property. Properties can be paths into objects the
+     * component holds, such as 'variables.speed'.
+     */
+    static getPropertyValue(component, property) {
+        return ComponentSystem.splitPropertyPath(property)
+            .reduce((value, key) => value !== null && value !== undefined ? value[key] : undefined, component);
+    }
+
+    /**
+     * Set a component property, which can be a path (see getPropertyValue).
+     * Setting a path to undefined removes the value.
+     */
+    static setPropertyValue(component, property, value) {
+        const keys = ComponentSystem.splitPropertyPath(property);
+        const last = keys.pop();
+        const target = keys.reduce((object, key) => {
+            if (object[key] === null || typeof object[key] !== 'object') {
+                object[key] = {};
+            }
+            return object[key];
+        }, component);
+        
+        if (value === undefined && keys.length > 0) {
+            delete target[last];
+        } else {
+            target[last] = value;
+        }
+    }
+
+    /**
+     * Split a property path into its keys
+     * @throws {Error} If a key would reach into prototypes ('__proto__', 'constructor', 'prototype')
+     */
+    static splitPropertyPath(property) {
+        const keys = String(property).split('.');
+        if (keys.some(key => ComponentSystem.RESERVED_KEYS.includes(key))) {
+            throw new Error(`'${property}' is not a valid property`);
+        }
+        return keys;
+    }
+
+    /**
+     * Whether a property of a component can be set: a field of its schema
+     * (script variables included) or a value it saves, never its internals
+     */
+    isSettableProperty(component, property) {
+        if (String(property).split('.').some(key => ComponentSystem.RESERVED_KEYS.includes(key))) {
+            return false;
+        }
+        if (this.getPropertySchema(component.componentName, property, component)) {
+            return true;
+        }
+        // Saved values, which prefabs copy to their instances whole (such as a script's variables)
+        const data = typeof component.serialize === 'function' ? component.serialize() : {};
+        return Object.prototype.hasOwnProperty.call(data, property);
+    }
+
+    /**
+     * Readable label for a property name ('castShadow' -> 'Cast Shadow')
+     */
+    static toLabel(name) {
+        const words = name.replace(/([a-z0-9])([A-Z])/g, '$1 $2');
+        return words.charAt(0).toUpperCase() + words.slice(1);
+    }
+
+    /**
+     * Get the property schema of a component type. Components registered
+     * without one get a schema inferred from the serialized data of the given
+     * instance, so their plain number, boolean, string and vector properties
+     * can still be edited. An instance can add properties of its own with a
+     * getInstanceSchema() method (Script components list their variables).
+     * @param {string} componentName - Component type
+     * @param {Object} [component] - Component instance to infer from
+     * @returns {Array<Object>} Property descriptors, in display order
+     */
+    getComponentSchema(componentName, component = null) {
+        const schema = this.componentSchemas.has(componentName)
+            ? this.componentSchemas.get(componentName)
+            : this.inferComponentSchema(componentName, component);
+        
+        if (component && typeof component.getInstanceSchema === 'function') {
+            return schema.concat(component.getInstanceSchema());
+        }
+        return schema;
+    }
+
+    /**
+     * Schema for a component registered without one, from its serialized data
+     */
+    inferComponentSchema(componentName, component) {
+        if (!component || typeof component.serialize !== 'function') {
+            return [];
+        }
+        
+        const inferred = {};
+        Object.entries(component.serialize() || {}).forEach(([name, value]) => {
+            const type = ComponentSystem.inferPropertyType(value);
+            if (type === 'vector') {
+                inferred[name] = { type, components: Object.keys(value) };
+            } else if (type) {
+                inferred[name] = { type };
+            }
+        });
+        return this.normalizeSchema(componentName, inferred);
+    }
+
+    /**
+     * Get the schema descriptor of one component property
+     */
+    getPropertySchema(componentName, property, component = null) {
+        return this.getComponentSchema(componentName, component).find(field => field.name === property) || null;
+    }
+
+    /**
+     * Resolve the options of an enum property as `{ value, label }` pairs
+     */
+    getEnumOptions(field, component = null) {
+        const options = typeof field.options === 'function' ? field.options(component) : (field.options || []);
+        return options.map(option => option !== null && typeof option === 'object'
+            ? option
+            : { value: option, label: String(option) });
+    }
+
+    /**
+     * Default data for a new component, taken from the defaults in its schema
+     */
+    getDefaultComponentData(componentName) {
+        const data = {};
+        (this.componentSchemas.get(componentName) || []).forEach(field => {
+            if (field.default !== undefined) {
+                data[field.name] = ComponentSystem.copyDefault(field.default);
+            }
+        });
+        return data;
+    }
+
+    /**
+     * Check a value against the schema of a component property and convert it
+     * to the stored form: numbers are parsed and clamped to their range,
+     * colors accept '#rrggbb', enums and asset references must exist.
+     * @returns {*} The value to store
+     * @throws {Error} If the value is not valid for the property, or the component has no such property
+     */
+    validateComponentProperty(entityId, componentName, property, value) {
+        const component = this.getComponent(entityId, componentName);
+        const field = this.getPropertySchema(ComponentSystem.getComponentType(componentName), property, component);
+        if (!field) {
+            throw new Error(`${componentName} has no property '${property}'`);
+        }
+        
+        if (field.readOnly) {
+            throw new Error(`${field.label} is read-only`);
+        }
+        
+        const toNumber = (input, label) => {
+            const number = typeof input === 'string' && input.trim() === '' ? NaN : Number(input);
+            if (!isFinite(number)) {
+                throw new Error(`${label} must be a number`);
+            }
+            let result = field.type === 'integer' ? Math.round(number) : number;
+            if (field.min !== undefined) result = Math.max(field.min, result);
+            if (field.max !== undefined) result = Math.min(field.max, result);
+            return result;
+        };
+        
+        switch (field.type) {
+            case 'number':
+            case 'integer':
+                value = toNumber(value, field.label);
+                break;
+            case 'boolean':
+                value = value === true || value === 'true';
+                break;
+            case 'string':
+            case 'text':
+                value = value === null || value === undefined ? '' : String(value);
+                break;
+            case 'enum': {
+                const options = this.getEnumOptions(field, component);
+                const option = options.find(candidate => String(candidate.value) === String(value));
+                if (!option) {
+                    throw new Error(`${field.label} must be one of: ${options.map(candidate => candidate.label).join(', ')}`);
+                }
+                value = option.value;
+                break;
+            }
+            case 'color':
+                if (typeof value === 'string') {
+                    value = /^#?[0-9a-f]{6}$/i.test(value) ? parseInt(value.replace('#', ''), 16) : NaN;
+                }
+                if (!Number.isInteger(value) || value < 0 || value > 0xffffff) {
+                    throw new Error(`${field.label} must be a color`);
+                }
+                break;
+            case 'vector': {
+                if (!value || typeof value !== 'object') {
+                    throw new Error(`${field.label} must be a vector`);
+                }
+                const vector = {};
+                field.components.forEach(axis => {
+                    vector[axis] = toNumber(value[axis], `${field.label} ${axis.toUpperCase()}`);
+                });
+                value = vector;
+                break;
+            }
+            case 'asset': {
+                if (!value) {
+                    value = '';
+                    break;
+                }
+                const editor = typeof EditorCore !== 'undefined' ? EditorCore.getInstance() : null;
+                const asset = editor && editor.assetManager ? editor.assetManager.getAsset(value) : null;
+                if (!asset) {
+                    throw new Error(`${field.label}: asset '${value}' not found`);
+                }
+                if (field.assetType && asset.type !== field.assetType) {
+                    throw new Error(`${field.label} must be a ${field.assetType} asset`);
+                }
+                break;
+            }
+            case 'object': {
+                if (!value) {
+                    value = '';
+                    break;
+                }
+                const editor = typeof EditorCore !== 'undefined' ? EditorCore.getInstance() : null;
+                if (!editor || !editor.sceneManager.objects.has(value)) {
+                    throw new Error(`${field.label}: object '${value}' not found`);
+                }
+                break;
+            }
+        }
+        
+        if (typeof field.validate === 'function') {
+            const error = field.validate(value, component);
+            if (error) {
+                throw new Error(typeof error === 'string' ? error : `Invalid value for ${field.label}`);
+            }
+        }
+        
+        return value;
+    }
+
+    /**
+     * Whether a value is a plain vector such as { x, y, z }
+     */
+    static isVector(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+            Object.keys(value).length > 0 && Object.values(value).every(component => typeof component === 'number');
+    }
+
     /**
      * Register a script template
      */
@@ -1116,12 +2018,20 @@ class ComponentSystem {
     }
 
     /**
-     * Add a component to an entity
+     * Add a component to an entity. Types whose class has a static
+     * `allowMultiple` can be added more than once; each instance is stored
+     * under a key of the form `Type#id` (see getComponentKey).
+     * @param {string} entityId - The entity
+     * @param {string} componentName - Component type, or the key to add a multiple instance under
+     * @param {Object} [data] - Component data
+     * @param {number} [index] - Position among the entity's components, last by default
+     * @returns {Object} The component
      */
-    addComponent(entityId, componentName, data = {}) {
-        const ComponentClass = this.componentTypes.get(componentName);
+    addComponent(entityId, componentName, data = {}, index = -1) {
+        const type = ComponentSystem.getComponentType(componentName);
+        const ComponentClass = this.componentTypes.get(type);
         if (!ComponentClass) {
-            throw new Error(`Component type '${componentName}' not found`);
+            throw new Error(`Component type '${type}' not found`);
         }
 
         // Ensure entity has component map
@@ -1130,16 +2040,22 @@ class ComponentSystem {
         }
 
         const entityComponents = this.entityComponents.get(entityId);
+        const componentKey = this.getComponentKey(entityId, componentName);
         
         // Check if component already exists
-        if (entityComponents.has(componentName)) {
-            console.warn(`Entity ${entityId} already has component ${componentName}`);
-            return entityComponents.get(componentName);
+        if (entityComponents.has(componentKey)) {
+            console.warn(`Entity ${entityId} already has component ${componentKey}`);
+            return entityComponents.get(componentKey);
         }
 
         // Create component instance
         const component = new ComponentClass(entityId, data);
-        entityComponents.set(componentName, component);
+        component.componentName = type;
+        component.componentKey = componentKey;
+        entityComponents.set(componentKey, component);
+        if (index >= 0) {
+            ComponentSystem.reorder(entityComponents, componentKey, index);
+        }
 
         // Add to updateable components if it has an update method
         if (typeof component.update === 'function') {
@@ -1149,25 +2065,109 @@ class ComponentSystem {
         // Emit event
         this.eventBus.emit(EventBus.Events.COMPONENT_ADDED, {
             entityId,
-            componentName,
+            componentName: type,
+            componentKey,
             component
         });
 
-        console.log(`Added ${componentName} component to entity ${entityId}`);
+        console.log(`Added ${componentKey} component to entity ${entityId}`);
         return component;
     }
 
+    /**
+     * Key a component is stored under: its type for single components, `Type#id`
+     * for types that allow multiple instances. The ID of a new instance is made
+     * up; it is kept when the component is serialized. Keys end up in the
+     * inspector's markup, so a given key that doesn't match
+     * ComponentSystem.KEY_PATTERN is replaced by a new one.
+     * @param {string} entityId - The entity
+     * @param {string} componentName - Component type or key
+     */
+    getComponentKey(entityId, componentName) {
+        const type = ComponentSystem.getComponentType(componentName);
+        if (!this.allowsMultiple(type)) {
+            return type;
+        }
+        if (componentName !== type) {
+            if (ComponentSystem.KEY_PATTERN.test(componentName)) {
+                return componentName;
+            }
+            console.warn(`Component key '${componentName}' is not valid; the component gets a new one`);
+        }
+
+        const entityComponents = this.entityComponents.get(entityId);
+        return ComponentSystem.createComponentKey(type, key => !!entityComponents && entityComponents.has(key));
+    }
+
+    /**
+     * Make up a key for a new instance of a component type
+     * @param {string} type - Component type
+     * @param {Function} isTaken - Whether a key is already in use
+     */
+    static createComponentKey(type, isTaken) {
+        let key;
+        do {
+            key = `${type}#${Math.random().toString(36).slice(2, 8)}`;
+        } while (isTaken(key));
+        return key;
+    }
+
+    /**
+     * Whether an entity can have more than one component of a type
+     */
+    allowsMultiple(componentName) {
+        const ComponentClass = this.componentTypes.get(componentName);
+        return !!ComponentClass && !!ComponentClass.allowMultiple;
+    }
+
+    /**
+     * Component type of a component key ('Script#k3x9a2' -> 'Script')
+     */
+    static getComponentType(componentKey) {
+        return componentKey.split('#')[0];
+    }
+
+    /**
+     * Bring saved component data up to date: data from before a type allowed
+     * multiple instances is keyed by the type alone and gets the instance ID 1.
+     * Keys that don't match ComponentSystem.KEY_PATTERN get a new instance ID,
+     * or are dropped if not even their type is valid.
+     * @param {Object} componentData - Component data by key
+     * @returns {Object} Component data by key
+     */
+    normalizeComponentData(componentData = {}) {
+        const normalized = {};
+        Object.entries(componentData).forEach(([componentKey, data]) => {
+            const type = ComponentSystem.getComponentType(componentKey);
+            if (!ComponentSystem.KEY_PATTERN.test(componentKey)) {
+                if (!ComponentSystem.KEY_PATTERN.test(type) || !this.allowsMultiple(type)) {
+                    console.warn(`Dropping component with invalid key '${componentKey}'`);
+                    return;
+                }
+                console.warn(`Component key '${componentKey}' is not valid; the component gets a new one`);
+                componentKey = ComponentSystem.createComponentKey(type, key => key in normalized || key in componentData);
+            } else if (componentKey === type && this.allowsMultiple(type)) {
+                componentKey = `${type}#1`;
+            }
+            normalized[componentKey] = data;
+        });
+        return normalized;
+    }
+
     /**
      * Remove a component from an entity
+     * @param {string} entityId - The entity
+     * @param {string} componentName - Component key, or a type for its first instance
      */
     removeComponent(entityId, componentName) {
-        const entityComponents = this.entityComponents.get(entityId);
-        if (!entityComponents || !entityComponents.has(componentName)) {
+        const component = this.getComponent(entityId, componentName);
+        if (!component) {
             console.warn(`Component ${componentName} not found on entity ${entityId}`);
             return false;
         }
 
-        const component = entityComponents.get(componentName);
+        const entityComponents = this.entityComponents.get(entityId);
+        const componentKey = component.componentKey;
         
         // Call destroy method if it exists
         if (typeof component.destroy === 'function') {
@@ -1178,7 +2178,7 @@ class ComponentSystem {
         this.updateableComponents.delete(component);
 
         // Remove from entity
-        entityComponents.delete(componentName);
+        entityComponents.delete(componentKey);
 
         // Clean up empty entity component map
         if (entityComponents.size === 0) {
@@ -1188,23 +2188,131 @@ class ComponentSystem {
         // Emit event
         this.eventBus.emit(EventBus.Events.COMPONENT_REMOVED, {
             entityId,
-            componentName,
+            componentName: component.componentName,
+            componentKey,
             component
         });
 
-        console.log(`Removed ${componentName} component from entity ${entityId}`);
+        console.log(`Removed ${componentKey} component from entity ${entityId}`);
+        return true;
+    }
+
+    /**
+     * Move a component to another position among the components of its entity.
+     * Components update, and scripts run, in this order.
+     * @param {string} entityId - The entity
+     * @param {string} componentName - Component key, or a type for its first instance
+     * @param {number} index - New position
+     * @returns {boolean} True if the component moved
+     */
+    moveComponent(entityId, componentName, index) {
+        const component = this.getComponent(entityId, componentName);
+        if (!component) return false;
+
+        const entityComponents = this.entityComponents.get(entityId);
+        if (!ComponentSystem.reorder(entityComponents, component.componentKey, index)) {
+            return false;
+        }
+
+        this.eventBus.emit(EventBus.Events.COMPONENT_UPDATED, {
+            entityId,
+            componentName: component.componentName,
+            componentKey: component.componentKey,
+            component,
+            property: null,
+            value: this.getComponentNames(entityId).indexOf(component.componentKey)
+        });
+        return true;
+    }
+
+    /**
+     * Move an entry of a Map to another position
+     * @returns {boolean} True if the entry moved
+     */
+    static reorder(map, key, index) {
+        const entries = Array.from(map.entries());
+        const from = entries.findIndex(([other]) => other === key);
+        const to = Math.max(0, Math.min(entries.length - 1, index));
+        if (from === -1 || from === to) return false;
+
+        entries.splice(to, 0, ...entries.splice(from, 1));
+        map.clear();
+        entries.forEach(([other, value]) => map.set(other, value));
+        return true;
+    }
+
+    /**
+     * Set a component property. Uses the component's setter (e.g. setSpeed for
+     * 'speed') when it has one, otherwise assigns the value and lets the
+     * component react through onPropertyChanged(). Only the properties
+     * isSettableProperty() allows can be set.
+     * @returns {boolean} True if the component exists and has the property
+     */
+    setComponentProperty(entityId, componentName, property, value) {
+        const component = this.getComponent(entityId, componentName);
+        if (!component) {
+            console.warn(`Component ${componentName} not found on entity ${entityId}`);
+            return false;
+        }
+        if (!this.isSettableProperty(component, property)) {
+            console.warn(`Component ${componentName} has no property '${property}'`);
+            return false;
+        }
+
+        const setterName = `set${property.charAt(0).toUpperCase()}${property.slice(1)}`;
+        if (typeof component[setterName] === 'function') {
+            component[setterName](value);
+        } else {
+            ComponentSystem.setPropertyValue(component, property, value);
+            if (typeof component.onPropertyChanged === 'function') {
+                component.onPropertyChanged(property, value);
+            }
+        }
+
+        this.eventBus.emit(EventBus.Events.COMPONENT_UPDATED, {
+            entityId,
+            componentName: component.componentName,
+            componentKey: component.componentKey,
+            component,
+            property,
+            value
+        });
+
         return true;
     }
 
     /**
      * Get a component from an entity
+     * @param {string} entityId - The entity
+     * @param {string} componentName - Component key, or a type for its first instance
      */
     getComponent(entityId, componentName) {
         const entityComponents = this.entityComponents.get(entityId);
         if (!entityComponents) {
             return null;
         }
-        return entityComponents.get(componentName) || null;
+        if (entityComponents.has(componentName)) {
+            return entityComponents.get(componentName);
+        }
+        return this.getComponentsOfType(entityId, componentName)[0] || null;
+    }
+
+    /**
+     * Get the components of one type on an entity, in their order
+     */
+    getComponentsOfType(entityId, componentName) {
+        return this.getComponents(entityId).filter(component => component.componentName === componentName);
+    }
+
+    /**
+     * Get the components of one type on every entity
+     */
+    getAllComponentsOfType(componentName) {
+        const components = [];
+        this.entityComponents.forEach((entityComponents, entityId) => {
+            components.push(...this.getComponentsOfType(entityId, componentName));
+        });
+        return components;
     }
 
     /**
@@ -1218,12 +2326,20 @@ class ComponentSystem {
         return Array.from(entityComponents.values());
     }
 
+    /**
+     * Get the keys of the components on an entity, in their order. Single
+     * components are keyed by their type (see getComponentKey).
+     */
+    getComponentNames(entityId) {
+        const entityComponents = this.entityComponents.get(entityId);
+        return entityComponents ? Array.from(entityComponents.keys()) : [];
+    }
+
     /**
      * Check if entity has a component
      */
     hasComponent(entityId, componentName) {
-        const entityComponents = this.entityComponents.get(entityId);
-        return entityComponents ? entityComponents.has(componentName) : false;
+        return this.getComponent(entityId, componentName) !== null;
     }
 
     /**
@@ -1294,9 +2410,9 @@ class ComponentSystem {
         }
 
         const serialized = {};
-        entityComponents.forEach((component, componentName) => {
+        entityComponents.forEach((component, componentKey) => {
             if (typeof component.serialize === 'function') {
-                serialized[componentName] = component.serialize();
+                serialized[componentKey] = component.serialize();
             }
         });
 
@@ -1304,11 +2420,23 @@ class ComponentSystem {
     }
 
     /**
-     * Deserialize entity components
+     * Deserialize entity components. Asset references that are not asset IDs
+     * (see AssetManager.ID_PATTERN) are dropped, since they end up in the
+     * editor's markup.
      */
     deserializeEntity(entityId, componentData) {
-        Object.entries(componentData).forEach(([componentName, data]) => {
+        Object.entries(this.normalizeComponentData(componentData)).forEach(([componentName, data]) => {
             try {
+                const type = ComponentSystem.getComponentType(componentName);
+                if (data && this.componentTypes.has(type)) {
+                    this.getComponentSchema(type).filter(field => field.type === 'asset').forEach(field => {
+                        const value = data[field.name];
+                        if (value && (typeof value !== 'string' || !AssetManager.ID_PATTERN.test(value))) {
+                            console.warn(`Dropping invalid ${field.label} of ${componentName} on entity ${entityId}`);
+                            data[field.name] = '';
+                        }
+                    });
+                }
                 this.addComponent(entityId, componentName, data);
             } catch (error) {
                 console.error(`Failed to deserialize component ${componentName} for entity ${entityId}:`, error);
@@ -1326,27 +2454,31 @@ class ComponentSystem {
             scriptDetails: []
         };
         
-        this.entityComponents.forEach((components, entityId) => {
-            const scriptComponent = components.get('Script');
-            if (scriptComponent) {
-                status.totalScripts++;
-                
-                const scriptInfo = {
-                    entityId: entityId,
-                    scriptName: scriptComponent.scriptName,
-                    enabled: scriptComponent.enabled,
-                    hasStart: typeof scriptComponent.scriptInstance?.start === 'function',
-                    hasUpdate: typeof scriptComponent.scriptInstance?.update === 'function',
-                    hasOnDestroy: typeof scriptComponent.scriptInstance?.onDestroy === 'function',
-                    compiled: !!scriptComponent.scriptInstance
-                };
-                
-                if (scriptComponent.enabled && scriptComponent.scriptInstance) {
-                    status.activeScripts++;
-                }
-                
-                status.scriptDetails.push(scriptInfo);
+        this.getAllComponentsOfType('Script').forEach(scriptComponent => {
+            status.totalScripts++;
+            
+            // Hooks are known once the sandbox has loaded the code (in play mode)
+            const sandbox = scriptComponent.sandbox;
+            const hooks = (sandbox && sandbox.hooks) || [];
+            
+            const scriptInfo = {
+                entityId: scriptComponent.entity,
+                componentKey: scriptComponent.componentKey,
+                scriptName: scriptComponent.scriptName,
+                enabled: scriptComponent.enabled,
+                hasStart: hooks.includes('start'),
+                hasUpdate: hooks.includes('update'),
+                hasOnDestroy: hooks.includes('onDestroy'),
+                hooks: hooks.slice(),
+                compiled: !!sandbox && !!sandbox.hooks,
+                killed: !!sandbox && sandbox.killed
+            };
+            
+            if (scriptComponent.enabled && sandbox && !sandbox.killed) {
+                status.activeScripts++;
             }
+            
+            status.scriptDetails.push(scriptInfo);
         });
         
         return status;
@@ -1392,6 +2524,60 @@ class ComponentSystem {
 // Set up singleton
 ComponentSystem.instance = null;
 
+// Functions a script can define for the component system to call
+ComponentSystem.SCRIPT_HOOKS = [
+    'awake', 'onEnable', 'start', 'fixedUpdate', 'update', 'lateUpdate', 'onDisable', 'onDestroy',
+    'onTriggerEnter', 'onTriggerStay', 'onTriggerExit',
+    'onCollisionEnter', 'onCollisionStay', 'onCollisionExit',
+    'onPointerEnter', 'onPointerExit', 'onPointerDown', 'onPointerUp', 'onPointerClick'
+];
+
+// Form of the keys components are stored under: a type, and for types that
+// allow multiple instances an instance ID ('Script#k3x9a2')
+ComponentSystem.KEY_PATTERN = /^[A-Za-z]\w*(#[a-z0-9]+)?$/;
+
+// Keys a property path may not use, since they reach into prototypes
+ComponentSystem.RESERVED_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+// Property types a component schema can use
+ComponentSystem.PROPERTY_TYPES = ['number', 'integer', 'boolean', 'string', 'text', 'enum', 'color', 'vector', 'asset', 'object'];
+
+// Options a script variable declaration may use, with a check of their values
+ComponentSystem.VARIABLE_OPTIONS = (() => {
+    const isName = value => typeof value === 'string' && /^\w+$/.test(value);
+    const isNumber = value => typeof value === 'number' && isFinite(value);
+    const isPlain = value => typeof value === 'string' || isNumber(value) || typeof value === 'boolean';
+    return {
+        type: value => ComponentSystem.PROPERTY_TYPES.includes(value),
+        label: value => typeof value === 'string' && value.length <= 100,
+        default: value => value === null || isPlain(value) ||
+            (typeof value === 'object' && !Array.isArray(value) && Object.entries(value).every(([key, item]) => isName(key) && isNumber(item))),
+        min: isNumber,
+        max: isNumber,
+        step: isNumber,
+        rows: value => Number.isInteger(value) && value > 0 && value <= 100,
+        slider: value => typeof value === 'boolean',
+        readOnly: value => typeof value === 'boolean',
+        options: value => Array.isArray(value) && value.every(option => isPlain(option) ||
+            (option !== null && typeof option === 'object' && isPlain(option.value) && typeof option.label === 'string')),
+        components: value => Array.isArray(value) && value.length > 0 && value.every(isName),
+        assetType: isName
+    };
+})();
+
+// Defaults of declared script variables that don't give one (enums default to their first option)
+ComponentSystem.PROPERTY_DEFAULTS = {
+    number: 0,
+    integer: 0,
+    boolean: false,
+    string: '',
+    text: '',
+    color: 0xffffff,
+    vector: { x: 0, y: 0, z: 0 },
+    asset: '',
+    object: ''
+};
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = ComponentSystem;
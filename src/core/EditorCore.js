@@ -20,6 +20,11 @@ class EditorCore {
         this.assetManager = assetManager;
         this.pluginManager = null;
         this.uiManager = null;
+        this.projectBundle = new ProjectBundle(this);
+        this.prefabManager = new PrefabManager(this);
+        this.scriptManager = new ScriptManager(this);
+        this.materialManager = new MaterialManager(this);
+        this.inputManager = new InputManager(this);
         
         // Editor state
         this.isInitialized = false;
@@ -36,6 +41,8 @@ class EditorCore {
         this.commandHistory = [];
         this.commandIndex = -1;
         this.maxHistorySize = 100;
+        this.historySuspended = 0; // Scene changes are not recorded while > 0 (e.g. loading a project)
+        this.applyingCommand = 0; // > 0 while a command executes, undoes or redoes
         
         // Settings
         this.settings = {
@@ -47,6 +54,11 @@ class EditorCore {
                 targetFPS: 60,
                 enableVSync: true,
                 shadowQuality: 'medium'
+            },
+            input: {
+                actions: JSON.parse(JSON.stringify(InputManager.DEFAULT_ACTIONS)),
+                deadZone: InputManager.DEFAULT_DEAD_ZONE,
+                gamepadMappings: {}
             }
         };
         
@@ -173,28 +185,51 @@ class EditorCore {
             this.project.modified = new Date();
         });
         
-        // Listen for object events
+        // Listen for object events. Objects added or removed outside of a command
+        // (imports, plugins, scripts) are recorded so they can be undone.
         this.eventBus.on(EventBus.Events.OBJECT_CREATED, (data) => {
-            // Track object creation for undo/redo
-            const command = new CreateObjectCommand(data.object);
-            this.executeCommand(command);
+            if (this.canRecordHistory()) {
+                this.recordCommand(new CreateObjectCommand(data.object));
+            }
         });
         
         this.eventBus.on(EventBus.Events.OBJECT_DELETED, (data) => {
-            // Track object deletion for undo/redo
-            const command = new DeleteObjectCommand(data.object);
-            this.executeCommand(command);
+            if (this.canRecordHistory()) {
+                this.recordCommand(new DeleteObjectCommand(data.object, data.components, data.index));
+            } else if (this.applyingCommand === 0) {
+                // Nothing can bring the object back, so free it now
+                this.releaseObjects([data.object]);
+            }
+        });
+        
+        // Object actions requested from the viewport context menu
+        this.eventBus.on('editor:delete-objects', (data) => this.deleteObjects(data.ids));
+        this.eventBus.on('editor:duplicate-objects', (data) => this.duplicateObjects(data.ids));
+        this.eventBus.on('editor:create-prefab', (data) => {
+            const object = this.sceneManager.objects.get(data.id);
+            const name = object ? prompt('Prefab name', object.name) : null;
+            if (name && name.trim()) {
+                this.createPrefab(data.id, name.trim());
+            }
+        });
+        this.eventBus.on('editor:rename-object', (data) => {
+            const object = this.sceneManager.objects.get(data.id);
+            const newName = object ? prompt('Rename object', object.name) : null;
+            if (newName && newName.trim()) {
+                this.renameObject(data.id, newName.trim());
+            }
         });
         
-        // Listen for transform commands
+        // Listen for transform commands (one per gizmo drag)
         this.eventBus.on(EventBus.Events.TRANSFORM_COMMAND, (data) => {
             if (data.type === 'transform') {
-                const command = new TransformObjectCommand(
-                    data.objectId,
-                    data.oldTransform,
-                    data.newTransform
-                );
-                this.executeCommand(command);
+                // Objects moved together around the selection pivot undo together
+                const commands = data.transforms.map(transform => new TransformObjectCommand(
+                    transform.objectId,
+                    transform.oldTransform,
+                    transform.newTransform
+                ));
+                this.executeCommand(commands.length === 1 ? commands[0] : new CompoundCommand(commands));
             }
         });
     }
@@ -277,6 +312,12 @@ class EditorCore {
      * Handle keyboard shortcuts
      */
     handleKeyDown(event) {
+        // Leave keys alone while the user types into a field
+        const target = event.target;
+        if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) {
+            return;
+        }
+        
         // Prevent default for editor shortcuts
         const isEditorShortcut = event.ctrlKey || event.metaKey;
         
@@ -313,6 +354,11 @@ class EditorCore {
             }
         }
         
+        // While the scene plays, plain keys are input for its scripts
+        if (this.editorMode === 'play') {
+            return;
+        }
+        
         // Tool shortcuts
         switch (event.key.toLowerCase()) {
             case 'q':
@@ -327,8 +373,8 @@ class EditorCore {
             case 'r':
                 this.activateTool('scale');
                 break;
-            case 'Delete':
-            case 'Backspace':
+            case 'delete':
+            case 'backspace':
                 event.preventDefault();
                 this.deleteSelected();
                 break;
@@ -344,8 +390,8 @@ class EditorCore {
         // Deactivate current tool
         this.eventBus.emit(EventBus.Events.TOOL_DEACTIVATED, { tool: this.currentTool });
         
-        // Update UI
-        document.querySelectorAll('.tool-btn').forEach(btn => btn.classList.remove('active'));
+        // Update UI; toggle buttons such as grid and snapping keep their state
+        document.querySelectorAll('.tool-btn[id$="-tool"]').forEach(btn => btn.classList.remove('active'));
         const toolBtn = document.getElementById(`${toolName}-tool`);
         if (toolBtn) {
             toolBtn.classList.add('active');
@@ -395,20 +441,34 @@ class EditorCore {
             return;
         }
         
-        // Create delete command for undo/redo
-        const deleteCommands = selectedObjects.map(object => new DeleteObjectCommand(object));
-        
-        selectedObjects.forEach(object => {
-            this.sceneManager.removeObject(object.id);
-        });
+        this.deleteObjects(selectedObjects.map(object => object.id));
+    }
+
+    /**
+     * Delete objects and their children as one undoable step
+     * @param {string[]} ids - IDs of the objects to delete
+     */
+    deleteObjects(ids) {
+        const roots = this.getTopLevelIds(ids);
+        if (roots.length === 0) return;
         
-        // Add to command history
-        deleteCommands.forEach(command => {
-            this.executeCommand(command);
-        });
+        // Children are removed before their parents so undo can put the parents back first
+        const objects = roots.flatMap(id => [this.sceneManager.objects.get(id), ...this.sceneManager.getDescendants(id)].reverse());
+        this.executeCommand(new CompoundCommand(objects.map(object => new DeleteObjectCommand(object))));
         
-        this.showMessage(`Deleted ${selectedObjects.length} object(s)`, 'success');
-        console.log(`Deleted ${selectedObjects.length} object(s)`);
+        this.showMessage(`Deleted ${roots.length} object(s)`, 'success');
+        console.log(`Deleted ${roots.length} object(s)`);
+    }
+
+    /**
+     * Reduce a list of object IDs to those whose parents are not in the list
+     * @param {string[]} ids - Object IDs
+     * @returns {string[]} IDs of existing objects that have no ancestor in the list
+     */
+    getTopLevelIds(ids) {
+        const idSet = new Set(ids);
+        return ids.filter(id => this.sceneManager.objects.has(id) &&
+            !ids.some(otherId => otherId !== id && idSet.has(otherId) && this.sceneManager.isDescendantOf(id, otherId)));
     }
 
     /**
@@ -416,27 +476,411 @@ class EditorCore {
      */
     duplicateSelected() {
         const selectedObjects = this.sceneManager.getSelectedObjects();
+        this.duplicateObjects(selectedObjects.map(object => object.id));
+    }
+
+    /**
+     * Duplicate objects (with their children) as one undoable step and select the copies
+     * @param {string[]} ids - IDs of the objects to duplicate
+     * @returns {Object[]} The new scene objects
+     */
+    duplicateObjects(ids) {
+        // Record the copies together instead of one step per OBJECT_CREATED
+        this.suspendHistory();
+        let copies;
+        try {
+            copies = this.getTopLevelIds(ids).map(id => this.sceneManager.duplicateObject(id)).filter(Boolean);
+        } finally {
+            this.resumeHistory();
+        }
         
-        selectedObjects.forEach(object => {
-            const newObject = this.createObject(object.type, {
-                ...object.properties,
-                x: object.properties.x + 1,
-                z: object.properties.z + 1,
-                name: `${object.name}_copy`
-            });
+        if (copies.length === 0) return copies;
+        
+        if (this.canRecordHistory()) {
+            const created = copies.flatMap(copy => [copy, ...this.sceneManager.getDescendants(copy.id)]);
+            this.recordCommand(new CompoundCommand(created.map(object => new CreateObjectCommand(object))));
+        }
+        
+        this.sceneManager.selectObjects(copies.map(copy => copy.id));
+        console.log(`Duplicated ${copies.length} object(s)`);
+        return copies;
+    }
+
+    /**
+     * Move objects under a new parent as one undoable step, keeping their world transforms
+     * @param {string[]} ids - IDs of the objects to move
+     * @param {string|null} parentId - New parent, or null for the scene root
+     * @param {string|null} [beforeId] - Sibling to place the objects before; by default they go last
+     * @returns {boolean} True if anything was moved
+     */
+    moveObjects(ids, parentId, beforeId = null) {
+        const movable = this.getTopLevelIds(ids).filter(id =>
+            id !== parentId && id !== beforeId && !(parentId && this.sceneManager.isDescendantOf(parentId, id)));
+        if (movable.length === 0) return false;
+        
+        const order = Array.from(this.sceneManager.objects.keys());
+        this.executeCommand(new CompoundCommand(movable.map(id => {
+            const object = this.sceneManager.objects.get(id);
+            return new ReparentObjectCommand(id, {
+                parentId: object.parentId || null,
+                index: order.indexOf(id),
+                transform: this.sceneManager.captureTransform(object.mesh)
+            }, { parentId: parentId || null, beforeId });
+        })));
+        return true;
+    }
+
+    /**
+     * Save an object and its children as a prefab
+     * @returns {Object|null} The prefab asset
+     */
+    createPrefab(objectId, name) {
+        const asset = this.prefabManager.createPrefab(objectId, name);
+        if (asset) {
+            this.showMessage(`Created prefab ${asset.name}`, 'success');
+        }
+        return asset;
+    }
+
+    /**
+     * Add an instance of a prefab as one undoable step and select it
+     * @param {string} assetId - The prefab
+     * @param {Object} [options] - See PrefabManager.instantiate
+     * @returns {Object|null} The root object of the instance
+     */
+    instantiatePrefab(assetId, options = {}) {
+        this.suspendHistory();
+        let root;
+        try {
+            root = this.prefabManager.instantiate(assetId, options);
+        } finally {
+            this.resumeHistory();
+        }
+        
+        if (!root) return null;
+        
+        if (this.canRecordHistory()) {
+            const created = [root, ...this.sceneManager.getDescendants(root.id)];
+            this.recordCommand(new CompoundCommand(created.map(object => new CreateObjectCommand(object))));
+        }
+        
+        this.sceneManager.selectObject(root.id);
+        return root;
+    }
+
+    /**
+     * Make an instance's current state the new version of its prefab and
+     * update the other instances
+     * @param {string} objectId - Any object of the instance
+     * @returns {boolean} True if the prefab was updated
+     */
+    applyPrefab(objectId) {
+        const root = this.prefabManager.getInstanceRoot(objectId);
+        const asset = root ? this.prefabManager.getPrefab(root.prefab.assetId) : null;
+        if (!asset) return false;
+        
+        const objectIds = [root.id, ...this.sceneManager.getDescendants(root.id).map(object => object.id)];
+        const oldState = { data: asset.data, links: this.prefabManager.getLinks(objectIds) };
+        const { data, links, sources } = this.prefabManager.captureNodes(asset, root.id);
+        sources.forEach((source, nodeId) => asset.sources.set(nodeId, source));
+        
+        this.executeCommand(new PrefabApplyCommand(asset.id, root.id, oldState, { data, links }));
+        this.showMessage(`Applied changes to prefab ${asset.name}`, 'success');
+        return true;
+    }
+
+    /**
+     * Set overridden properties of an instance object back to the prefab's values
+     * @param {string} objectId - The instance object
+     * @param {string[]} [paths] - Override paths (see PrefabManager.getOverrides); all by default
+     * @returns {boolean} True if anything was reverted
+     */
+    revertPrefabOverrides(objectId, paths = null) {
+        const overrides = this.prefabManager.getOverrides(objectId);
+        if (!overrides) return false;
+        
+        const commands = overrides
+            .filter(path => !paths || paths.includes(path))
+            .map(path => this.createRevertCommand(objectId, path))
+            .filter(Boolean);
+        if (commands.length === 0) return false;
+        
+        this.executeCommand(commands.length === 1 ? commands[0] : new CompoundCommand(commands));
+        return true;
+    }
+
+    /**
+     * Build the command that sets one override path back to the prefab's value
+     */
+    createRevertCommand(objectId, path) {
+        const object = this.sceneManager.objects.get(objectId);
+        const node = this.prefabManager.getNode(objectId);
+        const value = this.prefabManager.getPrefabValue(objectId, path);
+        const [group, key, property] = path.split('.');
+        
+        if (path === 'name') {
+            return new RenameObjectCommand(objectId, object.name, value);
+        }
+        if (group === 'properties') {
+            return value === undefined ? null : new PropertyChangeCommand(objectId, key,
+                this.sceneManager.getObjectProperty(objectId, key), PrefabManager.toPropertyValue(key, value));
+        }
+        
+        const component = this.componentSystem.getComponent(objectId, key);
+        if (group === 'components' && property === undefined) {
+            if (value && !component) {
+                return new ComponentAddCommand(objectId, key, EditorCore.copyValue(node.components[key]));
+            }
+            if (!value && component) {
+                return new ComponentRemoveCommand(objectId, key, component.serialize());
+            }
+        } else if (group === 'components' && component && value !== undefined) {
+            return new ComponentPropertyCommand(objectId, key, property,
+                EditorCore.copyValue(component[property]), EditorCore.copyValue(value));
+        }
+        return null;
+    }
+
+    /**
+     * Turn a prefab instance into plain objects
+     */
+    unpackPrefab(objectId) {
+        return this.prefabManager.unpack(objectId).size > 0;
+    }
+
+    /**
+     * Delete a prefab asset; its instances become plain objects
+     */
+    deletePrefab(assetId) {
+        return this.prefabManager.deletePrefab(assetId);
+    }
+
+    /**
+     * Create a script asset
+     * @returns {Object|null} The script asset
+     */
+    createScript(name, code) {
+        const asset = this.scriptManager.createScript(name, code);
+        if (asset) {
+            this.showMessage(`Created script ${asset.name}`, 'success');
+        }
+        return asset;
+    }
+
+    /**
+     * Save the code of a script asset. Script components using it are reloaded,
+     * so running scripts pick the change up straight away.
+     * @returns {boolean} True if the script was saved
+     */
+    updateScript(assetId, code, name) {
+        try {
+            const count = this.scriptManager.updateScript(assetId, code, name);
+            const asset = this.scriptManager.getScript(assetId);
+            const reloaded = this.editorMode !== 'edit' && count > 0 ? `, reloaded on ${count} object(s)` : '';
+            this.showMessage(`Saved script ${asset.name}${reloaded}`, 'success');
+            return true;
+        } catch (error) {
+            this.showMessage(error.message, 'error');
+            return false;
+        }
+    }
+
+    /**
+     * Delete a script asset; objects using it keep a copy of its code
+     */
+    deleteScript(assetId) {
+        return this.scriptManager.deleteScript(assetId);
+    }
+
+    /**
+     * Rename an object
+     * @returns {boolean} True if the name changed
+     */
+    renameObject(id, newName) {
+        const object = this.sceneManager.objects.get(id);
+        if (!object || object.name === newName) return false;
+        
+        this.executeCommand(new RenameObjectCommand(id, object.name, newName));
+        return true;
+    }
+
+    /**
+     * Set an object property (see SceneManager.setObjectProperty)
+     * @returns {boolean} True if the value changed
+     */
+    setObjectProperty(id, propertyPath, value) {
+        const oldValue = this.sceneManager.getObjectProperty(id, propertyPath);
+        if (oldValue === undefined || oldValue === value ||
+            (oldValue && typeof oldValue.equals === 'function' && oldValue.equals(value))) {
+            return false;
+        }
+        
+        const newValue = value && typeof value.clone === 'function' ? value.clone() : value;
+        this.executeCommand(new PropertyChangeCommand(id, propertyPath, oldValue, newValue));
+        return true;
+    }
+
+    /**
+     * Set a property of one of an object's materials (see MaterialManager.setProperty)
+     * @returns {boolean} True if the material changed
+     * @throws {Error} If the value is not valid for the material
+     */
+    setMaterialProperty(objectId, slot, property, value) {
+        return this.changeMaterial(objectId, slot, (object) => {
+            this.materialManager.setProperty(object, slot, property, value);
         });
+    }
+
+    /**
+     * Replace one of an object's materials with a copy of a built-in material
+     * @returns {boolean} True if the material changed
+     * @throws {Error} If the material asset doesn't exist
+     */
+    applyMaterialAsset(objectId, slot, assetId) {
+        return this.changeMaterial(objectId, slot, (object) => {
+            this.materialManager.applyMaterialAsset(object, slot, assetId);
+        });
+    }
+
+    /**
+     * Make a material change and record it in the history
+     */
+    changeMaterial(objectId, slot, change) {
+        const object = this.sceneManager.objects.get(objectId);
+        if (!object) return false;
         
-        if (selectedObjects.length > 0) {
-            console.log(`Duplicated ${selectedObjects.length} object(s)`);
+        const oldState = this.materialManager.captureSlot(object, slot);
+        change(object);
+        const newState = this.materialManager.captureSlot(object, slot);
+        
+        const unchanged = oldState.material === newState.material &&
+            Object.keys(newState.values).every(key => oldState.values[key] === newState.values[key]);
+        if (unchanged) return false;
+        
+        if (this.canRecordHistory()) {
+            this.recordCommand(new MaterialCommand(objectId, slot, oldState, newState));
+        }
+        return true;
+    }
+
+    /**
+     * Add a component to an object. Types that allow multiple instances get
+     * another instance; for other types the existing component is returned.
+     * @returns {Object|null} The component
+     */
+    addComponent(entityId, componentName, data = {}) {
+        const componentKey = this.componentSystem.getComponentKey(entityId, componentName);
+        if (this.componentSystem.hasComponent(entityId, componentKey)) {
+            return this.componentSystem.getComponent(entityId, componentKey);
         }
+        
+        const command = new ComponentAddCommand(entityId, componentKey, data);
+        this.executeCommand(command);
+        return this.componentSystem.getComponent(entityId, componentKey);
     }
 
     /**
-     * Execute a command (for undo/redo system)
+     * Remove a component from an object
+     * @param {string} componentName - Component key, or a type for its first instance
+     * @returns {boolean} True if the component was removed
+     */
+    removeComponent(entityId, componentName) {
+        const component = this.componentSystem.getComponent(entityId, componentName);
+        if (!component) return false;
+        
+        this.executeCommand(new ComponentRemoveCommand(entityId, component.componentKey, component.serialize()));
+        return true;
+    }
+
+    /**
+     * Move a component to another position among the components of its object
+     * @param {string} componentName - Component key, or a type for its first instance
+     * @param {number} index - New position
+     * @returns {boolean} True if the component moved
+     */
+    moveComponent(entityId, componentName, index) {
+        const component = this.componentSystem.getComponent(entityId, componentName);
+        if (!component) return false;
+        
+        const componentKeys = this.componentSystem.getComponentNames(entityId);
+        const oldIndex = componentKeys.indexOf(component.componentKey);
+        const newIndex = Math.max(0, Math.min(componentKeys.length - 1, index));
+        if (oldIndex === newIndex) return false;
+        
+        this.executeCommand(new ComponentMoveCommand(entityId, component.componentKey, oldIndex, newIndex));
+        return true;
+    }
+
+    /**
+     * Set a component property (see ComponentSystem.setComponentProperty).
+     * The value is checked and converted against the component's schema first.
+     * @returns {boolean} True if the value changed
+     * @throws {Error} If the value is not valid for the property
+     */
+    setComponentProperty(entityId, componentName, property, value) {
+        const component = this.componentSystem.getComponent(entityId, componentName);
+        if (!component) return false;
+        
+        value = this.componentSystem.validateComponentProperty(entityId, componentName, property, value);
+        
+        const oldValue = EditorCore.copyValue(ComponentSystem.getPropertyValue(component, property));
+        if (JSON.stringify(oldValue) === JSON.stringify(value)) return false;
+        
+        this.executeCommand(new ComponentPropertyCommand(entityId, componentName, property, oldValue, EditorCore.copyValue(value)));
+        return true;
+    }
+
+    /**
+     * Copy plain data values so history entries don't share objects with the scene
+     */
+    static copyValue(value) {
+        return value !== null && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value;
+    }
+
+    /**
+     * Whether scene changes are currently recorded in the history.
+     * Changes made in play mode, while loading or by a running command are not.
+     */
+    canRecordHistory() {
+        return this.editorMode === 'edit' && this.historySuspended === 0 && this.applyingCommand === 0;
+    }
+
+    /**
+     * Stop recording scene changes until resumeHistory() is called
+     */
+    suspendHistory() {
+        this.historySuspended++;
+    }
+
+    /**
+     * Resume recording scene changes
+     */
+    resumeHistory() {
+        this.historySuspended = Math.max(0, this.historySuspended - 1);
+    }
+
+    /**
+     * Execute a command and add it to the history
      */
     executeCommand(command) {
-        // Remove any commands after current index
-        this.commandHistory = this.commandHistory.slice(0, this.commandIndex + 1);
+        this.applyingCommand++;
+        try {
+            command.execute();
+        } finally {
+            this.applyingCommand--;
+        }
+        
+        if (this.canRecordHistory()) {
+            this.recordCommand(command);
+        }
+    }
+
+    /**
+     * Add a command that has already been carried out to the history
+     */
+    recordCommand(command) {
+        // Undone commands can't be redone once something new happens
+        const discarded = this.commandHistory.splice(this.commandIndex + 1);
         
         // Add new command
         this.commandHistory.push(command);
@@ -444,23 +888,63 @@ class EditorCore {
         
         // Limit history size
         if (this.commandHistory.length > this.maxHistorySize) {
-            this.commandHistory.shift();
+            discarded.push(this.commandHistory.shift());
             this.commandIndex--;
         }
         
-        // Execute command
-        command.execute();
+        this.releaseCommands(discarded);
         
         this.eventBus.emit(EventBus.Events.EDITOR_COMMAND_EXECUTED, { command });
     }
 
+    /**
+     * Clear the undo/redo history
+     */
+    clearHistory() {
+        const discarded = this.commandHistory;
+        this.commandHistory = [];
+        this.commandIndex = -1;
+        this.releaseCommands(discarded);
+    }
+
+    /**
+     * Free the objects held by commands that have left the history
+     */
+    releaseCommands(commands) {
+        const objects = [];
+        commands.forEach(command => objects.push(...command.getObjects()));
+        this.releaseObjects(objects);
+    }
+
+    /**
+     * Dispose removed objects that neither the scene nor the history still uses
+     */
+    releaseObjects(objects) {
+        const retained = new Set();
+        this.commandHistory.forEach(command => command.getObjects().forEach(object => retained.add(object)));
+        this.sceneManager.getPlayStateObjects().forEach(object => retained.add(object));
+        
+        new Set(objects).forEach(object => {
+            if (!retained.has(object) && this.sceneManager.objects.get(object.id) !== object) {
+                this.sceneManager.disposeObject(object);
+            }
+        });
+    }
+
     /**
      * Undo last command
      */
     undo() {
         if (this.commandIndex >= 0) {
             const command = this.commandHistory[this.commandIndex];
-            command.undo();
+            this.applyingCommand++;
+            try {
+                command.undo();
+            } catch (error) {
+                console.error('Undo failed:', error);
+            } finally {
+                this.applyingCommand--;
+            }
             this.commandIndex--;
             console.log('Undo:', command.constructor.name);
         }
@@ -473,7 +957,14 @@ class EditorCore {
         if (this.commandIndex < this.commandHistory.length - 1) {
             this.commandIndex++;
             const command = this.commandHistory[this.commandIndex];
-            command.execute();
+            this.applyingCommand++;
+            try {
+                command.execute();
+            } catch (error) {
+                console.error('Redo failed:', error);
+            } finally {
+                this.applyingCommand--;
+            }
             console.log('Redo:', command.constructor.name);
         }
     }
@@ -486,25 +977,15 @@ class EditorCore {
             const projectData = {
                 project: this.project,
                 scene: this.sceneManager.exportScene(),
+                prefabs: this.prefabManager.exportPrefabs(),
                 plugins: this.pluginManager? this.pluginManager.getLoadedPlugins() : [],
                 settings: this.settings
             };
             
-            // Create a JSON blob and download it to the user's PC
-            const jsonString = JSON.stringify(projectData, null, 2);
-            const blob = new Blob([jsonString], { type: 'application/json' });
-            
-            // Create download link
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `${this.project.name.replace(/[^a-z0-9]/gi, '_').toLowerCase()}_scene.json`;
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            
-            // Clean up
-            URL.revokeObjectURL(url);
+            // Pack the project with its imported files and download it to the user's PC
+            const bundle = this.projectBundle.pack(projectData);
+            const blob = new Blob([bundle], { type: 'application/zip' });
+            this.downloadFile(blob, `${this.getProjectFileName()}.3dproj`);
             
             this.project.modified = new Date();
             console.log('Project saved successfully to local machine');
@@ -518,21 +999,52 @@ class EditorCore {
 
     /**
      * Load project
+     * @param {Object|string} projectData - Project data or its JSON string
+     * @param {Object} [options] - `sources` and `assets` unpacked from a project bundle
      */
-    async loadProject(projectData) {
+    async loadProject(projectData, options = {}) {
         try {
             if (typeof projectData === 'string') {
                 projectData = JSON.parse(projectData);
             }
             
+            const sources = options.sources || new Map();
+            
+            // Script assets of the project come back with its embedded assets
+            this.scriptManager.clearScripts();
+            
+            // Restore embedded assets before the scene that may use them
+            if (options.assets && this.assetManager) {
+                for (const entry of options.assets) {
+                    if (!sources.has(entry.path)) {
+                        console.warn(`Embedded asset ${entry.id} is missing from the bundle`);
+                        continue;
+                    }
+                    try {
+                        await this.assetManager.importEmbeddedAsset(entry, sources.get(entry.path));
+                    } catch (error) {
+                        console.warn(`Failed to restore asset ${entry.id}:`, error);
+                    }
+                }
+            }
+            
             // Load project info
             if (projectData.project) {
                 this.project = { ...this.project, ...projectData.project };
             }
             
-            // Load scene
+            // Prefabs come before the scene so instances can find them
+            this.prefabManager.importPrefabs(projectData.prefabs || [], sources);
+            
+            // Load scene. Restored objects are the starting point, not undoable edits.
             if (projectData.scene) {
-                this.sceneManager.importScene(projectData.scene);
+                this.suspendHistory();
+                try {
+                    await this.sceneManager.importScene(projectData.scene, sources);
+                } finally {
+                    this.resumeHistory();
+                }
+                this.clearHistory();
             }
             
             // Load settings
@@ -571,7 +1083,15 @@ class EditorCore {
         }
         
         // Clear scene
-        this.sceneManager.clearScene();
+        this.suspendHistory();
+        try {
+            this.sceneManager.clearScene();
+        } finally {
+            this.resumeHistory();
+        }
+        
+        this.prefabManager.clearPrefabs();
+        this.scriptManager.clearScripts();
         
         // Reset project
         this.project = {
@@ -582,8 +1102,7 @@ class EditorCore {
         };
         
         // Clear command history
-        this.commandHistory = [];
-        this.commandIndex = -1;
+        this.clearHistory();
         
         console.log('New project created');
         this.showMessage('New project created', 'info');
@@ -593,24 +1112,29 @@ class EditorCore {
      * Open project from file
      */
     openProject() {
-        // Create a file input to select JSON files from the user's PC
+        // Create a file input to select project bundles or plain JSON projects
         const fileInput = document.createElement('input');
         fileInput.type = 'file';
-        fileInput.accept = '.json';
+        fileInput.accept = '.3dproj,.json';
         fileInput.style.display = 'none';
         
         fileInput.addEventListener('change', async (event) => {
             const file = event.target.files[0];
             if (file) {
                 try {
-                    const text = await file.text();
-                    const projectData = JSON.parse(text);
+                    const buffer = await file.arrayBuffer();
                     
                     // Load the project
-                    await this.loadProject(projectData);
+                    if (this.projectBundle.isBundle(buffer)) {
+                        const { projectData, sources, assets } = this.projectBundle.unpack(buffer);
+                        await this.loadProject(projectData, { sources, assets });
+                    } else {
+                        const projectData = JSON.parse(new TextDecoder().decode(buffer));
+                        await this.loadProject(projectData);
+                    }
                     
                     // Update project name from filename
-                    const fileName = file.name.replace('.json', '');
+                    const fileName = file.name.replace(/\.(3dproj|json)$/, '');
                     this.project.name = fileName;
                     
                     console.log('Project loaded from file:', fileName);
@@ -618,7 +1142,7 @@ class EditorCore {
                     
                 } catch (error) {
                     console.error('Failed to load project from file:', error);
-                    this.showError('Failed to load project', 'Invalid JSON file or corrupted project data');
+                    this.showError('Failed to load project', 'Invalid project file or corrupted project data');
                 }
             }
             
@@ -631,6 +1155,56 @@ class EditorCore {
         fileInput.click();
     }
 
+    /**
+     * Export the scene or the selected objects as glTF
+     * @param {Object} [options] - `binary` for a .glb file, `selectionOnly` to export the selection
+     */
+    async exportGLTF(options = {}) {
+        try {
+            const result = await this.sceneManager.exportGLTF({
+                ...options,
+                name: this.project.name
+            });
+            
+            const extension = options.binary ? 'glb' : 'gltf';
+            const blob = options.binary
+                ? new Blob([result], { type: 'model/gltf-binary' })
+                : new Blob([JSON.stringify(result, null, 2)], { type: 'model/gltf+json' });
+            this.downloadFile(blob, `${this.getProjectFileName()}.${extension}`);
+            
+            console.log(`Exported ${options.selectionOnly ? 'selection' : 'scene'} as ${extension.toUpperCase()}`);
+            this.showMessage(`Exported ${options.selectionOnly ? 'selection' : 'scene'} as ${extension.toUpperCase()}`, 'success');
+            
+        } catch (error) {
+            console.error('Failed to export glTF:', error);
+            this.showError('Failed to export glTF', error.message);
+        }
+    }
+
+    /**
+     * Get the project name in a form usable as a file name
+     */
+    getProjectFileName() {
+        return this.project.name.replace(/[^a-z0-9]/gi, '_').toLowerCase();
+    }
+
+    /**
+     * Download a blob to the user's PC
+     */
+    downloadFile(blob, fileName) {
+        // Create download link
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        
+        // Clean up
+        URL.revokeObjectURL(url);
+    }
+
     /**
      * Check if there are unsaved changes
      */
@@ -730,6 +1304,16 @@ class EditorCore {
         
         // console.log(`PlayScene called - wasPaused: ${wasPaused}, new mode: ${this.editorMode}`);
         
+        // Remember the scene, so stopping play mode can undo what physics and scripts changed
+        if (this.sceneManager && !wasPaused) {
+            this.sceneManager.storePlayState();
+        }
+        
+        // Scripts read input while the scene plays
+        if (!wasPaused) {
+            this.inputManager.start();
+        }
+        
         // Initialize or resume script components
         if (this.componentSystem) {
             if (wasPaused) {
@@ -785,11 +1369,18 @@ class EditorCore {
             this.componentSystem.resetScriptExecution();
         }
         
-        // Reset all object positions to their initial state
+        // Put the scene back as it was before playing; none of this is recorded in the history
         if (this.sceneManager && wasPlaying) {
-            this.sceneManager.resetObjectPositions();
+            this.suspendHistory();
+            try {
+                this.sceneManager.restorePlayState();
+            } finally {
+                this.resumeHistory();
+            }
         }
         
+        this.inputManager.stop();
+        
         this.eventBus.emit(EventBus.Events.SCENE_STOP, { timestamp: Date.now() });
         // console.log('SCENE_STOP event emitted');
         this.showMessage('Scene stopped - back to edit mode', 'info');
@@ -841,39 +1432,96 @@ class Command {
     undo() {
         throw new Error('Command.undo() must be implemented');
     }
+    
+    /**
+     * Scene objects this command keeps alive while it is in the history
+     */
+    getObjects() {
+        return [];
+    }
 }
 
-class CreateObjectCommand extends Command {
-    constructor(object) {
+/**
+ * Runs several commands as a single undo step
+ */
+class CompoundCommand extends Command {
+    constructor(commands) {
         super();
-        this.object = object;
+        this.commands = commands;
     }
     
     execute() {
-        // Object is already created, just track it
+        this.commands.forEach(command => command.execute());
     }
     
     undo() {
-        // Remove the object
-        const editor = EditorCore.getInstance();
-        editor.sceneManager.removeObject(this.object.id);
+        this.commands.slice().reverse().forEach(command => command.undo());
+    }
+    
+    getObjects() {
+        return this.commands.flatMap(command => command.getObjects());
     }
 }
 
-class DeleteObjectCommand extends Command {
-    constructor(object) {
+/**
+ * Base for commands that take an object out of the scene and put it back.
+ * The object record and its mesh are kept as they are, so restoring brings
+ * back the original mesh, materials and children; components are rebuilt
+ * from their serialized data.
+ */
+class ObjectPresenceCommand extends Command {
+    constructor(object, components = null, index) {
         super();
         this.object = object;
+        this.components = components;
+        this.index = index;
+    }
+    
+    isInScene() {
+        const editor = EditorCore.getInstance();
+        return editor.sceneManager.objects.get(this.object.id) === this.object;
+    }
+    
+    removeFromScene() {
+        if (!this.isInScene()) return;
+        
+        const editor = EditorCore.getInstance();
+        this.index = Array.from(editor.sceneManager.objects.keys()).indexOf(this.object.id);
+        this.components = editor.componentSystem.serializeEntity(this.object.id);
+        editor.sceneManager.removeObject(this.object.id);
+    }
+    
+    restoreToScene() {
+        if (this.isInScene()) return;
+        
+        const editor = EditorCore.getInstance();
+        editor.sceneManager.addSceneObject(this.object, { index: this.index });
+        editor.componentSystem.deserializeEntity(this.object.id, this.components || {});
     }
     
+    getObjects() {
+        return [this.object];
+    }
+}
+
+class CreateObjectCommand extends ObjectPresenceCommand {
     execute() {
-        // Object is already deleted, just track it
+        // The object is already in the scene the first time; redo puts it back
+        this.restoreToScene();
     }
     
     undo() {
-        // Recreate the object
-        const editor = EditorCore.getInstance();
-        editor.sceneManager.addObject(this.object.type, this.object.properties);
+        this.removeFromScene();
+    }
+}
+
+class DeleteObjectCommand extends ObjectPresenceCommand {
+    execute() {
+        this.removeFromScene();
+    }
+    
+    undo() {
+        this.restoreToScene();
     }
 }
 
@@ -887,24 +1535,64 @@ class TransformObjectCommand extends Command {
     
     execute() {
         const editor = EditorCore.getInstance();
-        const object = editor.sceneManager.objects.get(this.objectId);
-        if (object && object.mesh) {
-            object.mesh.position.copy(this.newTransform.position);
-            object.mesh.rotation.copy(this.newTransform.rotation);
-            object.mesh.scale.copy(this.newTransform.scale);
-            Object.assign(object.properties, this.newTransform);
-        }
+        editor.sceneManager.setObjectTransform(this.objectId, this.newTransform);
     }
     
     undo() {
         const editor = EditorCore.getInstance();
-        const object = editor.sceneManager.objects.get(this.objectId);
-        if (object && object.mesh) {
-            object.mesh.position.copy(this.oldTransform.position);
-            object.mesh.rotation.copy(this.oldTransform.rotation);
-            object.mesh.scale.copy(this.oldTransform.scale);
-            Object.assign(object.properties, this.oldTransform);
-        }
+        editor.sceneManager.setObjectTransform(this.objectId, this.oldTransform);
+    }
+}
+
+/**
+ * Moves an object in the hierarchy. Undo puts it back at its old index and
+ * restores the exact local transform it had.
+ */
+class ReparentObjectCommand extends Command {
+    constructor(objectId, oldPlacement, newPlacement) {
+        super();
+        this.objectId = objectId;
+        this.oldPlacement = oldPlacement;
+        this.newPlacement = newPlacement;
+    }
+    
+    execute() {
+        const editor = EditorCore.getInstance();
+        editor.sceneManager.moveObject(this.objectId, this.newPlacement.parentId, { beforeId: this.newPlacement.beforeId });
+    }
+    
+    undo() {
+        const editor = EditorCore.getInstance();
+        editor.sceneManager.moveObject(this.objectId, this.oldPlacement.parentId, { index: this.oldPlacement.index });
+        editor.sceneManager.setObjectTransform(this.objectId, this.oldPlacement.transform);
+    }
+}
+
+/**
+ * Replaces a prefab with the state of one of its instances. The other
+ * instances follow the prefab both ways; the source instance is left as it is.
+ */
+class PrefabApplyCommand extends Command {
+    constructor(assetId, rootId, oldState, newState) {
+        super();
+        this.assetId = assetId;
+        this.rootId = rootId;
+        this.oldState = oldState;
+        this.newState = newState;
+    }
+    
+    execute() {
+        this.applyState(this.newState);
+    }
+    
+    undo() {
+        this.applyState(this.oldState);
+    }
+    
+    applyState(state) {
+        const prefabManager = EditorCore.getInstance().prefabManager;
+        prefabManager.setLinks(state.links);
+        prefabManager.updatePrefab(this.assetId, state.data, { exceptRootId: this.rootId });
     }
 }
 
@@ -919,27 +1607,57 @@ class PropertyChangeCommand extends Command {
     
     execute() {
         const editor = EditorCore.getInstance();
-        const object = editor.sceneManager.objects.get(this.objectId);
-        if (object) {
-            this.setNestedProperty(object.properties, this.propertyPath, this.newValue);
-        }
+        editor.sceneManager.setObjectProperty(this.objectId, this.propertyPath, this.newValue);
     }
     
     undo() {
+        const editor = EditorCore.getInstance();
+        editor.sceneManager.setObjectProperty(this.objectId, this.propertyPath, this.oldValue);
+    }
+}
+
+class MaterialCommand extends Command {
+    constructor(objectId, slot, oldState, newState) {
+        super();
+        this.objectId = objectId;
+        this.slot = slot;
+        this.oldState = oldState;
+        this.newState = newState;
+    }
+    
+    execute() {
+        this.applyState(this.newState);
+    }
+    
+    undo() {
+        this.applyState(this.oldState);
+    }
+    
+    applyState(state) {
         const editor = EditorCore.getInstance();
         const object = editor.sceneManager.objects.get(this.objectId);
         if (object) {
-            this.setNestedProperty(object.properties, this.propertyPath, this.oldValue);
+            editor.materialManager.restoreSlot(object, this.slot, state);
         }
     }
+}
+
+class RenameObjectCommand extends Command {
+    constructor(objectId, oldName, newName) {
+        super();
+        this.objectId = objectId;
+        this.oldName = oldName;
+        this.newName = newName;
+    }
     
-    setNestedProperty(obj, path, value) {
-        const keys = path.split('.');
-        const lastKey = keys.pop();
-        const target = keys.reduce((current, key) => current[key], obj);
-        if (target && target.hasOwnProperty(lastKey)) {
-            target[lastKey] = value;
-        }
+    execute() {
+        const editor = EditorCore.getInstance();
+        editor.sceneManager.renameObject(this.objectId, this.newName);
+    }
+    
+    undo() {
+        const editor = EditorCore.getInstance();
+        editor.sceneManager.renameObject(this.objectId, this.oldName);
     }
 }
 
@@ -953,17 +1671,16 @@ class ComponentAddCommand extends Command {
     
     execute() {
         const editor = EditorCore.getInstance();
-        const object = editor.sceneManager.objects.get(this.objectId);
-        if (object && object.components) {
-            object.components.set(this.componentType, this.componentData);
-        }
+        editor.componentSystem.addComponent(this.objectId, this.componentType, EditorCore.copyValue(this.componentData));
     }
     
     undo() {
         const editor = EditorCore.getInstance();
-        const object = editor.sceneManager.objects.get(this.objectId);
-        if (object && object.components) {
-            object.components.delete(this.componentType);
+        const component = editor.componentSystem.getComponent(this.objectId, this.componentType);
+        if (component) {
+            // Redo brings the component back as it was edited after being added
+            this.componentData = component.serialize();
+            editor.componentSystem.removeComponent(this.objectId, this.componentType);
         }
     }
 }
@@ -974,22 +1691,60 @@ class ComponentRemoveCommand extends Command {
         this.objectId = objectId;
         this.componentType = componentType;
         this.componentData = componentData;
+        this.index = -1;
     }
     
     execute() {
         const editor = EditorCore.getInstance();
-        const object = editor.sceneManager.objects.get(this.objectId);
-        if (object && object.components) {
-            object.components.delete(this.componentType);
-        }
+        // Undo puts the component back in its place
+        this.index = editor.componentSystem.getComponentNames(this.objectId).indexOf(this.componentType);
+        editor.componentSystem.removeComponent(this.objectId, this.componentType);
     }
     
     undo() {
         const editor = EditorCore.getInstance();
-        const object = editor.sceneManager.objects.get(this.objectId);
-        if (object && object.components) {
-            object.components.set(this.componentType, this.componentData);
-        }
+        editor.componentSystem.addComponent(this.objectId, this.componentType, EditorCore.copyValue(this.componentData), this.index);
+    }
+}
+
+class ComponentMoveCommand extends Command {
+    constructor(objectId, componentType, oldIndex, newIndex) {
+        super();
+        this.objectId = objectId;
+        this.componentType = componentType;
+        this.oldIndex = oldIndex;
+        this.newIndex = newIndex;
+    }
+    
+    execute() {
+        const editor = EditorCore.getInstance();
+        editor.componentSystem.moveComponent(this.objectId, this.componentType, this.newIndex);
+    }
+    
+    undo() {
+        const editor = EditorCore.getInstance();
+        editor.componentSystem.moveComponent(this.objectId, this.componentType, this.oldIndex);
+    }
+}
+
+class ComponentPropertyCommand extends Command {
+    constructor(objectId, componentType, property, oldValue, newValue) {
+        super();
+        this.objectId = objectId;
+        this.componentType = componentType;
+        this.property = property;
+        this.oldValue = oldValue;
+        this.newValue = newValue;
+    }
+    
+    execute() {
+        const editor = EditorCore.getInstance();
+        editor.componentSystem.setComponentProperty(this.objectId, this.componentType, this.property, EditorCore.copyValue(this.newValue));
+    }
+    
+    undo() {
+        const editor = EditorCore.getInstance();
+        editor.componentSystem.setComponentProperty(this.objectId, this.componentType, this.property, EditorCore.copyValue(this.oldValue));
     }
 }
 
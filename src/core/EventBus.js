@@ -236,9 +236,12 @@ EventBus.Events = {
     OBJECT_DELETED: 'object:deleted',
     OBJECT_SELECTED: 'object:selected',
     OBJECT_DESELECTED: 'object:deselected',
+    SELECTION_CHANGED: 'selection:changed',
     OBJECT_TRANSFORMED: 'object:transformed',
     OBJECT_RENAMED: 'object:renamed',
+    OBJECT_REPARENTED: 'object:reparented',
     OBJECT_PROPERTY_CHANGED: 'object:property_changed',
+    MATERIAL_CHANGED: 'object:material_changed',
     TRANSFORM_COMMAND: 'transform:command',
     
     // Component events
@@ -260,6 +263,14 @@ EventBus.Events = {
     ASSET_LOADED: 'asset:loaded',
     ASSET_IMPORTED: 'asset:imported',
     ASSET_DELETED: 'asset:deleted',
+    PREFAB_CREATED: 'prefab:created',
+    PREFAB_UPDATED: 'prefab:updated',
+    SCRIPT_CREATED: 'script:created',
+    SCRIPT_CHANGED: 'script:changed',
+    
+    // Input events
+    GAMEPAD_CONNECTED: 'input:gamepad_connected',
+    GAMEPAD_DISCONNECTED: 'input:gamepad_disconnected',
     
     // Plugin events
     PLUGIN_LOADED: 'plugin:loaded',
@@ -0,0 +1,802 @@
+/**
+ * InputManager - Keyboard, mouse, touch and gamepad input for scripts in play mode
+ * Tracks what is held and what was pressed or released during the current
+ * frame, the pointer position and movement, the wheel and touches. Gamepads
+ * are polled every frame through a provider (the browser's Gamepad API, or a
+ * MockGamepadProvider) and their buttons and axes are named through a mapping.
+ * Named actions ("Jump") map to bindings ("Space", "Mouse Left", "Gamepad A")
+ * that are kept in the project settings.
+ */
+class InputManager {
+    constructor(editorCore) {
+        this.editorCore = editorCore;
+        this.active = false;
+        this.listeners = [];
+        this.gamepadProvider = null; // null reads the browser's gamepads
+        this.reset();
+    }
+
+    /**
+     * Forget all input state
+     */
+    reset() {
+        this.keys = new Map(); // Map of key code to the names the key is known by while it is held
+        this.keysDown = new Set();
+        this.keysUp = new Set();
+        this.buttons = new Set();
+        this.buttonsDown = new Set();
+        this.buttonsUp = new Set();
+        this.pointer = null;
+        this.pointerDelta = { x: 0, y: 0 };
+        this.wheelDelta = { x: 0, y: 0 };
+        this.touches = new Map(); // Map of pointer ID to touch
+        this.gamepads = new Map(); // Map of gamepad index to its mapped state
+        this.gamepadButtonsDown = new Set(); // 'index:button' entries
+        this.gamepadButtonsUp = new Set();
+    }
+
+    /**
+     * Start listening for input (when play mode starts)
+     */
+    start() {
+        if (this.active) return;
+        this.active = true;
+        this.reset();
+
+        const canvas = this.editorCore.sceneManager.renderer.domElement;
+        this.listen(window, 'keydown', (event) => this.onKeyDown(event));
+        this.listen(window, 'keyup', (event) => this.onKeyUp(event));
+        this.listen(window, 'blur', () => this.releaseAll());
+        this.listen(canvas, 'pointerdown', (event) => this.onPointerDown(event));
+        this.listen(window, 'pointermove', (event) => this.onPointerMove(event));
+        this.listen(window, 'pointerup', (event) => this.onPointerUp(event));
+        this.listen(window, 'pointercancel', (event) => this.onPointerUp(event));
+        this.listen(canvas, 'wheel', (event) => this.onWheel(event));
+    }
+
+    /**
+     * Stop listening for input (when play mode stops)
+     */
+    stop() {
+        this.listeners.forEach(({ target, type, handler }) => target.removeEventListener(type, handler));
+        this.listeners = [];
+        this.active = false;
+        this.reset();
+    }
+
+    listen(target, type, handler) {
+        target.addEventListener(type, handler);
+        this.listeners.push({ target, type, handler });
+    }
+
+    /**
+     * Read the devices that are polled rather than reporting events; called before scripts update
+     */
+    beginFrame() {
+        this.pollGamepads();
+    }
+
+    /**
+     * Clear what happened during the frame; called after scripts have updated
+     */
+    endFrame() {
+        this.keysDown.clear();
+        this.keysUp.clear();
+        this.buttonsDown.clear();
+        this.buttonsUp.clear();
+        this.gamepadButtonsDown.clear();
+        this.gamepadButtonsUp.clear();
+        this.pointerDelta = { x: 0, y: 0 };
+        this.wheelDelta = { x: 0, y: 0 };
+
+        this.touches.forEach((touch, id) => {
+            if (touch.phase === 'ended' || touch.phase === 'canceled') {
+                this.touches.delete(id);
+            } else {
+                touch.phase = 'stationary';
+                touch.deltaX = 0;
+                touch.deltaY = 0;
+            }
+        });
+    }
+
+    /**
+     * Release everything that is held, e.g. when the window loses focus
+     */
+    releaseAll() {
+        this.keys.forEach(names => names.forEach(name => this.keysUp.add(name)));
+        this.keys.clear();
+        this.buttons.forEach(button => this.buttonsUp.add(button));
+        this.buttons.clear();
+    }
+
+    /**
+     * Use another source of gamepads, such as a MockGamepadProvider
+     * @param {Object|null} provider - Object with getGamepads(), or null for the browser's gamepads
+     */
+    setGamepadProvider(provider) {
+        this.gamepadProvider = provider;
+    }
+
+    getGamepadProvider() {
+        if (this.gamepadProvider) return this.gamepadProvider;
+        return typeof navigator !== 'undefined' && navigator.getGamepads ? navigator : null;
+    }
+
+    /**
+     * Read the connected gamepads through their mappings, note the buttons
+     * that went down or up and report gamepads that connected or disconnected
+     */
+    pollGamepads() {
+        const provider = this.getGamepadProvider();
+        const pads = provider ? Array.from(provider.getGamepads() || []) : [];
+        const connected = new Set();
+
+        pads.forEach(pad => {
+            if (!pad || !pad.connected) return;
+            connected.add(pad.index);
+
+            let previous = this.gamepads.get(pad.index);
+            if (previous && previous.id !== pad.id) {
+                // Another gamepad took the slot between two frames
+                this.releaseGamepad(previous);
+                previous = null;
+            }
+
+            const state = this.readGamepad(pad);
+            Object.entries(state.buttons).forEach(([name, button]) => {
+                const wasPressed = !!previous && !!previous.buttons[name] && previous.buttons[name].pressed;
+                if (button.pressed && !wasPressed) {
+                    this.gamepadButtonsDown.add(`${pad.index}:${name}`);
+                } else if (!button.pressed && wasPressed) {
+                    this.gamepadButtonsUp.add(`${pad.index}:${name}`);
+                }
+            });
+            this.gamepads.set(pad.index, state);
+
+            if (!previous) {
+                console.log(`Gamepad ${pad.index} connected: ${pad.id}`);
+                this.editorCore.eventBus.emit(EventBus.Events.GAMEPAD_CONNECTED, { index: pad.index, id: pad.id });
+            }
+        });
+
+        this.gamepads.forEach((state, index) => {
+            if (!connected.has(index)) {
+                this.releaseGamepad(state);
+            }
+        });
+    }
+
+    /**
+     * Forget a gamepad that went away; the buttons it held count as released
+     */
+    releaseGamepad(state) {
+        Object.entries(state.buttons).forEach(([name, button]) => {
+            if (button.pressed) {
+                this.gamepadButtonsUp.add(`${state.index}:${name}`);
+            }
+        });
+        this.gamepads.delete(state.index);
+
+        console.log(`Gamepad ${state.index} disconnected: ${state.id}`);
+        this.editorCore.eventBus.emit(EventBus.Events.GAMEPAD_DISCONNECTED, { index: state.index, id: state.id });
+    }
+
+    /**
+     * Name the buttons and axes of a gamepad through its mapping and apply the dead zone
+     * @returns {Object} `{ index, id, buttons: { [name]: { pressed, value } }, axes: { [name]: value } }`
+     */
+    readGamepad(pad) {
+        const mapping = this.getGamepadMapping(pad);
+        const state = { index: pad.index, id: pad.id, buttons: {}, axes: {} };
+
+        Object.entries(mapping.buttons).forEach(([name, index]) => {
+            const button = pad.buttons[index];
+            // Old implementations report buttons as plain numbers
+            const value = typeof button === 'number' ? button : (button ? button.value : 0);
+            const pressed = typeof button === 'number' ? button > 0.5 : !!(button && button.pressed);
+            state.buttons[name] = { pressed, value };
+        });
+
+        Object.entries(mapping.axes).forEach(([name, index]) => {
+            const value = Number(pad.axes[index]) || 0;
+            state.axes[name] = InputManager.applyDeadZone(value, this.getDeadZone());
+        });
+
+        // Sticks get a radial dead zone, so diagonals aren't cut off
+        Object.values(InputManager.STICKS).forEach(([xAxis, yAxis]) => {
+            if (!(xAxis in mapping.axes) || !(yAxis in mapping.axes)) return;
+
+            const stick = InputManager.applyStickDeadZone(
+                Number(pad.axes[mapping.axes[xAxis]]) || 0,
+                Number(pad.axes[mapping.axes[yAxis]]) || 0,
+                this.getDeadZone()
+            );
+            state.axes[xAxis] = stick.x;
+            state.axes[yAxis] = stick.y;
+        });
+
+        return state;
+    }
+
+    /**
+     * The mapping for a gamepad: a custom mapping whose key is part of the
+     * gamepad's ID, otherwise the standard layout
+     * @returns {Object} `{ buttons: { [name]: index }, axes: { [name]: index } }`
+     */
+    getGamepadMapping(pad) {
+        const mappings = this.getInputSettings().gamepadMappings || {};
+        const key = Object.keys(mappings).find(pattern => pad.id && pad.id.includes(pattern));
+        return key ? mappings[key] : InputManager.STANDARD_MAPPING;
+    }
+
+    /**
+     * Map the buttons and axes of gamepads that don't use the standard layout
+     * @param {string} idPattern - Text contained in the gamepad ID, e.g. a vendor/product code
+     * @param {Object} mapping - `{ buttons: { A: 1, ... }, axes: { LeftX: 0, ... } }`,
+     *   using the names of InputManager.STANDARD_MAPPING
+     * @throws {Error} If a name or index is not valid
+     */
+    setGamepadMapping(idPattern, mapping) {
+        if (!idPattern) {
+            throw new Error('Gamepad ID is required');
+        }
+
+        const validate = (group) => {
+            const entries = Object.entries((mapping && mapping[group]) || {});
+            entries.forEach(([name, index]) => {
+                if (!(name in InputManager.STANDARD_MAPPING[group])) {
+                    throw new Error(`Unknown gamepad ${group === 'buttons' ? 'button' : 'axis'}: ${name}`);
+                }
+                if (!Number.isInteger(index) || index < 0) {
+                    throw new Error(`Gamepad ${name} needs a button or axis number`);
+                }
+            });
+            return Object.fromEntries(entries);
+        };
+
+        const settings = this.getInputSettings();
+        settings.gamepadMappings = Object.assign({}, settings.gamepadMappings, {
+            [idPattern]: { buttons: validate('buttons'), axes: validate('axes') }
+        });
+    }
+
+    removeGamepadMapping(idPattern) {
+        const settings = this.getInputSettings();
+        if (settings.gamepadMappings) {
+            delete settings.gamepadMappings[idPattern];
+        }
+    }
+
+    /**
+     * Fraction of stick and axis travel that is ignored around the center
+     */
+    getDeadZone() {
+        const deadZone = this.getInputSettings().deadZone;
+        return typeof deadZone === 'number' ? deadZone : InputManager.DEFAULT_DEAD_ZONE;
+    }
+
+    /**
+     * @throws {Error} If the dead zone is not a number
+     */
+    setDeadZone(deadZone) {
+        const value = Number(deadZone);
+        if (typeof deadZone === 'string' && deadZone.trim() === '' || !isFinite(value)) {
+            throw new Error('Dead zone must be a number');
+        }
+        this.getInputSettings().deadZone = Math.min(0.95, Math.max(0, value));
+    }
+
+    onKeyDown(event) {
+        const code = event.code || event.key;
+        if (InputManager.isTyping(event) || event.repeat || this.keys.has(code)) return;
+
+        const names = InputManager.getKeyNames(event);
+        this.keys.set(code, names);
+        names.forEach(name => this.keysDown.add(name));
+    }
+
+    onKeyUp(event) {
+        // The names the key went down with; the key value may differ now that modifiers changed
+        const code = event.code || event.key;
+        const names = this.keys.get(code);
+        if (!names) return;
+
+        this.keys.delete(code);
+        names.forEach(name => this.keysUp.add(name));
+    }
+
+    onPointerDown(event) {
+        const position = this.toViewport(event);
+
+        if (event.pointerType === 'touch') {
+            this.touches.set(event.pointerId, {
+                id: event.pointerId,
+                x: position.x,
+                y: position.y,
+                deltaX: 0,
+                deltaY: 0,
+                phase: 'began'
+            });
+            return;
+        }
+
+        this.pointer = position;
+        if (!this.buttons.has(event.button)) {
+            this.buttons.add(event.button);
+            this.buttonsDown.add(event.button);
+        }
+    }
+
+    onPointerMove(event) {
+        const position = this.toViewport(event);
+
+        if (event.pointerType === 'touch') {
+            const touch = this.touches.get(event.pointerId);
+            if (touch) {
+                touch.deltaX += position.x - touch.x;
+                touch.deltaY += position.y - touch.y;
+                touch.x = position.x;
+                touch.y = position.y;
+                if (touch.phase !== 'began') {
+                    touch.phase = 'moved';
+                }
+            }
+            return;
+        }
+
+        if (this.pointer) {
+            this.pointerDelta.x += position.x - this.pointer.x;
+            this.pointerDelta.y += position.y - this.pointer.y;
+        }
+        this.pointer = position;
+    }
+
+    onPointerUp(event) {
+        if (event.pointerType === 'touch') {
+            const touch = this.touches.get(event.pointerId);
+            if (touch) {
+                const position = this.toViewport(event);
+                touch.x = position.x;
+                touch.y = position.y;
+                touch.phase = event.type === 'pointercancel' ? 'canceled' : 'ended';
+            }
+            return;
+        }
+
+        if (this.buttons.delete(event.button)) {
+            this.buttonsUp.add(event.button);
+        }
+    }
+
+    onWheel(event) {
+        this.wheelDelta.x += event.deltaX;
+        this.wheelDelta.y += event.deltaY;
+    }
+
+    /**
+     * Convert client coordinates to pixels from the top left corner of the viewport
+     */
+    toViewport(event) {
+        const rect = this.editorCore.sceneManager.renderer.domElement.getBoundingClientRect();
+        return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+    }
+
+    /**
+     * Whether a key is held. Keys are named by code ('Space', 'KeyW', 'ArrowUp')
+     * or by the character they type ('w'), ignoring case.
+     */
+    getKey(name) {
+        const key = String(name).toLowerCase();
+        return Array.from(this.keys.values()).some(names => names.includes(key));
+    }
+
+    /**
+     * Whether a key went down this frame
+     */
+    getKeyDown(name) {
+        return this.keysDown.has(String(name).toLowerCase());
+    }
+
+    /**
+     * Whether a key was released this frame
+     */
+    getKeyUp(name) {
+        return this.keysUp.has(String(name).toLowerCase());
+    }
+
+    /**
+     * Whether a mouse button is held (0 left, 1 middle, 2 right)
+     */
+    getMouseButton(button) {
+        return this.buttons.has(button);
+    }
+
+    getMouseButtonDown(button) {
+        return this.buttonsDown.has(button);
+    }
+
+    getMouseButtonUp(button) {
+        return this.buttonsUp.has(button);
+    }
+
+    /**
+     * Pointer position over the viewport in pixels, or null before the pointer has moved
+     */
+    getMousePosition() {
+        return this.pointer ? { ...this.pointer } : null;
+    }
+
+    /**
+     * How far the pointer moved this frame, in pixels
+     */
+    getMouseDelta() {
+        return { ...this.pointerDelta };
+    }
+
+    /**
+     * How far the wheel scrolled this frame
+     */
+    getWheelDelta() {
+        return { ...this.wheelDelta };
+    }
+
+    /**
+     * Current touches as `{ id, x, y, deltaX, deltaY, phase }`, where phase is
+     * 'began', 'moved', 'stationary', 'ended' or 'canceled'
+     */
+    getTouches() {
+        return Array.from(this.touches.values()).map(touch => ({ ...touch }));
+    }
+
+    /**
+     * Connected gamepads with their mapped buttons and axes
+     * @returns {Array<Object>} `{ index, id, buttons: { [name]: { pressed, value } }, axes: { [name]: value } }`
+     */
+    getGamepads() {
+        return Array.from(this.gamepads.values()).map(state => ({
+            index: state.index,
+            id: state.id,
+            buttons: JSON.parse(JSON.stringify(state.buttons)),
+            axes: { ...state.axes }
+        }));
+    }
+
+    /**
+     * Whether a gamepad button ('A', 'DpadUp', 'RT', ...) is held
+     * @param {string} button - Button name from the mapping
+     * @param {number} [index] - Gamepad index; any gamepad when left out
+     */
+    getGamepadButton(button, index) {
+        return this.getGamepadStates(index).some(state => !!state.buttons[button] && state.buttons[button].pressed);
+    }
+
+    getGamepadButtonDown(button, index) {
+        return InputManager.hasGamepadEvent(this.gamepadButtonsDown, button, index);
+    }
+
+    getGamepadButtonUp(button, index) {
+        // Also covers gamepads that disconnected this frame with the button held
+        return InputManager.hasGamepadEvent(this.gamepadButtonsUp, button, index);
+    }
+
+    /**
+     * Value of a gamepad axis ('LeftX', 'LeftY', 'RightX', 'RightY') after the
+     * dead zone, from -1 to 1. Without an index, the gamepad pushing the axis furthest counts.
+     */
+    getGamepadAxis(axis, index) {
+        return this.getGamepadStates(index).reduce((result, state) => {
+            const value = state.axes[axis] || 0;
+            return Math.abs(value) > Math.abs(result) ? value : result;
+        }, 0);
+    }
+
+    /**
+     * States of one gamepad, or of all of them
+     */
+    getGamepadStates(index) {
+        if (index === undefined) {
+            return Array.from(this.gamepads.values());
+        }
+        const state = this.gamepads.get(index);
+        return state ? [state] : [];
+    }
+
+    /**
+     * Whether any binding of an action is held
+     */
+    getButton(action) {
+        return this.getBindings(action).some(binding => this.getBindingState(binding).held);
+    }
+
+    /**
+     * Whether an action was triggered this frame
+     */
+    getButtonDown(action) {
+        return this.getBindings(action).some(binding => this.getBindingState(binding).down);
+    }
+
+    /**
+     * Whether an action was released this frame
+     */
+    getButtonUp(action) {
+        return this.getBindings(action).some(binding => this.getBindingState(binding).up);
+    }
+
+    /**
+     * State of one binding
+     * @returns {Object} `{ held, down, up }`
+     */
+    getBindingState(binding) {
+        const { device, control } = InputManager.parseBinding(binding);
+
+        if (device === 'keyboard') {
+            return { held: this.getKey(control), down: this.getKeyDown(control), up: this.getKeyUp(control) };
+        }
+        if (device === 'mouse') {
+            return {
+                held: this.getMouseButton(control),
+                down: this.getMouseButtonDown(control),
+                up: this.getMouseButtonUp(control)
+            };
+        }
+
+        return {
+            held: this.getGamepadButton(control),
+            down: this.getGamepadButtonDown(control),
+            up: this.getGamepadButtonUp(control)
+        };
+    }
+
+    /**
+     * Everything the query methods can answer this frame, as plain data.
+     * Sandboxed scripts read their input from this.
+     */
+    getSnapshot() {
+        const actions = {};
+        Object.keys(this.getActions()).forEach(action => {
+            actions[action] = {
+                held: this.getButton(action),
+                down: this.getButtonDown(action),
+                up: this.getButtonUp(action)
+            };
+        });
+
+        return {
+            keys: [].concat(...this.keys.values()),
+            keysDown: Array.from(this.keysDown),
+            keysUp: Array.from(this.keysUp),
+            buttons: Array.from(this.buttons),
+            buttonsDown: Array.from(this.buttonsDown),
+            buttonsUp: Array.from(this.buttonsUp),
+            mousePosition: this.getMousePosition(),
+            mouseDelta: this.getMouseDelta(),
+            wheelDelta: this.getWheelDelta(),
+            touches: this.getTouches(),
+            gamepads: this.getGamepads(),
+            gamepadButtonsDown: Array.from(this.gamepadButtonsDown),
+            gamepadButtonsUp: Array.from(this.gamepadButtonsUp),
+            actions
+        };
+    }
+
+    /**
+     * The action bindings of the project: `{ [action]: [binding, ...] }`
+     */
+    getActions() {
+        const settings = this.getInputSettings();
+        if (!settings.actions) {
+            settings.actions = {};
+        }
+        return settings.actions;
+    }
+
+    /**
+     * The input part of the project settings
+     */
+    getInputSettings() {
+        const settings = this.editorCore.settings;
+        if (!settings.input) {
+            settings.input = {};
+        }
+        return settings.input;
+    }
+
+    /**
+     * Get the bindings of an action
+     * @returns {string[]} Bindings, empty for an unknown action
+     */
+    getBindings(action) {
+        return this.hasAction(action) ? this.getActions()[action] : [];
+    }
+
+    /**
+     * Whether an action exists. Actions are a plain object, so names such as
+     * 'constructor' must not find what the object inherits.
+     * @param {string} action - Action name
+     * @returns {boolean}
+     */
+    hasAction(action) {
+        return Object.prototype.hasOwnProperty.call(this.getActions(), action);
+    }
+
+    /**
+     * Create or update an action
+     * @param {string} action - Action name
+     * @param {string[]|string} bindings - Bindings, or a comma-separated list of them
+     * @throws {Error} If the name is empty or a binding is not valid
+     */
+    setAction(action, bindings) {
+        const name = String(action || '').trim();
+        if (!name) {
+            throw new Error('Action name is required');
+        }
+        if (name === '__proto__') {
+            throw new Error(`'${name}' can't be used as an action name`);
+        }
+
+        if (typeof bindings === 'string') {
+            bindings = bindings.split(',');
+        }
+        bindings = bindings.map(binding => binding.trim()).filter(binding => binding);
+        bindings.forEach(binding => InputManager.parseBinding(binding));
+
+        this.getActions()[name] = bindings;
+    }
+
+    /**
+     * Rename an action, keeping its bindings
+     * @throws {Error} If the action doesn't exist or the new name is empty or taken
+     */
+    renameAction(action, newName) {
+        const actions = this.getActions();
+        const name = String(newName || '').trim();
+        if (!this.hasAction(action)) {
+            throw new Error(`Action '${action}' not found`);
+        }
+        if (!name) {
+            throw new Error('Action name is required');
+        }
+        if (name === '__proto__') {
+            throw new Error(`'${name}' can't be used as an action name`);
+        }
+        if (name === action) return;
+        if (this.hasAction(name)) {
+            throw new Error(`Action '${name}' already exists`);
+        }
+
+        // Rebuild the object so the action keeps its place in the list
+        const renamed = {};
+        Object.keys(actions).forEach(key => {
+            renamed[key === action ? name : key] = actions[key];
+        });
+        this.editorCore.settings.input.actions = renamed;
+    }
+
+    removeAction(action) {
+        if (!this.hasAction(action)) return;
+        delete this.getActions()[action];
+    }
+
+    /**
+     * Split a binding into its device and control:
+     * 'Space' or 'KeyW' (keyboard), 'Mouse Left' (or 'Mouse 0'), 'Gamepad A'
+     * @returns {Object} `{ device, control }`
+     * @throws {Error} If the binding is not valid
+     */
+    static parseBinding(binding) {
+        const text = String(binding).trim();
+        const [prefix, ...rest] = text.split(/\s+/);
+        const control = rest.join(' ');
+
+        if (prefix.toLowerCase() === 'mouse') {
+            const button = InputManager.MOUSE_BUTTONS.indexOf(control.toLowerCase());
+            const index = button !== -1 ? button : (/^[0-4]$/.test(control) ? Number(control) : -1);
+            if (index === -1) {
+                throw new Error(`Unknown mouse button in '${text}'`);
+            }
+            return { device: 'mouse', control: index };
+        }
+
+        if (prefix.toLowerCase() === 'gamepad') {
+            const button = Object.keys(InputManager.STANDARD_MAPPING.buttons)
+                .find(name => name.toLowerCase() === control.toLowerCase());
+            if (!button) {
+                throw new Error(`Unknown gamepad button in '${text}'`);
+            }
+            return { device: 'gamepad', control: button };
+        }
+
+        if (!text || control) {
+            throw new Error(`Unknown key '${text}'`);
+        }
+        return { device: 'keyboard', control: text };
+    }
+
+    /**
+     * Whether a set of 'index:button' entries has a button, on one gamepad or any
+     */
+    static hasGamepadEvent(events, button, index) {
+        return index === undefined
+            ? Array.from(events).some(entry => entry.endsWith(`:${button}`))
+            : events.has(`${index}:${button}`);
+    }
+
+    /**
+     * Ignore small movements of a single axis and rescale the rest to the full range
+     */
+    static applyDeadZone(value, deadZone) {
+        const magnitude = Math.abs(value);
+        if (magnitude <= deadZone) return 0;
+        return Math.sign(value) * Math.min(1, (magnitude - deadZone) / (1 - deadZone));
+    }
+
+    /**
+     * Dead zone for a stick, applied to the distance from the center
+     * @returns {Object} `{ x, y }`
+     */
+    static applyStickDeadZone(x, y, deadZone) {
+        const magnitude = Math.sqrt(x * x + y * y);
+        if (magnitude <= deadZone) {
+            return { x: 0, y: 0 };
+        }
+        const scale = Math.min(1, (magnitude - deadZone) / (1 - deadZone)) / magnitude;
+        return { x: x * scale, y: y * scale };
+    }
+
+    /**
+     * Names a key can be asked for by: its code and the character it types, lower case
+     */
+    static getKeyNames(event) {
+        const names = [(event.code || event.key).toLowerCase()];
+        const key = event.key === ' ' ? 'space' : event.key.toLowerCase();
+        if (!names.includes(key)) {
+            names.push(key);
+        }
+        return names;
+    }
+
+    /**
+     * Whether a key event is typing into a text field rather than playing
+     */
+    static isTyping(event) {
+        const target = event.target;
+        return !!target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+    }
+}
+
+// Mouse button names by button number
+InputManager.MOUSE_BUTTONS = ['left', 'middle', 'right', 'back', 'forward'];
+
+// The W3C standard gamepad layout; custom mappings use the same names
+InputManager.STANDARD_MAPPING = {
+    buttons: {
+        A: 0, B: 1, X: 2, Y: 3,
+        LB: 4, RB: 5, LT: 6, RT: 7,
+        Back: 8, Start: 9, LS: 10, RS: 11,
+        DpadUp: 12, DpadDown: 13, DpadLeft: 14, DpadRight: 15,
+        Home: 16
+    },
+    axes: { LeftX: 0, LeftY: 1, RightX: 2, RightY: 3 }
+};
+
+// Axis pairs that get a radial dead zone
+InputManager.STICKS = {
+    Left: ['LeftX', 'LeftY'],
+    Right: ['RightX', 'RightY']
+};
+
+InputManager.DEFAULT_DEAD_ZONE = 0.15;
+
+// Actions of new projects
+InputManager.DEFAULT_ACTIONS = {
+    Jump: ['Space', 'Gamepad A'],
+    Fire: ['Mouse Left', 'Gamepad RT']
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = InputManager;
+} else {
+    window.InputManager = InputManager;
+}
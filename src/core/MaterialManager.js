@@ -0,0 +1,379 @@
+/**
+ * MaterialManager - Edits the materials of scene objects
+ * Every material on an object (including the parts of imported models) is a
+ * numbered slot. Edits are kept on the object per slot, as plain values and
+ * asset IDs, so they are saved with the project and reapplied to models that
+ * are rebuilt from their source file.
+ */
+class MaterialManager {
+    constructor(editorCore) {
+        this.editorCore = editorCore;
+    }
+
+    /**
+     * List the material slots of an object, in traversal order. Child objects,
+     * editor helpers and nodes owned by components are skipped.
+     * @returns {Array<Object>} `{ slot, node, index, material }` where index is the
+     *   position in the node's material array, or null for a single material
+     */
+    getSlots(object) {
+        const slots = [];
+        if (!object || !object.mesh) return slots;
+
+        const visit = (node) => {
+            if (node.userData.editorHelper || node.userData.componentOwned) return;
+
+            if (node.material) {
+                if (Array.isArray(node.material)) {
+                    node.material.forEach((material, index) => {
+                        slots.push({ slot: slots.length, node, index, material });
+                    });
+                } else {
+                    slots.push({ slot: slots.length, node, index: null, material: node.material });
+                }
+            }
+
+            node.children.forEach(child => {
+                if (!this.editorCore.sceneManager.isObjectMesh(child)) {
+                    visit(child);
+                }
+            });
+        };
+        visit(object.mesh);
+
+        return slots;
+    }
+
+    /**
+     * Get one material slot of an object
+     */
+    getSlot(object, slot) {
+        return this.getSlots(object)[slot] || null;
+    }
+
+    /**
+     * Get the texture assets that can be assigned to material maps
+     */
+    getTextureAssets() {
+        const assetManager = this.editorCore.assetManager;
+        return assetManager ? assetManager.getAllAssets().filter(asset => asset.type === 'texture' && asset.data) : [];
+    }
+
+    /**
+     * Get the built-in material assets
+     */
+    getBuiltinMaterials() {
+        const assetManager = this.editorCore.assetManager;
+        return assetManager ? assetManager.getAssetsByCategory('materials').filter(asset => asset.type === 'material') : [];
+    }
+
+    /**
+     * Find the texture asset a texture belongs to
+     * @returns {string|null} Asset ID, or null for textures that came with a model
+     */
+    getTextureAssetId(texture) {
+        const asset = this.getTextureAssets().find(candidate => candidate.data === texture);
+        return asset ? asset.id : null;
+    }
+
+    /**
+     * Describe a material slot for the inspector. Only the properties the
+     * material type supports are included.
+     * @returns {Object|null} `{ slot, name, type, values, maps }` where values holds
+     *   colors as hex numbers and maps holds texture asset IDs, '' for no
+     *   texture or 'embedded' for a texture that came with the model
+     */
+    describeSlot(object, slot) {
+        const entry = this.getSlot(object, slot);
+        if (!entry) return null;
+
+        const material = entry.material;
+        const values = {};
+        const maps = {};
+
+        this.withBaseColors(object, () => {
+            MaterialManager.PROPERTIES.forEach(property => {
+                if (material[property] === undefined) return;
+                values[property] = material[property] && material[property].isColor
+                    ? material[property].getHex()
+                    : material[property];
+            });
+        });
+
+        MaterialManager.MAPS.forEach(property => {
+            if (material[property] === undefined) return;
+            const texture = material[property];
+            maps[property] = texture ? (this.getTextureAssetId(texture) || 'embedded') : '';
+        });
+
+        return {
+            slot,
+            name: material.name || (entry.node.name && entry.node !== object.mesh ? entry.node.name : ''),
+            type: material.type,
+            values,
+            maps
+        };
+    }
+
+    /**
+     * Set a material property of a slot and record the edit on the object
+     * @param {Object} object - The scene object
+     * @param {number} slot - Material slot
+     * @param {string} property - One of MaterialManager.PROPERTIES or MaterialManager.MAPS
+     * @param {*} value - Color as hex number or '#rrggbb', number, or texture asset ID ('' for none)
+     * @throws {Error} If the slot, property or value is not valid
+     */
+    setProperty(object, slot, property, value) {
+        const entry = this.getSlot(object, slot);
+        if (!entry) {
+            throw new Error(`Material slot ${slot} not found on ${object.name}`);
+        }
+
+        const material = entry.material;
+        if (!MaterialManager.PROPERTIES.includes(property) && !MaterialManager.MAPS.includes(property)) {
+            throw new Error(`Unknown material property: ${property}`);
+        }
+        if (material[property] === undefined) {
+            throw new Error(`${material.type} has no ${property}`);
+        }
+
+        value = this.toStoredValue(property, value);
+        this.applyValue(object, material, property, value);
+        this.recordEdit(object, slot, property, value);
+
+        this.editorCore.eventBus.emit(EventBus.Events.MATERIAL_CHANGED, { id: object.id, slot, property });
+    }
+
+    /**
+     * Convert an edited value into the form stored in the object's edits
+     */
+    toStoredValue(property, value) {
+        if (MaterialManager.MAPS.includes(property)) {
+            if (!value) return null;
+            if (!this.getTextureAssets().some(asset => asset.id === value)) {
+                throw new Error(`Texture '${value}' not found`);
+            }
+            return value;
+        }
+
+        if (MaterialManager.COLORS.includes(property)) {
+            if (typeof value === 'string') {
+                value = /^#?[0-9a-f]{6}$/i.test(value) ? parseInt(value.replace('#', ''), 16) : NaN;
+            }
+            if (!Number.isInteger(value) || value < 0 || value > 0xffffff) {
+                throw new Error(`${property} must be a color`);
+            }
+            return value;
+        }
+
+        const number = typeof value === 'string' && value.trim() === '' ? NaN : Number(value);
+        if (!isFinite(number)) {
+            throw new Error(`${property} must be a number`);
+        }
+        return Math.min(1, Math.max(0, number));
+    }
+
+    /**
+     * Apply a stored value (hex color, number or texture asset ID) to a material
+     */
+    applyValue(object, material, property, value) {
+        if (MaterialManager.MAPS.includes(property)) {
+            const asset = value ? this.editorCore.assetManager.getAsset(value) : null;
+            if (value && !asset) {
+                console.warn(`Texture ${value} for ${object.name} is missing`);
+                return;
+            }
+            material[property] = asset ? asset.data : null;
+            // Adding or removing a map changes the shader
+            material.needsUpdate = true;
+            return;
+        }
+
+        this.withBaseColors(object, () => {
+            if (MaterialManager.COLORS.includes(property)) {
+                material[property].setHex(value);
+            } else {
+                material[property] = value;
+                if (property === 'opacity' && value < 1) {
+                    material.transparent = true;
+                    material.needsUpdate = true;
+                }
+            }
+        });
+    }
+
+    /**
+     * Replace the material of a slot with a copy of a built-in material.
+     * Earlier edits of the slot are dropped, since they belonged to the old material.
+     * @throws {Error} If the slot or material asset doesn't exist
+     */
+    applyMaterialAsset(object, slot, assetId) {
+        const entry = this.getSlot(object, slot);
+        if (!entry) {
+            throw new Error(`Material slot ${slot} not found on ${object.name}`);
+        }
+
+        const asset = this.getBuiltinMaterials().find(candidate => candidate.id === assetId);
+        if (!asset) {
+            throw new Error(`Material '${assetId}' not found`);
+        }
+
+        this.withBaseColors(object, () => {
+            this.setSlotMaterial(entry, asset.data.clone());
+        });
+
+        const edits = object.materials || (object.materials = {});
+        edits[slot] = { material: assetId };
+
+        this.editorCore.eventBus.emit(EventBus.Events.MATERIAL_CHANGED, { id: object.id, slot, property: 'material' });
+    }
+
+    /**
+     * Put a material into a slot
+     */
+    setSlotMaterial(entry, material) {
+        if (entry.index === null) {
+            entry.node.material = material;
+        } else {
+            const materials = entry.node.material.slice();
+            materials[entry.index] = material;
+            entry.node.material = materials;
+        }
+        entry.material = material;
+    }
+
+    /**
+     * Remember an edit so it is saved with the object
+     */
+    recordEdit(object, slot, property, value) {
+        const edits = object.materials || (object.materials = {});
+        edits[slot] = Object.assign({}, edits[slot], { [property]: value });
+    }
+
+    /**
+     * Reapply the saved edits of an object (object.materials) to its materials.
+     * Used when objects are restored, since imported models are rebuilt from
+     * their source file without them.
+     */
+    applyEdits(object) {
+        if (!object.materials) return;
+
+        const slots = this.getSlots(object);
+        Object.entries(object.materials).forEach(([slot, edits]) => {
+            const entry = slots[slot];
+            if (!entry) {
+                console.warn(`Material slot ${slot} of ${object.name} no longer exists`);
+                return;
+            }
+
+            if (edits.material) {
+                const asset = this.getBuiltinMaterials().find(candidate => candidate.id === edits.material);
+                if (asset) {
+                    this.setSlotMaterial(entry, asset.data.clone());
+                } else {
+                    console.warn(`Material ${edits.material} for ${object.name} is missing`);
+                }
+            }
+
+            Object.entries(edits).forEach(([property, value]) => {
+                if (property !== 'material' && entry.material[property] !== undefined) {
+                    this.applyValue(object, entry.material, property, value);
+                }
+            });
+        });
+    }
+
+    /**
+     * Capture the state of a slot for undo: the material itself, its values
+     * (textures by reference) and the recorded edits
+     */
+    captureSlot(object, slot) {
+        const entry = this.getSlot(object, slot);
+        if (!entry) return null;
+
+        const material = entry.material;
+        const values = { transparent: material.transparent };
+        this.withBaseColors(object, () => {
+            MaterialManager.PROPERTIES.concat(MaterialManager.MAPS).forEach(property => {
+                if (material[property] === undefined) return;
+                values[property] = material[property] && material[property].isColor
+                    ? material[property].getHex()
+                    : material[property];
+            });
+        });
+
+        return {
+            material,
+            values,
+            edits: object.materials && object.materials[slot] ? { ...object.materials[slot] } : null
+        };
+    }
+
+    /**
+     * Restore a slot to a state taken by captureSlot()
+     */
+    restoreSlot(object, slot, state) {
+        const entry = this.getSlot(object, slot);
+        if (!entry || !state) return;
+
+        this.withBaseColors(object, () => {
+            if (entry.material !== state.material) {
+                this.setSlotMaterial(entry, state.material);
+            }
+
+            const material = state.material;
+            Object.entries(state.values).forEach(([property, value]) => {
+                if (material[property] && material[property].isColor) {
+                    material[property].setHex(value);
+                } else {
+                    material[property] = value;
+                }
+            });
+            material.needsUpdate = true;
+        });
+
+        if (state.edits) {
+            const edits = object.materials || (object.materials = {});
+            edits[slot] = { ...state.edits };
+        } else if (object.materials) {
+            delete object.materials[slot];
+            if (Object.keys(object.materials).length === 0) {
+                delete object.materials;
+            }
+        }
+
+        this.editorCore.eventBus.emit(EventBus.Events.MATERIAL_CHANGED, { id: object.id, slot });
+    }
+
+    /**
+     * Run a function while the object's selection highlight is off, so
+     * emissive colors are read and written without it
+     */
+    withBaseColors(object, callback) {
+        const sceneManager = this.editorCore.sceneManager;
+        const isSelected = sceneManager.selectedObjects.has(object.id);
+        if (isSelected) {
+            sceneManager.highlightObject(object, false);
+        }
+
+        try {
+            callback();
+        } finally {
+            if (isSelected) {
+                sceneManager.highlightObject(object, true);
+            }
+        }
+    }
+}
+
+// Editable material values; properties a material type lacks are skipped
+MaterialManager.PROPERTIES = ['color', 'emissive', 'metalness', 'roughness', 'opacity'];
+MaterialManager.COLORS = ['color', 'emissive'];
+MaterialManager.MAPS = ['map', 'normalMap', 'roughnessMap', 'metalnessMap', 'emissiveMap'];
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MaterialManager;
+} else {
+    window.MaterialManager = MaterialManager;
+}
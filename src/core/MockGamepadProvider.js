@@ -0,0 +1,105 @@
+/**
+ * MockGamepadProvider - Simulated gamepads for trying out gamepad input without a controller
+ * Hand it to InputManager.setGamepadProvider() in place of the browser's Gamepad API.
+ * Gamepads use the standard layout; buttons and axes can be set by number or by
+ * their InputManager.STANDARD_MAPPING name.
+ */
+class MockGamepadProvider {
+    constructor() {
+        this.gamepads = [];
+    }
+
+    /**
+     * Plug in a gamepad
+     * @param {string} [id] - Gamepad ID
+     * @param {Object} [options] - `buttons` and `axes` counts and `mapping` ('standard' or '')
+     * @returns {Object} The gamepad, shaped like a Gamepad API gamepad
+     */
+    connect(id = 'Mock Gamepad', options = {}) {
+        let index = this.gamepads.findIndex(pad => !pad);
+        if (index === -1) {
+            index = this.gamepads.length;
+        }
+
+        const gamepad = {
+            index,
+            id,
+            connected: true,
+            mapping: options.mapping !== undefined ? options.mapping : 'standard',
+            timestamp: Date.now(),
+            buttons: Array.from({ length: options.buttons || 17 }, () => ({ pressed: false, touched: false, value: 0 })),
+            axes: new Array(options.axes || 4).fill(0)
+        };
+        this.gamepads[index] = gamepad;
+
+        return gamepad;
+    }
+
+    /**
+     * Unplug a gamepad
+     */
+    disconnect(index) {
+        const gamepad = this.gamepads[index];
+        if (gamepad) {
+            gamepad.connected = false;
+            this.gamepads[index] = null;
+        }
+    }
+
+    /**
+     * Press or release a button
+     * @param {number} index - Gamepad index
+     * @param {number|string} button - Button number or name ('A', 'RT', ...)
+     * @param {boolean|number} value - true/false, or an analog value from 0 to 1
+     */
+    setButton(index, button, value) {
+        const gamepad = this.getConnected(index);
+        const number = typeof button === 'string' ? InputManager.STANDARD_MAPPING.buttons[button] : button;
+        if (!gamepad.buttons[number]) {
+            throw new Error(`Gamepad ${index} has no button ${button}`);
+        }
+
+        const amount = typeof value === 'boolean' ? (value ? 1 : 0) : value;
+        gamepad.buttons[number] = { pressed: amount > 0.5, touched: amount > 0, value: amount };
+        gamepad.timestamp = Date.now();
+    }
+
+    /**
+     * Move an axis
+     * @param {number} index - Gamepad index
+     * @param {number|string} axis - Axis number or name ('LeftX', ...)
+     * @param {number} value - From -1 to 1
+     */
+    setAxis(index, axis, value) {
+        const gamepad = this.getConnected(index);
+        const number = typeof axis === 'string' ? InputManager.STANDARD_MAPPING.axes[axis] : axis;
+        if (number === undefined || number >= gamepad.axes.length) {
+            throw new Error(`Gamepad ${index} has no axis ${axis}`);
+        }
+
+        gamepad.axes[number] = Math.min(1, Math.max(-1, value));
+        gamepad.timestamp = Date.now();
+    }
+
+    getConnected(index) {
+        const gamepad = this.gamepads[index];
+        if (!gamepad) {
+            throw new Error(`No gamepad connected at ${index}`);
+        }
+        return gamepad;
+    }
+
+    /**
+     * Same shape as navigator.getGamepads(): slots of disconnected gamepads are null
+     */
+    getGamepads() {
+        return this.gamepads.slice();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MockGamepadProvider;
+} else {
+    window.MockGamepadProvider = MockGamepadProvider;
+}
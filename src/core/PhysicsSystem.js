@@ -0,0 +1,584 @@
+/**
+ * PhysicsSystem - Rigidbody dynamics and collider contacts for play mode
+ * Steps Rigidbody components at a fixed rate, resolves contacts between
+ * Collider shapes (oriented boxes and spheres; mesh colliders use the bounds
+ * of the mesh) and reports collision and trigger enter/stay/exit to Script
+ * components.
+ * Also answers the raycast and overlap queries of scripts.
+ */
+class PhysicsSystem {
+    constructor(componentSystem) {
+        this.componentSystem = componentSystem;
+        this.gravity = new THREE.Vector3(0, -9.81, 0);
+        this.fixedTimeStep = 1 / 60;
+        this.maxSubSteps = 5;
+        this.accumulator = 0;
+        this.triggerPairs = new Map(); // Map of pair key to { a, b } entity IDs currently overlapping
+        this.collisionPairs = new Map(); // Map of pair key to { a, b, contact } for solid contacts
+    }
+
+    /**
+     * Advance the simulation by a frame's time, in fixed steps
+     * @param {number} deltaTime - Frame time in seconds
+     * @returns {number} Number of steps taken
+     */
+    update(deltaTime) {
+        this.accumulator = Math.min(this.accumulator + deltaTime, this.fixedTimeStep * this.maxSubSteps);
+
+        let steps = 0;
+        while (this.accumulator >= this.fixedTimeStep) {
+            this.step(this.fixedTimeStep);
+            this.accumulator -= this.fixedTimeStep;
+            steps++;
+        }
+        return steps;
+    }
+
+    /**
+     * Run one fixed simulation step: integrate bodies, then resolve contacts and report collisions and triggers
+     */
+    step(dt) {
+        const bodies = this.getBodies();
+
+        bodies.forEach(body => {
+            if (body.rigidbody && body.rigidbody.isDynamic()) {
+                this.integrate(body, dt);
+            }
+        });
+
+        const overlapping = new Map();
+        const touching = new Map();
+
+        for (let i = 0; i < bodies.length; i++) {
+            for (let j = i + 1; j < bodies.length; j++) {
+                const a = bodies[i];
+                const b = bodies[j];
+                if (!a.collider || !b.collider) continue;
+
+                const isTrigger = a.collider.isTrigger || b.collider.isTrigger;
+                if (!isTrigger && this.getInverseMass(a) + this.getInverseMass(b) === 0) continue;
+
+                // Bodies may have moved while resolving earlier contacts
+                const contact = PhysicsSystem.collide(a.collider.getWorldShape(), b.collider.getWorldShape());
+                if (!contact) continue;
+
+                if (isTrigger) {
+                    overlapping.set(`${a.id}|${b.id}`, { a: a.id, b: b.id });
+                } else {
+                    // Velocities before the contact is resolved, as seen from a
+                    const relativeVelocity = this.getVelocity(b).sub(this.getVelocity(a));
+                    touching.set(`${a.id}|${b.id}`, { a: a.id, b: b.id, contact: { normal: contact.normal.clone(), relativeVelocity } });
+                    this.resolveContact(a, b, contact);
+                }
+            }
+        }
+
+        this.updateCollisions(touching);
+        this.updateTriggers(overlapping);
+    }
+
+    /**
+     * Velocity of a body; bodies without a Rigidbody don't move
+     */
+    getVelocity(body) {
+        return body.rigidbody ? body.rigidbody.velocity.clone() : new THREE.Vector3();
+    }
+
+    /**
+     * Collect the entities taking part in the simulation: every enabled
+     * Collider and every Rigidbody
+     * @returns {Array<Object>} `{ id, object, rigidbody, collider }`
+     */
+    getBodies() {
+        const sceneManager = EditorCore.getInstance().sceneManager;
+        const bodies = [];
+
+        this.componentSystem.entityComponents.forEach((components, id) => {
+            const rigidbody = components.get('Rigidbody') || null;
+            let collider = components.get('Collider') || null;
+            if (collider && !collider.enabled) {
+                collider = null;
+            }
+
+            const object = sceneManager.objects.get(id);
+            if ((rigidbody || collider) && object && object.mesh) {
+                bodies.push({ id, object, rigidbody, collider });
+            }
+        });
+
+        return bodies;
+    }
+
+    /**
+     * Apply gravity, forces and drag to a body and move it
+     */
+    integrate(body, dt) {
+        const rigidbody = body.rigidbody;
+        const velocity = rigidbody.velocity;
+
+        if (rigidbody.useGravity) {
+            velocity.addScaledVector(this.gravity, dt);
+        }
+        velocity.addScaledVector(rigidbody.force, dt / rigidbody.mass);
+        rigidbody.force.set(0, 0, 0);
+
+        if (rigidbody.drag > 0) {
+            velocity.multiplyScalar(1 / (1 + rigidbody.drag * dt));
+        }
+
+        if (velocity.lengthSq() > 0) {
+            this.translate(body.object, velocity.clone().multiplyScalar(dt));
+        }
+    }
+
+    /**
+     * Inverse mass of a body; static colliders and kinematic bodies don't move in contacts
+     */
+    getInverseMass(body) {
+        return body.rigidbody && body.rigidbody.isDynamic() ? 1 / body.rigidbody.mass : 0;
+    }
+
+    /**
+     * Push two overlapping bodies apart and remove the velocity that moves them into each other
+     * @param {Object} contact - `{ normal, depth }` with the normal pointing from a to b
+     */
+    resolveContact(a, b, contact) {
+        const inverseMassA = this.getInverseMass(a);
+        const inverseMassB = this.getInverseMass(b);
+        const total = inverseMassA + inverseMassB;
+        const normal = contact.normal;
+
+        if (inverseMassA > 0) {
+            this.translate(a.object, normal.clone().multiplyScalar(-contact.depth * inverseMassA / total));
+        }
+        if (inverseMassB > 0) {
+            this.translate(b.object, normal.clone().multiplyScalar(contact.depth * inverseMassB / total));
+        }
+
+        const velocityA = inverseMassA > 0 ? a.rigidbody.velocity : new THREE.Vector3();
+        const velocityB = inverseMassB > 0 ? b.rigidbody.velocity : new THREE.Vector3();
+        const approach = velocityB.clone().sub(velocityA).dot(normal);
+        if (approach < 0) {
+            const impulse = -approach / total;
+            velocityA.addScaledVector(normal, -impulse * inverseMassA);
+            velocityB.addScaledVector(normal, impulse * inverseMassB);
+        }
+    }
+
+    /**
+     * Report trigger overlaps that started, continue or ended this step
+     * @param {Map} overlapping - Pairs overlapping now
+     */
+    updateTriggers(overlapping) {
+        this.reportPairs(overlapping, this.triggerPairs, 'onTrigger');
+        this.triggerPairs = overlapping;
+    }
+
+    /**
+     * Report solid contacts that started, continue or ended this step. Besides
+     * the other object, the hooks get `{ normal, relativeVelocity }`: the normal
+     * points toward the other object and the velocity is the other's relative
+     * to the object's own.
+     * @param {Map} touching - Pairs in contact now
+     */
+    updateCollisions(touching) {
+        this.reportPairs(touching, this.collisionPairs, 'onCollision');
+        this.collisionPairs = touching;
+    }
+
+    /**
+     * Call the Enter, Stay and Exit hooks (e.g. onTriggerEnter) for pairs of objects
+     * @param {Map} current - Pairs now
+     * @param {Map} previous - Pairs at the previous step
+     * @param {string} prefix - Hook name without Enter, Stay or Exit
+     */
+    reportPairs(current, previous, prefix) {
+        const objects = EditorCore.getInstance().sceneManager.objects;
+        const notify = (pair, hookName) => {
+            const objectA = objects.get(pair.a);
+            const objectB = objects.get(pair.b);
+            if (!objectA || !objectB) return;
+
+            if (pair.contact) {
+                const reversed = {
+                    normal: pair.contact.normal.clone().negate(),
+                    relativeVelocity: pair.contact.relativeVelocity.clone().negate()
+                };
+                this.componentSystem.sendScriptMessage(pair.a, hookName, objectB, pair.contact);
+                this.componentSystem.sendScriptMessage(pair.b, hookName, objectA, reversed);
+            } else {
+                this.componentSystem.sendScriptMessage(pair.a, hookName, objectB);
+                this.componentSystem.sendScriptMessage(pair.b, hookName, objectA);
+            }
+        };
+
+        current.forEach((pair, key) => {
+            notify(pair, previous.has(key) ? `${prefix}Stay` : `${prefix}Enter`);
+        });
+        previous.forEach((pair, key) => {
+            if (!current.has(key)) {
+                notify(pair, `${prefix}Exit`);
+            }
+        });
+    }
+
+    /**
+     * Move an object by a world-space offset
+     */
+    translate(object, offset) {
+        const mesh = object.mesh;
+        const position = mesh.getWorldPosition(new THREE.Vector3()).add(offset);
+        if (mesh.parent) {
+            mesh.parent.worldToLocal(position);
+        }
+        mesh.position.copy(position);
+        object.properties.position.copy(position);
+        mesh.updateMatrixWorld(true);
+    }
+
+    /**
+     * Forget trigger overlaps and leftover time, e.g. when play mode stops
+     */
+    reset() {
+        this.accumulator = 0;
+        this.triggerPairs.clear();
+        this.collisionPairs.clear();
+    }
+
+    /**
+     * Cast a ray into the scene and find the nearest hit. Objects with an
+     * enabled, solid Collider are hit on the collider's shape; other objects
+     * (including those with trigger colliders) on their visible meshes.
+     * @param {THREE.Vector3} origin - Start of the ray
+     * @param {THREE.Vector3} direction - Direction of the ray, need not be normalized
+     * @param {number} [maxDistance=Infinity] - Ignore hits further away than this
+     * @param {number} [layerMask=PhysicsSystem.ALL_LAYERS] - Bit mask of the layers to hit
+     * @returns {Object|null} `{ object, point, normal, distance }` for the nearest hit, or null
+     */
+    raycast(origin, direction, maxDistance = Infinity, layerMask = PhysicsSystem.ALL_LAYERS) {
+        const ray = new THREE.Ray(new THREE.Vector3().copy(origin), new THREE.Vector3().copy(direction).normalize());
+        if (ray.direction.lengthSq() === 0) return null;
+
+        let nearest = null;
+        const consider = (object, point, normal) => {
+            const distance = point.distanceTo(ray.origin);
+            if (distance <= maxDistance && (!nearest || distance < nearest.distance)) {
+                nearest = { object, point, normal, distance };
+            }
+        };
+
+        const raycaster = new THREE.Raycaster(ray.origin, ray.direction, 0, maxDistance);
+        this.getQueryTargets(layerMask).forEach(({ object, collider }) => {
+            if (collider && !collider.isTrigger) {
+                const hit = PhysicsSystem.raycastShape(ray, collider.getWorldShape());
+                if (hit) {
+                    consider(object, hit.point, hit.normal);
+                }
+                return;
+            }
+
+            const intersect = raycaster.intersectObjects(this.getMeshNodes(object), false)[0];
+            if (intersect) {
+                const normal = intersect.face
+                    ? intersect.face.normal.clone().applyMatrix3(new THREE.Matrix3().getNormalMatrix(intersect.object.matrixWorld)).normalize()
+                    : ray.direction.clone().negate();
+                consider(object, intersect.point, normal);
+            }
+        });
+
+        return nearest;
+    }
+
+    /**
+     * Find the objects touching a sphere
+     * @param {THREE.Vector3} center - Center of the sphere
+     * @param {number} radius - Radius of the sphere
+     * @param {number} [layerMask=PhysicsSystem.ALL_LAYERS] - Bit mask of the layers to include
+     * @returns {Array<Object>} The scene objects
+     */
+    overlapSphere(center, radius, layerMask = PhysicsSystem.ALL_LAYERS) {
+        return this.overlapShape({ type: 'sphere', center: new THREE.Vector3().copy(center), radius }, layerMask);
+    }
+
+    /**
+     * Find the objects touching a box
+     * @param {THREE.Vector3} center - Center of the box
+     * @param {THREE.Vector3} halfExtents - Half of the box's size along each of its axes
+     * @param {THREE.Euler|THREE.Quaternion} [rotation] - Orientation of the box
+     * @param {number} [layerMask=PhysicsSystem.ALL_LAYERS] - Bit mask of the layers to include
+     * @returns {Array<Object>} The scene objects
+     */
+    overlapBox(center, halfExtents, rotation = null, layerMask = PhysicsSystem.ALL_LAYERS) {
+        const quaternion = new THREE.Quaternion();
+        if (rotation && rotation.isQuaternion) {
+            quaternion.copy(rotation);
+        } else if (rotation && rotation.isEuler) {
+            quaternion.setFromEuler(rotation);
+        }
+
+        return this.overlapShape({
+            type: 'box',
+            center: new THREE.Vector3().copy(center),
+            quaternion,
+            halfSize: new THREE.Vector3().copy(halfExtents)
+        }, layerMask);
+    }
+
+    /**
+     * Find the objects touching a shape. Enabled colliders (triggers included)
+     * are tested with their shape, other objects with the bounds of their visible meshes.
+     */
+    overlapShape(shape, layerMask) {
+        return this.getQueryTargets(layerMask)
+            .filter(({ object, collider }) => {
+                const targetShape = collider ? collider.getWorldShape() : this.getMeshBoundsShape(object);
+                return !!PhysicsSystem.collide(shape, targetShape);
+            })
+            .map(({ object }) => object);
+    }
+
+    /**
+     * Collect the scene objects a query can find, with their enabled Collider if they have one
+     * @returns {Array<Object>} `{ object, collider }`
+     */
+    getQueryTargets(layerMask) {
+        const objects = EditorCore.getInstance().sceneManager.objects;
+        const targets = [];
+
+        objects.forEach((object, id) => {
+            if (!object.mesh || !PhysicsSystem.isInLayerMask(object, layerMask)) return;
+
+            const collider = this.componentSystem.getComponent(id, 'Collider');
+            targets.push({ object, collider: collider && collider.enabled ? collider : null });
+        });
+
+        return targets;
+    }
+
+    /**
+     * Visible meshes that make up an object, without editor helpers, component visuals or child objects
+     */
+    getMeshNodes(object) {
+        const sceneManager = EditorCore.getInstance().sceneManager;
+        const nodes = [];
+        const visit = (node) => {
+            if (!node.visible || node.userData.editorHelper || node.userData.componentOwned) return;
+
+            if (node.isMesh) {
+                nodes.push(node);
+            }
+            node.children.forEach(child => {
+                if (!sceneManager.isObjectMesh(child)) {
+                    visit(child);
+                }
+            });
+        };
+
+        object.mesh.updateWorldMatrix(true, true);
+        visit(object.mesh);
+
+        return nodes;
+    }
+
+    /**
+     * World-space bounds of an object's visible meshes as a box shape
+     * @returns {Object|null} `{ type: 'box', center, quaternion, halfSize }`, or null without meshes
+     */
+    getMeshBoundsShape(object) {
+        const bounds = new THREE.Box3();
+        this.getMeshNodes(object).forEach(node => {
+            if (!node.geometry.boundingBox) {
+                node.geometry.computeBoundingBox();
+            }
+            bounds.union(node.geometry.boundingBox.clone().applyMatrix4(node.matrixWorld));
+        });
+        if (bounds.isEmpty()) return null;
+
+        return {
+            type: 'box',
+            center: bounds.getCenter(new THREE.Vector3()),
+            quaternion: new THREE.Quaternion(),
+            halfSize: bounds.getSize(new THREE.Vector3()).multiplyScalar(0.5)
+        };
+    }
+
+    /**
+     * Whether an object's layer (properties.layer, 0 by default) is in a layer mask
+     */
+    static isInLayerMask(object, layerMask) {
+        return (layerMask & (1 << (object.properties.layer || 0))) !== 0;
+    }
+
+    /**
+     * Build a layer mask from layer numbers, e.g. layerMask(0, 2)
+     */
+    static layerMask(...layers) {
+        return layers.reduce((mask, layer) => mask | (1 << layer), 0);
+    }
+
+    /**
+     * Intersect a ray with a collider shape
+     * @param {THREE.Ray} ray - Ray with a normalized direction
+     * @param {Object} shape - Shape from Collider.getWorldShape()
+     * @returns {Object|null} `{ point, normal }`, or null if the ray misses
+     */
+    static raycastShape(ray, shape) {
+        if (!shape) return null;
+
+        if (shape.type === 'sphere') {
+            const point = ray.intersectSphere(new THREE.Sphere(shape.center, shape.radius), new THREE.Vector3());
+            if (!point) return null;
+
+            const normal = point.clone().sub(shape.center);
+            return { point, normal: normal.lengthSq() > 0 ? normal.normalize() : ray.direction.clone().negate() };
+        }
+
+        // Intersect in the box's own space, where it is axis aligned
+        const inverse = shape.quaternion.clone().invert();
+        const localRay = new THREE.Ray(
+            ray.origin.clone().sub(shape.center).applyQuaternion(inverse),
+            ray.direction.clone().applyQuaternion(inverse)
+        );
+        const half = shape.halfSize;
+        const local = localRay.intersectBox(new THREE.Box3(half.clone().negate(), half.clone()), new THREE.Vector3());
+        if (!local) return null;
+
+        // The face hit is the one the point lies furthest out towards
+        const axes = ['x', 'y', 'z'];
+        const extents = axes.map(axis => half[axis] > 0 ? Math.abs(local[axis]) / half[axis] : 0);
+        const index = extents.indexOf(Math.max(...extents));
+        const normal = new THREE.Vector3();
+        normal[axes[index]] = local[axes[index]] < 0 ? -1 : 1;
+
+        return {
+            point: local.applyQuaternion(shape.quaternion).add(shape.center),
+            normal: normal.applyQuaternion(shape.quaternion)
+        };
+    }
+
+    /**
+     * Test two collider shapes for contact
+     * @param {Object} a - Shape from Collider.getWorldShape()
+     * @param {Object} b - Shape from Collider.getWorldShape()
+     * @returns {Object|null} `{ normal, depth }` with the normal pointing from a to b, or null
+     */
+    static collide(a, b) {
+        if (!a || !b) return null;
+
+        if (a.type === 'sphere' && b.type === 'sphere') {
+            return PhysicsSystem.collideSpheres(a, b);
+        }
+        if (a.type === 'box' && b.type === 'box') {
+            return PhysicsSystem.collideBoxes(a, b);
+        }
+        if (a.type === 'box') {
+            const contact = PhysicsSystem.collideSphereBox(b, a);
+            if (contact) {
+                contact.normal.negate();
+            }
+            return contact;
+        }
+        return PhysicsSystem.collideSphereBox(a, b);
+    }
+
+    static collideSpheres(a, b) {
+        const offset = b.center.clone().sub(a.center);
+        const distance = offset.length();
+        const depth = a.radius + b.radius - distance;
+        if (depth <= 0) return null;
+
+        const normal = distance > 1e-6 ? offset.divideScalar(distance) : new THREE.Vector3(0, 1, 0);
+        return { normal, depth };
+    }
+
+    /**
+     * Sphere against an oriented box, using the point of the box closest to the sphere
+     */
+    static collideSphereBox(sphere, box) {
+        const inverse = box.quaternion.clone().invert();
+        const local = sphere.center.clone().sub(box.center).applyQuaternion(inverse);
+        const half = box.halfSize;
+        const closest = new THREE.Vector3(
+            THREE.MathUtils.clamp(local.x, -half.x, half.x),
+            THREE.MathUtils.clamp(local.y, -half.y, half.y),
+            THREE.MathUtils.clamp(local.z, -half.z, half.z)
+        );
+        const offset = local.clone().sub(closest);
+        const distance = offset.length();
+
+        let normal;
+        let depth;
+        if (distance > 1e-6) {
+            if (distance >= sphere.radius) return null;
+            // Normal from the box surface out to the sphere
+            normal = offset.divideScalar(distance);
+            depth = sphere.radius - distance;
+        } else {
+            // The sphere's center is inside the box: leave through the nearest face
+            const axes = ['x', 'y', 'z'];
+            const penetrations = axes.map(axis => half[axis] - Math.abs(local[axis]));
+            const index = penetrations.indexOf(Math.min(...penetrations));
+            normal = new THREE.Vector3();
+            normal[axes[index]] = local[axes[index]] < 0 ? -1 : 1;
+            depth = penetrations[index] + sphere.radius;
+        }
+
+        // The normal points from the box to the sphere; flip it to go from the sphere to the box
+        return { normal: normal.applyQuaternion(box.quaternion).negate(), depth };
+    }
+
+    /**
+     * Two oriented boxes, with the separating axis test. The axis of least
+     * overlap gives the contact normal.
+     */
+    static collideBoxes(a, b) {
+        const axesA = PhysicsSystem.getBoxAxes(a);
+        const axesB = PhysicsSystem.getBoxAxes(b);
+        const candidates = axesA.concat(axesB);
+        axesA.forEach(axisA => axesB.forEach(axisB => {
+            const cross = new THREE.Vector3().crossVectors(axisA, axisB);
+            // Parallel edges add no axis
+            if (cross.lengthSq() > 1e-8) {
+                candidates.push(cross.normalize());
+            }
+        }));
+
+        const offset = b.center.clone().sub(a.center);
+        const project = (axes, half, axis) =>
+            half.x * Math.abs(axes[0].dot(axis)) + half.y * Math.abs(axes[1].dot(axis)) + half.z * Math.abs(axes[2].dot(axis));
+
+        let best = null;
+        for (const axis of candidates) {
+            const distance = offset.dot(axis);
+            const overlap = project(axesA, a.halfSize, axis) + project(axesB, b.halfSize, axis) - Math.abs(distance);
+            if (overlap <= 0) return null;
+
+            if (!best || overlap < best.depth) {
+                best = { normal: distance < 0 ? axis.clone().negate() : axis.clone(), depth: overlap };
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * World-space axes of an oriented box
+     */
+    static getBoxAxes(box) {
+        return [
+            new THREE.Vector3(1, 0, 0).applyQuaternion(box.quaternion),
+            new THREE.Vector3(0, 1, 0).applyQuaternion(box.quaternion),
+            new THREE.Vector3(0, 0, 1).applyQuaternion(box.quaternion)
+        ];
+    }
+}
+
+// Layer mask that includes every layer
+PhysicsSystem.ALL_LAYERS = -1;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PhysicsSystem;
+} else {
+    window.PhysicsSystem = PhysicsSystem;
+}
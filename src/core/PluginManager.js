@@ -80,13 +80,16 @@ class PluginManager {
             deleteObject: (id) => this.editorCore.sceneManager.removeObject(id),
             selectObject: (id) => this.editorCore.sceneManager.selectObject(id),
             getSelectedObjects: () => this.editorCore.sceneManager.getSelectedObjects(),
+            setParent: (id, parentId) => this.editorCore.moveObjects([id], parentId || null),
+            createPrefab: (id, name) => this.editorCore.createPrefab(id, name),
+            instantiatePrefab: (assetId, options) => this.editorCore.instantiatePrefab(assetId, options),
             
             // Asset management
             loadAsset: (url, type) => this.editorCore.assetManager.loadAsset(url, type),
             registerAssetType: (type, loader) => this.editorCore.assetManager.registerAssetType(type, loader),
             
             // Component system
-            registerComponent: (name, componentClass) => this.editorCore.componentSystem.registerComponent(name, componentClass),
+            registerComponent: (name, componentClass, schema) => this.editorCore.componentSystem.registerComponent(name, componentClass, schema),
             addComponent: (objectId, componentName, data) => this.editorCore.componentSystem.addComponent(objectId, componentName, data),
             removeComponent: (objectId, componentName) => this.editorCore.componentSystem.removeComponent(objectId, componentName),
             
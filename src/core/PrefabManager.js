@@ -0,0 +1,537 @@
+/**
+ * PrefabManager - Reusable object templates
+ * A prefab is an asset holding the serialized records ("nodes") of an object
+ * and its children. Every object of an instance links to the node it came
+ * from, follows edits of the prefab and keeps the properties it overrides.
+ */
+class PrefabManager {
+    constructor(editorCore) {
+        this.editorCore = editorCore;
+    }
+
+    /**
+     * Get all prefab assets
+     */
+    getPrefabs() {
+        const assetManager = this.editorCore.assetManager;
+        return assetManager ? assetManager.getAssetsByCategory('prefabs') : [];
+    }
+
+    /**
+     * Get a prefab asset by ID
+     * @returns {Object|null} The prefab asset
+     */
+    getPrefab(assetId) {
+        const assetManager = this.editorCore.assetManager;
+        const asset = assetManager ? assetManager.getAsset(assetId) : null;
+        return asset && asset.type === 'prefab' ? asset : null;
+    }
+
+    /**
+     * Save an object and its children as a new prefab. The object becomes its first instance.
+     * @param {string} objectId - Root object of the prefab
+     * @param {string} [name] - Prefab name, the object's name by default
+     * @returns {Object|null} The prefab asset
+     */
+    createPrefab(objectId, name) {
+        const sceneManager = this.editorCore.sceneManager;
+        const object = sceneManager.objects.get(objectId);
+        if (!object || !this.editorCore.assetManager) {
+            console.warn(`Cannot create a prefab from object ${objectId}`);
+            return null;
+        }
+
+        const asset = this.registerPrefab(`prefab_${Date.now()}`, name || object.name, null);
+        const { data, links, sources } = this.captureNodes(asset, objectId);
+        asset.data = data;
+        asset.sources = sources;
+        this.setLinks(links);
+
+        this.editorCore.eventBus.emit(EventBus.Events.PREFAB_CREATED, { id: asset.id, asset });
+        console.log(`Created prefab ${asset.name} from ${object.name} (${objectId})`);
+        return asset;
+    }
+
+    /**
+     * Register a prefab asset with the asset manager
+     */
+    registerPrefab(id, name, data) {
+        const asset = {
+            type: 'prefab',
+            name,
+            data,
+            category: 'prefabs',
+            tags: ['prefab'],
+            metadata: {}
+        };
+        // Original files of imported models, kept so instances can still be embedded in bundles
+        asset.sources = new Map();
+        this.editorCore.assetManager.registerAsset(id, asset);
+        return asset;
+    }
+
+    /**
+     * Serialize an object and its children into prefab nodes. Objects that
+     * already belong to the prefab keep their node IDs so instances stay linked.
+     * @param {Object} asset - The prefab asset
+     * @param {string} rootId - Root object
+     * @returns {Object} `{ data, links, sources }` where links maps object IDs to their new prefab links
+     */
+    captureNodes(asset, rootId) {
+        const sceneManager = this.editorCore.sceneManager;
+        const objects = [sceneManager.objects.get(rootId), ...sceneManager.getDescendants(rootId)];
+        let nextNodeId = asset.data ? asset.data.nextNodeId : 0;
+
+        const links = new Map();
+        const usedNodeIds = new Set();
+        objects.forEach(object => {
+            const linked = object.prefab && object.prefab.assetId === asset.id && !usedNodeIds.has(object.prefab.nodeId);
+            const nodeId = linked ? object.prefab.nodeId : `node_${nextNodeId++}`;
+            usedNodeIds.add(nodeId);
+            links.set(object.id, nodeId);
+        });
+
+        const sources = new Map();
+        const nodes = objects.map(object => {
+            const node = JSON.parse(JSON.stringify(sceneManager.serializeObject(object)));
+            node.id = links.get(object.id);
+            node.parentId = object.id === rootId ? null : links.get(object.parentId);
+            node.source = null;
+            delete node.prefab;
+            if (object.source) {
+                sources.set(node.id, object.source);
+            }
+            return node;
+        });
+
+        return {
+            data: { rootNodeId: links.get(rootId), nodes, nextNodeId },
+            links: new Map(Array.from(links, ([objectId, nodeId]) => [objectId, { assetId: asset.id, nodeId }])),
+            sources
+        };
+    }
+
+    /**
+     * Link objects to prefab nodes
+     * @param {Map} links - Object IDs to `{ assetId, nodeId }`, or to null to unlink the object
+     */
+    setLinks(links) {
+        links.forEach((link, objectId) => {
+            const object = this.editorCore.sceneManager.objects.get(objectId);
+            if (!object) return;
+            if (link) {
+                object.prefab = { ...link };
+            } else {
+                delete object.prefab;
+            }
+        });
+    }
+
+    /**
+     * Current prefab links of objects, in the form setLinks() takes
+     */
+    getLinks(objectIds) {
+        const sceneManager = this.editorCore.sceneManager;
+        return new Map(objectIds.map(id => {
+            const object = sceneManager.objects.get(id);
+            return [id, object && object.prefab ? { ...object.prefab } : null];
+        }));
+    }
+
+    /**
+     * Create an instance of a prefab
+     * @param {string} assetId - The prefab
+     * @param {Object} [options] - `position` (THREE.Vector3) and `parentId` for the instance root
+     * @returns {Object|null} The root object of the instance
+     */
+    instantiate(assetId, options = {}) {
+        const asset = this.getPrefab(assetId);
+        if (!asset) {
+            console.warn(`Prefab ${assetId} not found`);
+            return null;
+        }
+
+        const objectIds = new Map();
+        let root = null;
+        asset.data.nodes.forEach(node => {
+            const isRoot = node.id === asset.data.rootNodeId;
+            const parentId = isRoot ? options.parentId || null : objectIds.get(node.parentId);
+            const object = this.restoreNode(asset, node, parentId, isRoot ? options.position : null);
+            if (object) {
+                objectIds.set(node.id, object.id);
+                root = root || object;
+            }
+        });
+
+        if (root) {
+            console.log(`Instantiated prefab ${asset.name} as ${root.id}`);
+        }
+        return root;
+    }
+
+    /**
+     * Add one prefab node to the scene as a linked object
+     */
+    restoreNode(asset, node, parentId, position = null) {
+        const sceneManager = this.editorCore.sceneManager;
+        const record = JSON.parse(JSON.stringify(node));
+        const prefix = record.type === 'imported-model' ? 'model' : 'object';
+        record.id = `${prefix}_${sceneManager.nextObjectId++}`;
+        record.parentId = parentId || null;
+        record.prefab = { assetId: asset.id, nodeId: node.id };
+        if (position) {
+            record.properties.position = position.toArray();
+        }
+
+        const object = sceneManager.restoreObject(record);
+        if (object && asset.sources.has(node.id)) {
+            object.source = asset.sources.get(node.id);
+        }
+        return object;
+    }
+
+    /**
+     * Find the root object of the instance an object belongs to
+     * @returns {Object|null} The instance root
+     */
+    getInstanceRoot(objectId) {
+        const sceneManager = this.editorCore.sceneManager;
+        let object = sceneManager.objects.get(objectId);
+        if (!object || !object.prefab) return null;
+
+        let parent = sceneManager.getParent(object.id);
+        while (parent && parent.prefab && parent.prefab.assetId === object.prefab.assetId) {
+            object = parent;
+            parent = sceneManager.getParent(object.id);
+        }
+        return object;
+    }
+
+    /**
+     * Get the linked objects of an instance, parents before children
+     */
+    getInstanceObjects(rootId) {
+        const sceneManager = this.editorCore.sceneManager;
+        const root = sceneManager.objects.get(rootId);
+        if (!root || !root.prefab) return [];
+
+        return [root, ...sceneManager.getDescendants(rootId)]
+            .filter(object => object.prefab && object.prefab.assetId === root.prefab.assetId);
+    }
+
+    /**
+     * Get the root objects of every instance of a prefab
+     */
+    getInstanceRoots(assetId) {
+        return Array.from(this.editorCore.sceneManager.objects.values()).filter(object =>
+            object.prefab && object.prefab.assetId === assetId && this.getInstanceRoot(object.id) === object);
+    }
+
+    /**
+     * Get the prefab node an object is linked to
+     * @returns {Object|null} The node record
+     */
+    getNode(objectId) {
+        const object = this.editorCore.sceneManager.objects.get(objectId);
+        const asset = object && object.prefab ? this.getPrefab(object.prefab.assetId) : null;
+        if (!asset) return null;
+        return asset.data.nodes.find(node => node.id === object.prefab.nodeId) || null;
+    }
+
+    /**
+     * Whether an object is the root of its instance. Roots keep their own
+     * position and rotation, so placing an instance is never an override.
+     */
+    isInstanceRoot(objectId) {
+        const root = this.getInstanceRoot(objectId);
+        return !!root && root.id === objectId;
+    }
+
+    /**
+     * Flatten a record into override paths: `name`, `properties.<key>`,
+     * `components.<key>` (presence) and `components.<key>.<property>`, keyed
+     * like ComponentSystem.serializeEntity
+     * @param {Object} record - Object record with name, properties and components
+     * @param {boolean} isRoot - Leave out the placement of instance roots
+     * @returns {Object} Values by path
+     */
+    getValues(record, isRoot) {
+        const values = { name: record.name };
+
+        Object.entries(record.properties || {}).forEach(([key, value]) => {
+            if (key === 'baseSize' || (isRoot && PrefabManager.ROOT_PLACEMENT.includes(key))) return;
+            values[`properties.${key}`] = value;
+        });
+
+        Object.entries(record.components || {}).forEach(([key, data]) => {
+            values[`components.${key}`] = true;
+            Object.entries(data || {}).forEach(([property, value]) => {
+                values[`components.${key}.${property}`] = value;
+            });
+        });
+
+        return values;
+    }
+
+    /**
+     * Current values of a scene object, in the shape of a prefab node
+     */
+    describeObject(object) {
+        const sceneManager = this.editorCore.sceneManager;
+        return {
+            name: object.name,
+            properties: JSON.parse(JSON.stringify(sceneManager.serializeProperties(object.properties))),
+            components: this.editorCore.componentSystem.serializeEntity(object.id)
+        };
+    }
+
+    /**
+     * List the properties of an instance object that differ from its prefab
+     * @returns {string[]|null} Override paths, or null if the object is not linked to a prefab node
+     */
+    getOverrides(objectId) {
+        const object = this.editorCore.sceneManager.objects.get(objectId);
+        const node = this.getNode(objectId);
+        if (!object || !node) return null;
+
+        const isRoot = this.isInstanceRoot(objectId);
+        const current = this.getValues(this.describeObject(object), isRoot);
+        const prefab = this.getValues(node, isRoot);
+
+        const paths = Array.from(new Set([...Object.keys(prefab), ...Object.keys(current)]))
+            .filter(path => !PrefabManager.sameValue(current[path], prefab[path]));
+
+        // An added or removed component counts once, not once per property
+        return paths.filter(path => {
+            const [group, type, property] = path.split('.');
+            return !(group === 'components' && property !== undefined && paths.includes(`components.${type}`));
+        });
+    }
+
+    /**
+     * The prefab's value for an override path of an instance object
+     */
+    getPrefabValue(objectId, path) {
+        const node = this.getNode(objectId);
+        return node ? this.getValues(node, false)[path] : undefined;
+    }
+
+    /**
+     * Replace a prefab's nodes and bring its instances up to date.
+     * Instances keep the properties that differ from the previous version of the prefab.
+     * @param {string} assetId - The prefab
+     * @param {Object} data - New prefab data (`{ rootNodeId, nodes, nextNodeId }`)
+     * @param {Object} [options] - `exceptRootId` to leave one instance as it is
+     *   (the one the new data was taken from)
+     */
+    updatePrefab(assetId, data, options = {}) {
+        const asset = this.getPrefab(assetId);
+        if (!asset) return false;
+
+        const oldData = asset.data;
+        const roots = this.getInstanceRoots(assetId).filter(root => root.id !== options.exceptRootId);
+        asset.data = data;
+
+        roots.forEach(root => this.syncInstance(asset, root.id, oldData, data));
+
+        this.editorCore.eventBus.emit(EventBus.Events.PREFAB_UPDATED, { id: assetId, asset });
+        return true;
+    }
+
+    /**
+     * Apply the changes between two versions of a prefab to one instance
+     */
+    syncInstance(asset, rootId, oldData, newData) {
+        const sceneManager = this.editorCore.sceneManager;
+        const oldNodes = new Map(oldData.nodes.map(node => [node.id, node]));
+        const newNodes = new Map(newData.nodes.map(node => [node.id, node]));
+        const objects = this.getInstanceObjects(rootId);
+
+        // Nodes taken out of the prefab
+        objects.forEach(object => {
+            const nodeId = object.prefab.nodeId;
+            if (oldNodes.has(nodeId) && !newNodes.has(nodeId) && sceneManager.objects.has(object.id)) {
+                sceneManager.removeObject(object.id);
+            }
+        });
+
+        // Nodes in both versions
+        const objectsByNode = new Map();
+        objects.forEach(object => {
+            const nodeId = object.prefab.nodeId;
+            if (!sceneManager.objects.has(object.id) || !newNodes.has(nodeId)) return;
+            if (!objectsByNode.has(nodeId)) {
+                objectsByNode.set(nodeId, object);
+            }
+            if (oldNodes.has(nodeId)) {
+                this.syncObject(object, oldNodes.get(nodeId), newNodes.get(nodeId), object.id === rootId);
+            }
+        });
+
+        // Nodes added to the prefab, parents first
+        newData.nodes.forEach(node => {
+            if (oldNodes.has(node.id) || objectsByNode.has(node.id)) return;
+            const parent = objectsByNode.get(node.parentId);
+            if (!parent) return;
+            const object = this.restoreNode(asset, node, parent.id);
+            if (object) {
+                objectsByNode.set(node.id, object);
+            }
+        });
+    }
+
+    /**
+     * Update the values of an instance object that still match the old prefab node
+     */
+    syncObject(object, oldNode, newNode, isRoot) {
+        const current = this.getValues(this.describeObject(object), isRoot);
+        const oldValues = this.getValues(oldNode, isRoot);
+        const newValues = this.getValues(newNode, isRoot);
+
+        const paths = new Set([...Object.keys(newValues), ...Object.keys(oldValues)]);
+        paths.forEach(path => {
+            // Overridden in this instance
+            if (!PrefabManager.sameValue(current[path], oldValues[path])) return;
+            if (PrefabManager.sameValue(current[path], newValues[path])) return;
+            this.applyValue(object.id, path, newValues[path], newNode);
+        });
+    }
+
+    /**
+     * Set one override path of an object
+     * @param {string} objectId - The object
+     * @param {string} path - Override path (see getValues)
+     * @param {*} value - Value in its serialized form
+     * @param {Object} node - Prefab node the value comes from, for the data of added components
+     */
+    applyValue(objectId, path, value, node) {
+        const sceneManager = this.editorCore.sceneManager;
+        const componentSystem = this.editorCore.componentSystem;
+        const [group, key, property] = path.split('.');
+
+        if (path === 'name') {
+            sceneManager.renameObject(objectId, value);
+        } else if (group === 'properties' && value !== undefined) {
+            sceneManager.setObjectProperty(objectId, key, PrefabManager.toPropertyValue(key, value));
+        } else if (group === 'components' && property === undefined) {
+            if (value && !componentSystem.hasComponent(objectId, key)) {
+                componentSystem.addComponent(objectId, key, JSON.parse(JSON.stringify(node.components[key])));
+            } else if (!value && componentSystem.hasComponent(objectId, key)) {
+                componentSystem.removeComponent(objectId, key);
+            }
+        } else if (group === 'components' && value !== undefined && componentSystem.hasComponent(objectId, key)) {
+            componentSystem.setComponentProperty(objectId, key, property, JSON.parse(JSON.stringify(value)));
+        }
+    }
+
+    /**
+     * Stop an instance from following its prefab
+     * @returns {Map} The removed links (see setLinks)
+     */
+    unpack(objectId) {
+        const root = this.getInstanceRoot(objectId);
+        if (!root) return new Map();
+
+        const links = this.getLinks(this.getInstanceObjects(root.id).map(object => object.id));
+        this.setLinks(new Map(Array.from(links.keys(), id => [id, null])));
+        return links;
+    }
+
+    /**
+     * Delete a prefab. Its instances stay in the scene as plain objects.
+     */
+    deletePrefab(assetId) {
+        if (!this.getPrefab(assetId)) return false;
+
+        this.getInstanceRoots(assetId).forEach(root => this.unpack(root.id));
+        return this.editorCore.assetManager.deleteAsset(assetId);
+    }
+
+    /**
+     * Remove all prefabs, e.g. for a new project
+     */
+    clearPrefabs() {
+        this.getPrefabs().forEach(asset => this.editorCore.assetManager.deleteAsset(asset.id));
+    }
+
+    /**
+     * Serialize prefabs for a project file. The original model files of their
+     * nodes are listed by name; ProjectBundle.pack() adds where it stored them.
+     */
+    exportPrefabs() {
+        return this.getPrefabs().map(asset => ({
+            id: asset.id,
+            name: asset.name,
+            data: asset.data,
+            sources: Array.from(asset.sources, ([nodeId, source]) => ({ nodeId, fileName: source.fileName }))
+        }));
+    }
+
+    /**
+     * Replace the prefabs with those saved in a project file
+     * @param {Array<Object>} prefabs - Records written by exportPrefabs()
+     * @param {Map<string, ArrayBuffer>} [sources] - Embedded model files by bundle path
+     */
+    importPrefabs(prefabs = [], sources = new Map()) {
+        if (!this.editorCore.assetManager) return;
+
+        this.clearPrefabs();
+        prefabs.forEach(prefab => {
+            // Prefab IDs end up in the editor's markup
+            if (typeof prefab.id !== 'string' || !AssetManager.ID_PATTERN.test(prefab.id)) {
+                console.warn(`Skipping prefab with invalid ID '${prefab.id}'`);
+                return;
+            }
+
+            // Nodes saved before a component type allowed multiple instances use the old keys
+            prefab.data.nodes.forEach(node => {
+                node.components = this.editorCore.componentSystem.normalizeComponentData(node.components);
+            });
+            const asset = this.registerPrefab(prefab.id, prefab.name, prefab.data);
+
+            (prefab.sources || []).forEach(source => {
+                if (!source.path || !sources.has(source.path)) return;
+
+                asset.sources.set(source.nodeId, {
+                    fileName: source.fileName,
+                    buffer: sources.get(source.path),
+                    resources: (source.resources || [])
+                        .filter(resource => sources.has(resource.path))
+                        .map(resource => ({ fileName: resource.fileName, buffer: sources.get(resource.path) }))
+                });
+            });
+
+            this.editorCore.eventBus.emit(EventBus.Events.PREFAB_CREATED, { id: asset.id, asset });
+        });
+    }
+
+    /**
+     * Compare serialized values
+     */
+    static sameValue(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+
+    /**
+     * Convert a serialized property value into what SceneManager.setObjectProperty expects
+     */
+    static toPropertyValue(key, value) {
+        if (key === 'position' || key === 'scale') {
+            return new THREE.Vector3().fromArray(value);
+        }
+        if (key === 'rotation') {
+            return new THREE.Euler().fromArray(value);
+        }
+        return value;
+    }
+}
+
+// Instance roots are placed freely; these properties never count as overrides
+PrefabManager.ROOT_PLACEMENT = ['position', 'rotation'];
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PrefabManager;
+} else {
+    window.PrefabManager = PrefabManager;
+}
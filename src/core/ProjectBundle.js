@@ -0,0 +1,179 @@
+/**
+ * ProjectBundle - Packs projects into self-contained .3dproj files
+ * A bundle is a zip archive holding a manifest, the project JSON and the
+ * original files of imported models, textures and scripts
+ */
+class ProjectBundle {
+    constructor(editorCore) {
+        this.editorCore = editorCore;
+    }
+
+    /**
+     * Make sure the zip library is loaded
+     */
+    ensureAvailable() {
+        if (typeof fflate === 'undefined') {
+            throw new Error('Zip support (fflate) is not loaded');
+        }
+    }
+
+    /**
+     * Check whether a file is a zip archive rather than plain project JSON
+     * @param {ArrayBuffer} buffer - File contents
+     * @returns {boolean} True for zip data
+     */
+    isBundle(buffer) {
+        const bytes = new Uint8Array(buffer, 0, Math.min(4, buffer.byteLength));
+        return bytes.length === 4 &&
+            bytes[0] === 0x50 && bytes[1] === 0x4b && bytes[2] === 0x03 && bytes[3] === 0x04;
+    }
+
+    /**
+     * Pack project data and its source files into a bundle
+     * @param {Object} projectData - Project data as built by EditorCore.saveProject()
+     * @returns {Uint8Array} Zip archive contents
+     */
+    pack(projectData) {
+        this.ensureAvailable();
+
+        const files = {};
+        const sceneManager = this.editorCore.sceneManager;
+        const assetManager = this.editorCore.assetManager;
+
+        // Imported models: store the original file (and companion files such as
+        // OBJ materials) instead of the mesh JSON. Objects sharing a file
+        // (e.g. duplicates) reference a single copy.
+        const writtenSources = new Map();
+        const writeSource = (source, folder, record) => {
+            let written = writtenSources.get(source.buffer);
+            if (!written) {
+                const path = `${folder}/${this.sanitizeFileName(source.fileName)}`;
+                files[path] = new Uint8Array(source.buffer);
+
+                const resources = (source.resources || []).map(resource => {
+                    const resourcePath = `${folder}/${this.sanitizeFileName(resource.fileName)}`;
+                    files[resourcePath] = new Uint8Array(resource.buffer);
+                    return { fileName: resource.fileName, path: resourcePath };
+                });
+
+                written = { path, resources };
+                writtenSources.set(source.buffer, written);
+            }
+
+            record.path = written.path;
+            if (written.resources.length > 0) {
+                record.resources = written.resources;
+            }
+        };
+
+        const objects = (projectData.scene && projectData.scene.objects) || [];
+        objects.forEach(record => {
+            const object = sceneManager.objects.get(record.id);
+            if (!record.source || !object || !object.source || !object.source.buffer) return;
+
+            writeSource(object.source, `assets/models/${record.id}`, record.source);
+            record.mesh = null;
+        });
+
+        // Prefab nodes made from imported models keep their files too, so new
+        // instances can still be embedded. Their mesh JSON stays in the prefab.
+        const prefabManager = this.editorCore.prefabManager;
+        (projectData.prefabs || []).forEach(prefab => {
+            const asset = prefabManager ? prefabManager.getPrefab(prefab.id) : null;
+            (prefab.sources || []).forEach(record => {
+                const source = asset && asset.sources.get(record.nodeId);
+                if (!source || !source.buffer) return;
+
+                writeSource(source, `assets/prefabs/${prefab.id}/${record.nodeId}`, record);
+            });
+        });
+
+        // Assets imported through the asset manager
+        const assets = assetManager ? assetManager.getEmbeddableAssets().map(asset => {
+            const path = `assets/${asset.type}s/${asset.id}/${this.sanitizeFileName(asset.source.fileName)}`;
+            files[path] = new Uint8Array(asset.source.buffer);
+
+            return {
+                id: asset.id,
+                type: asset.type,
+                name: asset.name,
+                fileName: asset.source.fileName,
+                path
+            };
+        }) : [];
+
+        const manifest = {
+            format: ProjectBundle.FORMAT,
+            version: ProjectBundle.VERSION,
+            name: projectData.project ? projectData.project.name : 'Untitled Project',
+            created: new Date().toISOString(),
+            generator: '3D Web Editor',
+            project: 'project.json',
+            assets
+        };
+
+        files['manifest.json'] = fflate.strToU8(JSON.stringify(manifest, null, 2));
+        files['project.json'] = fflate.strToU8(JSON.stringify(projectData));
+
+        return fflate.zipSync(files);
+    }
+
+    /**
+     * Unpack a bundle
+     * @param {ArrayBuffer} buffer - Zip archive contents
+     * @returns {Object} `{ manifest, projectData, sources, assets }` where sources maps bundle paths to ArrayBuffers
+     */
+    unpack(buffer) {
+        this.ensureAvailable();
+
+        const files = fflate.unzipSync(new Uint8Array(buffer));
+
+        if (!files['manifest.json']) {
+            throw new Error('Not a project bundle: manifest.json is missing');
+        }
+
+        const manifest = JSON.parse(fflate.strFromU8(files['manifest.json']));
+        if (manifest.format !== ProjectBundle.FORMAT) {
+            throw new Error(`Unknown bundle format: ${manifest.format}`);
+        }
+        if (manifest.version > ProjectBundle.VERSION) {
+            throw new Error(`Bundle version ${manifest.version} is newer than this editor supports`);
+        }
+
+        const projectFile = files[manifest.project || 'project.json'];
+        if (!projectFile) {
+            throw new Error('Project bundle has no project data');
+        }
+
+        const sources = new Map();
+        Object.entries(files).forEach(([path, data]) => {
+            if (path.startsWith('assets/')) {
+                sources.set(path, data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength));
+            }
+        });
+
+        return {
+            manifest,
+            projectData: JSON.parse(fflate.strFromU8(projectFile)),
+            sources,
+            assets: manifest.assets || []
+        };
+    }
+
+    /**
+     * Make a file name safe to use as a zip entry
+     */
+    sanitizeFileName(fileName) {
+        return (fileName || 'file').replace(/[\\/:*?"<>|]/g, '_');
+    }
+}
+
+ProjectBundle.FORMAT = '3dproj';
+ProjectBundle.VERSION = 1;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProjectBundle;
+} else {
+    window.ProjectBundle = ProjectBundle;
+}
@@ -15,10 +15,11 @@ class SceneManager {
         // Scene state
         this.objects = new Map(); // Map of object IDs to objects
         this.selectedObjects = new Set();
+        this.highlightedEmissive = new WeakMap(); // Material to its emissive color while the object is highlighted
         this.nextObjectId = 1;
         
-        // Store initial positions for reset functionality
-        this.initialPositions = new Map(); // Map of object ID to initial position data
+        // State of the scene before play mode, to restore when it stops
+        this.playState = null; // Map of object ID to its stored state
         
         // Helpers and tools
         this.gridHelper = null;
@@ -40,11 +41,35 @@ class SceneManager {
             showAxes: true,
             wireframe: false,
             shadows: true,
-            antialias: true
+            antialias: true,
+            // Gizmo snapping: grid size in units, angle in degrees and scale step
+            snapEnabled: false,
+            snapTranslation: 1,
+            snapRotation: 15,
+            snapScale: 0.1,
+            // Moving an object drops it onto the surface under the pointer
+            surfaceSnap: false
         };
+        
+        // Holding Ctrl while dragging flips snapping on or off
+        this.snapInverted = false;
+        
+        // Holding V while moving snaps the gizmo to the nearest vertex under the pointer
+        this.vertexSnapHeld = false;
+        
+        // Last pointer position over the viewport, for placement raycasts during gizmo drags
+        this.pointer = null;
 
         // Current transform mode
         this.currentTransformMode = 'select';
+        
+        // Transforms of the objects under the gizmo when the current drag started
+        this.dragStart = null;
+        
+        // Multi-selection: gizmo anchor shared by the selected objects, and box selection state
+        this.selectionPivot = null;
+        this.marquee = null;
+        this.suppressClick = false;
 
         this.init();
     }
@@ -167,9 +192,42 @@ class SceneManager {
 
         // Handle mouse events for object selection
         this.renderer.domElement.addEventListener('click', (event) => this.onMouseClick(event));
+        
+        // Box selection; the capture phase lets it claim the drag before the camera controls do
+        this.container.addEventListener('pointerdown', (event) => this.onMarqueeStart(event), true);
+        window.addEventListener('pointermove', (event) => this.onMarqueeMove(event));
+        window.addEventListener('pointerup', (event) => this.onMarqueeEnd(event));
         this.renderer.domElement.addEventListener('dblclick', (event) => this.onMouseDoubleClick(event));
         this.renderer.domElement.addEventListener('contextmenu', (event) => this.onRightClick(event));
 
+        // Ctrl inverts snapping and V turns on vertex snapping for as long as they are held
+        window.addEventListener('keydown', (event) => {
+            this.setSnapInverted(event.ctrlKey);
+            // Typing a V into a field is not a snap shortcut
+            const target = event.target;
+            if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) {
+                return;
+            }
+            if (event.key.toLowerCase() === 'v') {
+                this.vertexSnapHeld = true;
+            }
+        });
+        window.addEventListener('keyup', (event) => {
+            this.setSnapInverted(event.ctrlKey);
+            if (event.key.toLowerCase() === 'v') {
+                this.vertexSnapHeld = false;
+            }
+        });
+        window.addEventListener('blur', () => {
+            this.setSnapInverted(false);
+            this.vertexSnapHeld = false;
+        });
+        
+        // Captured so the position is current before the gizmo handles the same move
+        this.container.addEventListener('pointermove', (event) => {
+            this.pointer = { clientX: event.clientX, clientY: event.clientY };
+        }, true);
+
         // Setup TransformControls
         this.setupTransformControls();
 
@@ -188,30 +246,9 @@ class SceneManager {
             if (object && object.userData.id) {
                 const sceneObject = this.objects.get(object.userData.id);
                 if (sceneObject) {
-                    // Normal transform modes
-                    const oldTransform = {
-                        position: sceneObject.properties.position.clone(),
-                        rotation: sceneObject.properties.rotation.clone(),
-                        scale: sceneObject.properties.scale.clone()
-                    };
-                    
-                    sceneObject.properties.position = object.position.clone();
-                    sceneObject.properties.rotation = object.rotation.clone();
-                    sceneObject.properties.scale = object.scale.clone();
-                    
-                    // Emit command for undo/redo
-                    const newTransform = {
-                        position: object.position.clone(),
-                        rotation: object.rotation.clone(),
-                        scale: object.scale.clone()
-                    };
-                    
-                    this.eventBus.emit(EventBus.Events.TRANSFORM_COMMAND, {
-                        type: 'transform',
-                        objectId: object.userData.id,
-                        oldTransform,
-                        newTransform
-                    });
+                    // Keep properties in step with the gizmo; the undo step is
+                    // recorded once the drag ends (see endTransformDrag)
+                    this.syncTransformProperties(sceneObject);
                 }
                 
                 this.eventBus.emit(EventBus.Events.OBJECT_TRANSFORMED, {
@@ -223,13 +260,333 @@ class SceneManager {
         
         this.transformControls.addEventListener('dragging-changed', (event) => {
             this.controls.enabled = !event.value;
+            
+            if (event.value) {
+                this.beginTransformDrag();
+            } else {
+                this.endTransformDrag();
+            }
         });
         
         this.transformControls.addEventListener('objectChange', () => {
+            if (this.transformControls.mode === 'translate') {
+                this.applyPlacementSnap();
+            }
+            
+            // Moving the shared pivot moves every selected object with it
+            if (this.transformControls.object === this.selectionPivot) {
+                this.applyPivotTransform();
+            }
             this.render();
         });
         
         this.scene.add(this.transformControls);
+        this.applySnapSettings();
+    }
+
+    /**
+     * Whether the gizmo currently snaps, taking a held Ctrl key into account
+     */
+    isSnapActive() {
+        return this.settings.snapEnabled !== this.snapInverted;
+    }
+
+    /**
+     * Push the snap settings to the transform gizmo
+     */
+    applySnapSettings() {
+        if (!this.transformControls) return;
+        
+        const active = this.isSnapActive();
+        this.transformControls.setTranslationSnap(active ? this.settings.snapTranslation : null);
+        this.transformControls.setRotationSnap(active ? THREE.MathUtils.degToRad(this.settings.snapRotation) : null);
+        this.transformControls.scaleSnap = active ? this.settings.snapScale : null;
+    }
+
+    /**
+     * Turn snapping on or off
+     * @param {boolean} [enabled] - New state; toggles when omitted
+     */
+    toggleSnap(enabled = !this.settings.snapEnabled) {
+        this.settings.snapEnabled = enabled;
+        this.applySnapSettings();
+        
+        this.eventBus.emit(EventBus.Events.VIEWPORT_MODE_CHANGED, {
+            mode: 'snap',
+            enabled: this.settings.snapEnabled
+        });
+    }
+
+    /**
+     * Change the snap increments. Values that are not positive numbers are ignored.
+     * @param {Object} increments - Any of `translation` (units), `rotation` (degrees) and `scale`
+     */
+    setSnapSettings(increments) {
+        const keys = { translation: 'snapTranslation', rotation: 'snapRotation', scale: 'snapScale' };
+        Object.entries(keys).forEach(([name, key]) => {
+            const value = parseFloat(increments[name]);
+            if (value > 0) {
+                this.settings[key] = value;
+            }
+        });
+        this.applySnapSettings();
+    }
+
+    /**
+     * Turn snapping to surfaces on or off
+     * @param {boolean} [enabled] - New state; toggles when omitted
+     */
+    toggleSurfaceSnap(enabled = !this.settings.surfaceSnap) {
+        this.settings.surfaceSnap = enabled;
+        
+        this.eventBus.emit(EventBus.Events.VIEWPORT_MODE_CHANGED, {
+            mode: 'surface-snap',
+            enabled: this.settings.surfaceSnap
+        });
+    }
+
+    /**
+     * Track whether the snap modifier (Ctrl) is held
+     */
+    setSnapInverted(inverted) {
+        if (this.snapInverted === inverted) return;
+        
+        this.snapInverted = inverted;
+        this.applySnapSettings();
+    }
+
+    /**
+     * Remember where the objects under the gizmo were when a drag starts
+     */
+    beginTransformDrag() {
+        const object = this.transformControls.object;
+        this.dragStart = null;
+        if (!object) return;
+        
+        let targets;
+        if (object === this.selectionPivot) {
+            // Selected children move with their selected parents, so only the top-level ones are dragged
+            targets = this.getTopLevelObjects(this.getSelectedObjects())
+                .filter(sceneObject => sceneObject.mesh && sceneObject.mesh.parent);
+        } else {
+            const sceneObject = this.objects.get(object.userData.id);
+            targets = sceneObject ? [sceneObject] : [];
+        }
+        
+        object.updateMatrixWorld();
+        this.dragStart = {
+            pivotInverse: object.matrixWorld.clone().invert(),
+            placement: this.capturePlacement(object, targets),
+            items: targets.map(sceneObject => {
+                sceneObject.mesh.updateMatrixWorld();
+                return {
+                    objectId: sceneObject.id,
+                    transform: this.captureTransform(sceneObject.mesh),
+                    matrixWorld: sceneObject.mesh.matrixWorld.clone()
+                };
+            })
+        };
+    }
+
+    /**
+     * Record what surface and vertex snapping need about the gizmo's object at drag start:
+     * its world pose and how far the bottom of the dragged objects sits below it
+     * @param {THREE.Object3D} object - The object the gizmo is attached to
+     * @param {Object[]} targets - Scene objects being dragged
+     */
+    capturePlacement(object, targets) {
+        const position = object.getWorldPosition(new THREE.Vector3());
+        const bounds = new THREE.Box3();
+        targets.forEach(sceneObject => bounds.expandByObject(sceneObject.mesh));
+        
+        return {
+            quaternion: object.getWorldQuaternion(new THREE.Quaternion()),
+            height: bounds.isEmpty() ? 0 : position.y - bounds.min.y
+        };
+    }
+
+    /**
+     * Snap the gizmo's object to the scene under the pointer while moving it. Holding V
+     * puts its pivot on the nearest vertex of the mesh under the pointer; with surface
+     * snapping on, the objects rest on the hit surface and turn to match its normal.
+     */
+    applyPlacementSnap() {
+        const object = this.transformControls.object;
+        const start = this.dragStart;
+        if (!object || !start || !this.pointer || !(this.vertexSnapHeld || this.settings.surfaceSnap)) return;
+        
+        const hit = this.raycastPlacementTargets(this.pointer, start.items.map(item => item.objectId));
+        let position = null;
+        let quaternion = start.placement.quaternion;
+        
+        if (this.vertexSnapHeld) {
+            position = hit && hit.object.geometry ? this.getNearestVertex(hit) : null;
+        } else if (hit && hit.face) {
+            const normal = hit.face.normal.clone()
+                .applyMatrix3(new THREE.Matrix3().getNormalMatrix(hit.object.matrixWorld))
+                .normalize();
+            const up = new THREE.Vector3(0, 1, 0).applyQuaternion(start.placement.quaternion);
+            quaternion = new THREE.Quaternion().setFromUnitVectors(up, normal).multiply(start.placement.quaternion);
+            position = hit.point.clone().addScaledVector(normal, start.placement.height);
+        }
+        
+        // Nothing to snap to: follow the gizmo with the original orientation
+        if (!position) {
+            position = object.getWorldPosition(new THREE.Vector3());
+            quaternion = start.placement.quaternion;
+        }
+        
+        this.setWorldPose(object, position, quaternion);
+        if (object !== this.selectionPivot) {
+            const sceneObject = this.objects.get(object.userData.id);
+            if (sceneObject) {
+                this.syncTransformProperties(sceneObject);
+            }
+        }
+    }
+
+    /**
+     * Raycast from a pointer position against scene objects, ignoring some objects and their children
+     * @param {Object} pointer - Client coordinates ({ clientX, clientY })
+     * @param {string[]} excludeIds - Objects to ignore, e.g. the ones being moved
+     * @returns {Object|null} The nearest intersection
+     */
+    raycastPlacementTargets(pointer, excludeIds = []) {
+        const isExcluded = (sceneObject) => excludeIds.some(id => sceneObject.id === id || this.isDescendantOf(sceneObject.id, id));
+        const meshes = Array.from(this.objects.values())
+            .filter(sceneObject => sceneObject.mesh && sceneObject.mesh.visible && !this.getParent(sceneObject.id))
+            .map(sceneObject => sceneObject.mesh);
+        
+        const intersects = this.getPointerRaycaster(pointer).intersectObjects(meshes, true);
+        return intersects.find(intersect => {
+            let node = intersect.object;
+            if (!node.visible) return false;
+            while (node && !this.isObjectMesh(node)) {
+                if (node.userData.editorHelper || node.userData.componentOwned) return false;
+                node = node.parent;
+            }
+            return node && !isExcluded(this.objects.get(node.userData.id));
+        }) || null;
+    }
+
+    /**
+     * World position of the vertex of the hit mesh closest to the hit point
+     */
+    getNearestVertex(intersect) {
+        const positions = intersect.object.geometry.attributes.position;
+        const vertex = new THREE.Vector3();
+        const nearest = new THREE.Vector3();
+        let nearestDistance = Infinity;
+        
+        for (let index = 0; index < positions.count; index++) {
+            vertex.fromBufferAttribute(positions, index).applyMatrix4(intersect.object.matrixWorld);
+            const distance = vertex.distanceToSquared(intersect.point);
+            if (distance < nearestDistance) {
+                nearestDistance = distance;
+                nearest.copy(vertex);
+            }
+        }
+        
+        return nearest;
+    }
+
+    /**
+     * Place an object at a world position and orientation, whatever its parent
+     */
+    setWorldPose(object3D, position, quaternion) {
+        const parentQuaternion = new THREE.Quaternion();
+        if (object3D.parent) {
+            object3D.parent.updateMatrixWorld();
+            object3D.parent.getWorldQuaternion(parentQuaternion);
+            object3D.position.copy(object3D.parent.worldToLocal(position.clone()));
+        } else {
+            object3D.position.copy(position);
+        }
+        object3D.quaternion.copy(parentQuaternion.invert().multiply(quaternion));
+        object3D.updateMatrixWorld();
+    }
+
+    /**
+     * Move the selected objects along with the shared pivot during a drag
+     */
+    applyPivotTransform() {
+        if (!this.dragStart) return;
+        
+        this.selectionPivot.updateMatrixWorld();
+        const delta = this.selectionPivot.matrixWorld.clone().multiply(this.dragStart.pivotInverse);
+        
+        this.dragStart.items.forEach(item => {
+            const sceneObject = this.objects.get(item.objectId);
+            if (!sceneObject || !sceneObject.mesh) return;
+            
+            const mesh = sceneObject.mesh;
+            const matrix = delta.clone().multiply(item.matrixWorld);
+            if (mesh.parent) {
+                mesh.parent.updateMatrixWorld();
+                matrix.premultiply(mesh.parent.matrixWorld.clone().invert());
+            }
+            matrix.decompose(mesh.position, mesh.quaternion, mesh.scale);
+            this.syncTransformProperties(sceneObject);
+            
+            this.eventBus.emit(EventBus.Events.OBJECT_TRANSFORMED, {
+                id: sceneObject.id,
+                object: sceneObject
+            });
+        });
+    }
+
+    /**
+     * Emit a single transform command covering the whole drag
+     */
+    endTransformDrag() {
+        const start = this.dragStart;
+        this.dragStart = null;
+        if (!start) return;
+        
+        const transforms = [];
+        start.items.forEach(item => {
+            const sceneObject = this.objects.get(item.objectId);
+            if (!sceneObject || !sceneObject.mesh) return;
+            
+            const oldTransform = item.transform;
+            const newTransform = this.captureTransform(sceneObject.mesh);
+            
+            // A click on the gizmo without moving it is not an edit
+            if (oldTransform.position.equals(newTransform.position) &&
+                oldTransform.rotation.equals(newTransform.rotation) &&
+                oldTransform.scale.equals(newTransform.scale)) {
+                return;
+            }
+            
+            transforms.push({ objectId: item.objectId, oldTransform, newTransform });
+        });
+        
+        if (transforms.length === 0) return;
+        
+        this.eventBus.emit(EventBus.Events.TRANSFORM_COMMAND, {
+            type: 'transform',
+            transforms
+        });
+    }
+
+    /**
+     * Copy the mesh transform into the object's properties
+     */
+    syncTransformProperties(sceneObject) {
+        sceneObject.properties.position = sceneObject.mesh.position.clone();
+        sceneObject.properties.rotation = sceneObject.mesh.rotation.clone();
+        sceneObject.properties.scale = sceneObject.mesh.scale.clone();
+    }
+
+    /**
+     * Copy the position, rotation and scale of a Three.js object
+     */
+    captureTransform(object3D) {
+        return {
+            position: object3D.position.clone(),
+            rotation: object3D.rotation.clone(),
+            scale: object3D.scale.clone()
+        };
     }
 
     /**
@@ -431,7 +788,7 @@ class SceneManager {
                     .find(obj => {
                         if (!obj.mesh) return false;
                         let found = false;
-                        obj.mesh.traverse((child) => {
+                        this.traverseObjectMesh(obj, (child) => {
                             if (child === selectedMesh) {
                                 found = true;
                             }
@@ -450,6 +807,12 @@ class SceneManager {
      * Handle mouse click for object selection
      */
     onMouseClick(event) {
+        // The click that ends a box selection is not a selection click
+        if (this.suppressClick) {
+            this.suppressClick = false;
+            return;
+        }
+        
         const rect = this.renderer.domElement.getBoundingClientRect();
         const mouse = new THREE.Vector2();
         mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
@@ -490,7 +853,7 @@ class SceneManager {
                     .find(obj => {
                         if (!obj.mesh) return false;
                         let found = false;
-                        obj.mesh.traverse((child) => {
+                        this.traverseObjectMesh(obj, (child) => {
                             if (child === selectedMesh) {
                                 found = true;
                             }
@@ -500,13 +863,183 @@ class SceneManager {
             }
             
             if (selectedObject) {
-                this.selectObject(selectedObject.id);
+                // Shift adds to the selection, Ctrl/Cmd toggles
+                this.selectObject(selectedObject.id, this.getSelectionMode(event));
             }
-        } else {
+        } else if (this.getSelectionMode(event) === 'replace') {
             this.clearSelection();
         }
     }
 
+    /**
+     * Selection mode for a pointer event: 'add' with Shift, 'toggle' with Ctrl/Cmd, otherwise 'replace'
+     */
+    getSelectionMode(event) {
+        if (event.shiftKey) return 'add';
+        if (event.ctrlKey || event.metaKey) return 'toggle';
+        return 'replace';
+    }
+
+    /**
+     * Start a box selection when Shift or Ctrl/Cmd dragging from empty space
+     */
+    onMarqueeStart(event) {
+        if (event.button !== 0 || event.target !== this.renderer.domElement) return;
+        
+        const mode = this.getSelectionMode(event);
+        if (mode === 'replace') return;
+        
+        // Leave gizmo handles and objects to the transform controls and click selection
+        if (this.transformControls && this.transformControls.axis) return;
+        if (this.getObjectAtPointer(event)) return;
+        
+        this.marquee = {
+            startX: event.clientX,
+            startY: event.clientY,
+            mode,
+            element: null
+        };
+        
+        // Keep the camera still while dragging the box
+        this.controls.enabled = false;
+        event.stopPropagation();
+    }
+
+    /**
+     * Draw the selection box
+     */
+    onMarqueeMove(event) {
+        if (!this.marquee) return;
+        
+        const rect = this.getMarqueeRect(event);
+        if (!this.marquee.element) {
+            if (rect.width < 4 && rect.height < 4) return;
+            this.marquee.element = document.createElement('div');
+            this.marquee.element.className = 'selection-box';
+            this.container.appendChild(this.marquee.element);
+        }
+        
+        const containerRect = this.container.getBoundingClientRect();
+        Object.assign(this.marquee.element.style, {
+            left: `${rect.left - containerRect.left}px`,
+            top: `${rect.top - containerRect.top}px`,
+            width: `${rect.width}px`,
+            height: `${rect.height}px`
+        });
+    }
+
+    /**
+     * Select the objects inside the box
+     */
+    onMarqueeEnd(event) {
+        if (!this.marquee) return;
+        
+        const marquee = this.marquee;
+        this.marquee = null;
+        this.controls.enabled = true;
+        
+        if (!marquee.element) return;
+        marquee.element.remove();
+        
+        this.selectObjects(this.getObjectsInRect(this.getMarqueeRect(event, marquee)), marquee.mode);
+        
+        // A click event follows when the drag ends over the canvas
+        this.suppressClick = true;
+        setTimeout(() => {
+            this.suppressClick = false;
+        }, 0);
+    }
+
+    /**
+     * Screen rectangle between the drag start and the pointer
+     */
+    getMarqueeRect(event, marquee = this.marquee) {
+        const left = Math.min(marquee.startX, event.clientX);
+        const top = Math.min(marquee.startY, event.clientY);
+        const right = Math.max(marquee.startX, event.clientX);
+        const bottom = Math.max(marquee.startY, event.clientY);
+        return { left, top, right, bottom, width: right - left, height: bottom - top };
+    }
+
+    /**
+     * IDs of the visible objects whose bounds centre falls inside a screen rectangle
+     * @param {Object} rect - Rectangle in client coordinates ({ left, top, right, bottom })
+     * @returns {string[]} Object IDs
+     */
+    getObjectsInRect(rect) {
+        const canvasRect = this.renderer.domElement.getBoundingClientRect();
+        
+        return Array.from(this.objects.values()).filter(object => {
+            if (!object.mesh || !object.mesh.visible || !object.mesh.parent) return false;
+            
+            const box = new THREE.Box3().setFromObject(object.mesh);
+            const center = box.isEmpty()
+                ? object.mesh.getWorldPosition(new THREE.Vector3())
+                : box.getCenter(new THREE.Vector3());
+            
+            // Outside the camera's depth range (e.g. behind it)
+            center.project(this.camera);
+            if (center.z < -1 || center.z > 1) return false;
+            
+            const x = canvasRect.left + (center.x + 1) / 2 * canvasRect.width;
+            const y = canvasRect.top + (1 - center.y) / 2 * canvasRect.height;
+            return x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom;
+        }).map(object => object.id);
+    }
+
+    /**
+     * Raycaster through the camera at a pointer position
+     * @param {Object} pointer - Pointer event or client coordinates ({ clientX, clientY })
+     * @returns {THREE.Raycaster} The raycaster
+     */
+    getPointerRaycaster(pointer) {
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        const mouse = new THREE.Vector2(
+            ((pointer.clientX - rect.left) / rect.width) * 2 - 1,
+            -((pointer.clientY - rect.top) / rect.height) * 2 + 1
+        );
+        
+        const raycaster = new THREE.Raycaster();
+        raycaster.setFromCamera(mouse, this.camera);
+        return raycaster;
+    }
+
+    /**
+     * Ray from the camera through a point of the viewport, e.g. for picking from scripts
+     * @param {number} x - Pixels from the left edge of the viewport
+     * @param {number} y - Pixels from the top edge of the viewport
+     * @returns {THREE.Ray} Ray with a normalized direction
+     */
+    screenPointToRay(x, y) {
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        return this.getPointerRaycaster({ clientX: rect.left + x, clientY: rect.top + y }).ray.clone();
+    }
+
+    /**
+     * Find the scene object under the pointer
+     * @returns {Object|null} The scene object
+     */
+    getObjectAtPointer(event) {
+        const raycaster = this.getPointerRaycaster(event);
+        
+        const meshes = Array.from(this.objects.values())
+            .filter(object => object.mesh && object.mesh.visible)
+            .map(object => object.mesh);
+        const intersects = raycaster.intersectObjects(meshes, true);
+        
+        for (const intersect of intersects) {
+            let node = intersect.object;
+            while (node && !(node.userData.id && this.objects.get(node.userData.id)?.mesh === node)) {
+                node = node.parent;
+            }
+            if (node) {
+                return this.objects.get(node.userData.id);
+            }
+        }
+        
+        return null;
+    }
+
     /**
      * Handle right click for context menu
      */
@@ -553,7 +1086,7 @@ class SceneManager {
                     .find(obj => {
                         if (!obj.mesh) return false;
                         let found = false;
-                        obj.mesh.traverse((child) => {
+                        this.traverseObjectMesh(obj, (child) => {
                             if (child === selectedMesh) {
                                 found = true;
                             }
@@ -578,9 +1111,10 @@ class SceneManager {
         this.eventBus.emit('ui:show-context-menu', {
             x, y, object,
             actions: object ? [
-                { label: 'Delete', action: () => this.removeObject(object.id) },
-                { label: 'Duplicate', action: () => this.duplicateObject(object.id) },
-                { label: 'Rename', action: () => this.renameObject(object.id) }
+                { label: 'Delete', action: () => this.eventBus.emit('editor:delete-objects', { ids: [object.id] }) },
+                { label: 'Duplicate', action: () => this.eventBus.emit('editor:duplicate-objects', { ids: [object.id] }) },
+                { label: 'Rename', action: () => this.eventBus.emit('editor:rename-object', { id: object.id }) },
+                { label: 'Create Prefab', action: () => this.eventBus.emit('editor:create-prefab', { id: object.id }) }
             ] : [
                 { label: 'Add Cube', action: () => this.eventBus.emit('editor:create-object', { type: 'cube' }) },
                 { label: 'Add Sphere', action: () => this.eventBus.emit('editor:create-object', { type: 'sphere' }) },
@@ -604,9 +1138,18 @@ class SceneManager {
             case 'rotate':
                 this.setTransformMode('rotate');
                 break;
+            case 'scale':
+                this.setTransformMode('scale');
+                break;
             case 'grid':
                 this.toggleGrid();
                 break;
+            case 'snap':
+                this.toggleSnap();
+                break;
+            case 'surface-snap':
+                this.toggleSurfaceSnap();
+                break;
             case 'camera-reset':
                 this.resetCamera();
                 break;
@@ -629,20 +1172,9 @@ class SceneManager {
             this.transformControls.showY = true;
             this.transformControls.showZ = true;
             
-            // Attach to selected object if any
-            const selectedObjects = this.getSelectedObjects();
-            if (selectedObjects.length > 0 && selectedObjects[0].mesh) {
-                // Check if the mesh is still in the scene
-                if (this.scene.children.includes(selectedObjects[0].mesh)) {
-                    this.transformControls.attach(selectedObjects[0].mesh);
-                    console.log(`Attached transform controls in ${mode} mode to object: ${selectedObjects[0].name}`);
-                } else {
-                    console.warn(`Object mesh not in scene, detaching transform controls`);
-                    this.transformControls.detach();
-                }
-            } else {
-                console.log(`Transform mode set to ${mode}, but no object selected`);
-            }
+            // Attach to the selection if any
+            this.updateSelectionGizmo();
+            console.log(`Transform mode set to ${mode}`);
         } else {
             this.transformControls.detach();
             console.log('Transform controls detached');
@@ -681,15 +1213,17 @@ class SceneManager {
     /**
      * Load scene from data
      */
-    loadScene(sceneData) {
-        this.importScene(sceneData);
+    async loadScene(sceneData) {
+        await this.importScene(sceneData);
         console.log('Scene loaded from data');
     }
 
     /**
      * Import a 3D model file
+     * @param {File} file - The model file
+     * @param {Array<File>} [companions] - Files selected alongside it, such as OBJ material libraries and textures
      */
-    async importModel(file) {
+    async importModel(file, companions = []) {
         return new Promise((resolve, reject) => {
             const fileName = file.name.toLowerCase();
             const fileExtension = fileName.split('.').pop();
@@ -698,26 +1232,17 @@ class SceneManager {
             
             reader.onload = (event) => {
                 const arrayBuffer = event.target.result;
+                const loadMethod = SceneManager.ModelLoaders[fileExtension];
                 
-                try {
-                    if (fileExtension === 'glb' || fileExtension === 'gltf') {
-                        this.loadGLTFModel(arrayBuffer, file.name)
-                            .then(resolve)
-                            .catch(reject);
-                    } else if (fileExtension === 'fbx') {
-                        this.loadFBXModel(arrayBuffer, file.name)
-                            .then(resolve)
-                            .catch(reject);
-                    } else if (fileExtension === 'obj') {
-                        this.loadOBJModel(arrayBuffer, file.name)
-                            .then(resolve)
-                            .catch(reject);
-                    } else {
-                        reject(new Error(`Unsupported file format: ${fileExtension}`));
-                    }
-                } catch (error) {
-                    reject(error);
+                if (!loadMethod) {
+                    reject(new Error(`Unsupported file format: ${fileExtension}`));
+                    return;
                 }
+                
+                this.readResourceFiles(companions)
+                    .then(resources => this[loadMethod](arrayBuffer, file.name, resources))
+                    .then(resolve)
+                    .catch(reject);
             };
             
             reader.onerror = () => {
@@ -729,9 +1254,76 @@ class SceneManager {
     }
 
     /**
-     * Load GLTF/GLB model
+     * Read companion files into { fileName, buffer } resources
      */
-    async loadGLTFModel(arrayBuffer, fileName) {
+    async readResourceFiles(files) {
+        return Promise.all(files.map(async (file) => ({
+            fileName: file.name,
+            buffer: await file.arrayBuffer()
+        })));
+    }
+
+    /**
+     * Create a loading manager that resolves file references against in-memory resources.
+     * References are matched by file name only, since exporters often write absolute
+     * or Windows-style paths into material libraries.
+     * @param {Array<Object>} resources - { fileName, buffer } entries
+     * @returns {Object} { manager, used, finish } where finish() waits for pending loads and frees the blob URLs
+     */
+    createResourceManager(resources = []) {
+        const urls = new Map();
+        const used = new Set();
+        
+        resources.forEach(resource => {
+            urls.set(resource.fileName.toLowerCase(), {
+                resource,
+                url: URL.createObjectURL(new Blob([resource.buffer]))
+            });
+        });
+        
+        const manager = new THREE.LoadingManager();
+        let started = false;
+        const loaded = new Promise(resolve => {
+            manager.onLoad = resolve;
+        });
+        manager.onStart = () => {
+            started = true;
+        };
+        
+        manager.setURLModifier((url) => {
+            let path = url;
+            try {
+                path = decodeURI(url);
+            } catch (error) {
+                // A stray '%' is not an escape; match the file name as written
+            }
+            const name = path.split(/[\\/]/).pop().toLowerCase();
+            const entry = urls.get(name);
+            if (!entry) {
+                return url;
+            }
+            used.add(entry.resource);
+            return entry.url;
+        });
+        
+        if (window.THREE.TGALoader) {
+            manager.addHandler(/\.tga$/i, new THREE.TGALoader(manager));
+        }
+        
+        const finish = async () => {
+            if (started) {
+                await loaded;
+            }
+            urls.forEach(entry => URL.revokeObjectURL(entry.url));
+        };
+        
+        return { manager, used, finish };
+    }
+
+    /**
+     * Parse GLTF/GLB data without adding it to the scene
+     */
+    parseGLTF(arrayBuffer) {
         return new Promise((resolve, reject) => {
             if (!window.THREE.GLTFLoader) {
                 reject(new Error('GLTFLoader not available'));
@@ -747,100 +1339,427 @@ class SceneManager {
                 loader.setDRACOLoader(dracoLoader);
             }
             
-            loader.parse(arrayBuffer, '', (gltf) => {
-                try {
-                    const model = gltf.scene;
-                    const id = `model_${this.nextObjectId++}`;
-                    
-                    // Set up the model
-                    model.userData.id = id;
-                    model.position.set(0, 0, 0);
-                    model.castShadow = true;
-                    model.receiveShadow = true;
-                    
-                    // Enable shadows for all meshes
-                    model.traverse((child) => {
-                        if (child.isMesh) {
-                            child.castShadow = true;
-                            child.receiveShadow = true;
-                        }
-                    });
-                    
-                    // Create object data
-                    const modelObject = {
-                        id,
-                        type: 'imported-model',
-                        name: fileName.replace(/\.[^/.]+$/, ''),
-                        mesh: model,
-                        gltf: gltf, // Store original GLTF data
-                        components: new Map(),
-                        properties: {
-                            position: model.position.clone(),
-                            rotation: model.rotation.clone(),
-                            scale: model.scale.clone(),
-                            visible: true,
-                            fileName: fileName
-                        }
-                    };
-                    
-                    // Add to scene and tracking
-                    this.scene.add(model);
-                    this.objects.set(id, modelObject);
-                    
-                    // Center camera on the model
-                    const box = new THREE.Box3().setFromObject(model);
-                    const center = box.getCenter(new THREE.Vector3());
-                    const size = box.getSize(new THREE.Vector3());
-                    
-                    // Position camera to see the entire model
-                    const maxDim = Math.max(size.x, size.y, size.z);
-                    const fov = this.camera.fov * (Math.PI / 180);
-                    let cameraZ = Math.abs(maxDim / 2 / Math.tan(fov / 2));
-                    cameraZ *= 1.5; // Add some padding
-                    
-                    this.camera.position.set(center.x, center.y + maxDim * 0.5, center.z + cameraZ);
-                    this.camera.lookAt(center);
-                    this.controls.target.copy(center);
-                    this.controls.update();
-                    
-                    // Auto-select the imported model
-                    this.selectObject(id);
-                    
-                    // Emit event
-                    this.eventBus.emit(EventBus.Events.OBJECT_CREATED, {
-                        object: modelObject,
-                        id,
-                        type: 'imported-model'
-                    });
-                    
-                    console.log(`Imported GLTF model: ${fileName}`);
-                    resolve(modelObject);
-                    
-                } catch (error) {
-                    reject(error);
-                }
-            }, (error) => {
+            loader.parse(arrayBuffer, '', resolve, (error) => {
                 reject(new Error(`Failed to parse GLTF: ${error.message}`));
             });
         });
     }
 
     /**
-     * Load FBX model (placeholder - requires FBXLoader)
+     * Parse OBJ data, applying materials from a companion MTL file when one is available
+     * @param {ArrayBuffer} arrayBuffer - OBJ file contents
+     * @param {Array<Object>} [resources] - Companion { fileName, buffer } files (MTL, textures)
+     * @returns {Promise<Object>} { model, resources } with the resources the model actually used
      */
-    async loadFBXModel(arrayBuffer, fileName) {
-        return new Promise((resolve, reject) => {
-            reject(new Error('FBX loading not implemented yet. Please use GLTF/GLB format.'));
-        });
+    async parseOBJ(arrayBuffer, resources = []) {
+        if (!window.THREE.OBJLoader) {
+            throw new Error('OBJLoader not available');
+        }
+        
+        const decoder = new TextDecoder();
+        const text = decoder.decode(arrayBuffer);
+        const { manager, used, finish } = this.createResourceManager(resources);
+        
+        try {
+            const loader = new THREE.OBJLoader(manager);
+            
+            // Prefer the libraries named by `mtllib`, else any MTL that was selected
+            const libraryNames = Array.from(text.matchAll(/^\s*mtllib\s+(.+?)\s*$/gm))
+                .map(match => match[1].split(/[\\/]/).pop().toLowerCase());
+            const mtlFiles = resources.filter(resource => resource.fileName.toLowerCase().endsWith('.mtl'));
+            const library = mtlFiles.find(resource => libraryNames.includes(resource.fileName.toLowerCase())) || mtlFiles[0];
+            
+            if (library) {
+                if (!window.THREE.MTLLoader) {
+                    throw new Error('MTLLoader not available');
+                }
+                const materials = new THREE.MTLLoader(manager).parse(decoder.decode(library.buffer), '');
+                materials.preload();
+                loader.setMaterials(materials);
+                used.add(library);
+            } else if (libraryNames.length > 0) {
+                console.warn(`Material library ${libraryNames.join(', ')} was not selected; using default materials`);
+            }
+            
+            const model = loader.parse(text);
+            
+            return { model, resources: resources.filter(resource => used.has(resource)) };
+        } finally {
+            await finish();
+        }
     }
 
     /**
-     * Load OBJ model (placeholder - requires OBJLoader)
+     * Parse FBX data (binary or ASCII), including skinned meshes and animation clips.
+     * Embedded textures are read from the file; external ones are looked up in the resources.
+     * @param {ArrayBuffer} arrayBuffer - FBX file contents
+     * @param {Array<Object>} [resources] - Companion { fileName, buffer } files (textures)
+     * @returns {Promise<Object>} { model, animations, resources } with the resources the model actually used
      */
-    async loadOBJModel(arrayBuffer, fileName) {
-        return new Promise((resolve, reject) => {
-            reject(new Error('OBJ loading not implemented yet. Please use GLTF/GLB format.'));
+    async parseFBX(arrayBuffer, resources = []) {
+        if (!window.THREE.FBXLoader) {
+            throw new Error('FBXLoader not available');
+        }
+        
+        const { manager, used, finish } = this.createResourceManager(resources);
+        
+        try {
+            const model = new THREE.FBXLoader(manager).parse(arrayBuffer, '');
+            
+            return {
+                model,
+                animations: model.animations || [],
+                resources: resources.filter(resource => used.has(resource))
+            };
+        } finally {
+            await finish();
+        }
+    }
+
+    /**
+     * Parse STL data (binary or ASCII). STL carries no materials, so a default one is applied.
+     * @param {ArrayBuffer} arrayBuffer - STL file contents
+     * @returns {Object} { model }
+     */
+    parseSTL(arrayBuffer) {
+        if (!window.THREE.STLLoader) {
+            throw new Error('STLLoader not available');
+        }
+        
+        const geometry = new THREE.STLLoader().parse(arrayBuffer);
+        return { model: this.createDefaultModel(geometry) };
+    }
+
+    /**
+     * Parse PLY data (binary or ASCII). PLY carries no materials, so a default one is
+     * applied; files without faces are shown as point clouds.
+     * @param {ArrayBuffer} arrayBuffer - PLY file contents
+     * @returns {Object} { model }
+     */
+    parsePLY(arrayBuffer) {
+        if (!window.THREE.PLYLoader) {
+            throw new Error('PLYLoader not available');
+        }
+        
+        const geometry = new THREE.PLYLoader().parse(arrayBuffer);
+        
+        // PLYLoader only indexes geometry that has faces
+        return { model: this.createDefaultModel(geometry, !geometry.index) };
+    }
+
+    /**
+     * Wrap a material-less geometry in a mesh (or points) with a default material,
+     * using the file's vertex colors when it has them
+     * @param {THREE.BufferGeometry} geometry - Parsed geometry
+     * @param {boolean} [asPoints] - Show the vertices only, for geometry without faces
+     * @returns {THREE.Object3D} The model
+     */
+    createDefaultModel(geometry, asPoints = false) {
+        const vertexColors = geometry.hasAttribute('color');
+        
+        if (asPoints) {
+            return new THREE.Points(geometry, new THREE.PointsMaterial({
+                color: vertexColors ? 0xffffff : 0xcccccc,
+                size: 0.02,
+                vertexColors
+            }));
+        }
+        
+        if (!geometry.hasAttribute('normal')) {
+            geometry.computeVertexNormals();
+        }
+        
+        return new THREE.Mesh(geometry, new THREE.MeshStandardMaterial({
+            color: vertexColors ? 0xffffff : 0xcccccc,
+            roughness: 0.6,
+            metalness: 0.1,
+            vertexColors
+        }));
+    }
+
+    /**
+     * Parse COLLADA (.dae) data, including its animation clips
+     * @param {ArrayBuffer} arrayBuffer - DAE file contents
+     * @param {Array<Object>} [resources] - Companion { fileName, buffer } files (textures)
+     * @returns {Promise<Object>} { model, animations, resources } with the resources the model actually used
+     */
+    async parseCollada(arrayBuffer, resources = []) {
+        if (!window.THREE.ColladaLoader) {
+            throw new Error('ColladaLoader not available');
+        }
+        
+        const { manager, used, finish } = this.createResourceManager(resources);
+        
+        try {
+            const collada = new THREE.ColladaLoader(manager).parse(new TextDecoder().decode(arrayBuffer), '');
+            if (!collada) {
+                throw new Error('Invalid COLLADA file');
+            }
+            
+            return {
+                model: collada.scene,
+                animations: collada.scene.animations || [],
+                resources: resources.filter(resource => used.has(resource))
+            };
+        } finally {
+            await finish();
+        }
+    }
+
+    /**
+     * Parse 3D Studio (.3ds) data
+     * @param {ArrayBuffer} arrayBuffer - 3DS file contents
+     * @param {Array<Object>} [resources] - Companion { fileName, buffer } files (textures)
+     * @returns {Promise<Object>} { model, resources } with the resources the model actually used
+     */
+    async parse3DS(arrayBuffer, resources = []) {
+        if (!window.THREE.TDSLoader) {
+            throw new Error('TDSLoader not available');
+        }
+        
+        const { manager, used, finish } = this.createResourceManager(resources);
+        
+        try {
+            const model = new THREE.TDSLoader(manager).parse(arrayBuffer, '');
+            
+            return {
+                model,
+                resources: resources.filter(resource => used.has(resource))
+            };
+        } finally {
+            await finish();
+        }
+    }
+
+    /**
+     * Parse the original file of an imported model, used when restoring saved projects
+     * @param {ArrayBuffer} arrayBuffer - File contents
+     * @param {string} fileName - Original file name, used to pick the parser
+     * @param {Array<Object>} [resources] - Companion { fileName, buffer } files
+     * @returns {Promise<Object>} Parsed model with { model, gltf, animations }
+     */
+    async parseModelSource(arrayBuffer, fileName, resources = []) {
+        const fileExtension = fileName.toLowerCase().split('.').pop();
+        
+        if (fileExtension === 'glb' || fileExtension === 'gltf') {
+            const gltf = await this.parseGLTF(arrayBuffer);
+            return { model: gltf.scene, gltf, animations: gltf.animations };
+        }
+        
+        if (fileExtension === 'fbx') {
+            const { model, animations } = await this.parseFBX(arrayBuffer, resources);
+            return { model, animations };
+        }
+        
+        if (fileExtension === 'stl') {
+            return this.parseSTL(arrayBuffer);
+        }
+        
+        if (fileExtension === 'ply') {
+            return this.parsePLY(arrayBuffer);
+        }
+        
+        if (fileExtension === 'dae') {
+            const { model, animations } = await this.parseCollada(arrayBuffer, resources);
+            return { model, animations };
+        }
+        
+        if (fileExtension === '3ds') {
+            const { model } = await this.parse3DS(arrayBuffer, resources);
+            return { model };
+        }
+        
+        if (fileExtension === 'obj') {
+            const { model } = await this.parseOBJ(arrayBuffer, resources);
+            return { model };
+        }
+        
+        throw new Error(`Unsupported file format: ${fileExtension}`);
+    }
+
+    /**
+     * Add a parsed model to the scene as an imported-model object, frame it and select it
+     * @param {THREE.Object3D} model - Root of the parsed model
+     * @param {string} fileName - Original file name
+     * @param {Object} [extras] - Additional fields for the object record (e.g. gltf, source, animations)
+     * @returns {Object} The new scene object
+     */
+    addImportedModel(model, fileName, extras = {}) {
+        const id = `model_${this.nextObjectId++}`;
+        
+        // Keep clips on the model itself so they survive the mesh JSON round trip
+        if (extras.animations) {
+            model.animations = extras.animations;
+        }
+        
+        // Set up the model
+        model.userData.id = id;
+        model.position.set(0, 0, 0);
+        model.castShadow = true;
+        model.receiveShadow = true;
+        
+        // Enable shadows for all meshes
+        model.traverse((child) => {
+            if (child.isMesh) {
+                child.castShadow = true;
+                child.receiveShadow = true;
+            }
+        });
+        
+        // Create object data
+        const modelObject = {
+            id,
+            type: 'imported-model',
+            name: fileName.replace(/\.[^/.]+$/, ''),
+            mesh: model,
+            ...extras,
+            components: new Map(),
+            properties: {
+                position: model.position.clone(),
+                rotation: model.rotation.clone(),
+                scale: model.scale.clone(),
+                visible: true,
+                fileName: fileName
+            }
+        };
+        
+        // Add to scene and tracking
+        this.addSceneObject(modelObject);
+        
+        // Center camera on the model
+        const box = new THREE.Box3().setFromObject(model);
+        const center = box.getCenter(new THREE.Vector3());
+        const size = box.getSize(new THREE.Vector3());
+        
+        // Position camera to see the entire model
+        const maxDim = Math.max(size.x, size.y, size.z);
+        const fov = this.camera.fov * (Math.PI / 180);
+        let cameraZ = Math.abs(maxDim / 2 / Math.tan(fov / 2));
+        cameraZ *= 1.5; // Add some padding
+        
+        this.camera.position.set(center.x, center.y + maxDim * 0.5, center.z + cameraZ);
+        this.camera.lookAt(center);
+        this.controls.target.copy(center);
+        this.controls.update();
+        
+        // Auto-select the imported model
+        this.selectObject(id);
+        
+        return modelObject;
+    }
+
+    /**
+     * Load GLTF/GLB model
+     */
+    async loadGLTFModel(arrayBuffer, fileName) {
+        const gltf = await this.parseGLTF(arrayBuffer);
+        
+        const modelObject = this.addImportedModel(gltf.scene, fileName, {
+            gltf: gltf, // Store original GLTF data
+            animations: gltf.animations,
+            source: { fileName, buffer: arrayBuffer } // Original file, embedded in project bundles
+        });
+        
+        console.log(`Imported GLTF model: ${fileName}`);
+        return modelObject;
+    }
+
+    /**
+     * Load FBX model with its skinned meshes and animation clips
+     * @param {ArrayBuffer} arrayBuffer - FBX file contents
+     * @param {string} fileName - Original file name
+     * @param {Array<Object>} [resources] - Companion { fileName, buffer } files (textures)
+     */
+    async loadFBXModel(arrayBuffer, fileName, resources = []) {
+        const parsed = await this.parseFBX(arrayBuffer, resources);
+        
+        const modelObject = this.addImportedModel(parsed.model, fileName, {
+            animations: parsed.animations,
+            source: { fileName, buffer: arrayBuffer, resources: parsed.resources }
+        });
+        
+        console.log(`Imported FBX model: ${fileName} (${parsed.animations.length} animation clip(s))`);
+        return modelObject;
+    }
+
+    /**
+     * Load OBJ model with its MTL materials and textures
+     * @param {ArrayBuffer} arrayBuffer - OBJ file contents
+     * @param {string} fileName - Original file name
+     * @param {Array<Object>} [resources] - Companion { fileName, buffer } files (MTL, textures)
+     */
+    async loadOBJModel(arrayBuffer, fileName, resources = []) {
+        const parsed = await this.parseOBJ(arrayBuffer, resources);
+        
+        const modelObject = this.addImportedModel(parsed.model, fileName, {
+            source: { fileName, buffer: arrayBuffer, resources: parsed.resources }
+        });
+        
+        console.log(`Imported OBJ model: ${fileName}`);
+        return modelObject;
+    }
+
+    /**
+     * Load STL model with a default material
+     */
+    async loadSTLModel(arrayBuffer, fileName) {
+        const { model } = this.parseSTL(arrayBuffer);
+        
+        const modelObject = this.addImportedModel(model, fileName, {
+            source: { fileName, buffer: arrayBuffer }
+        });
+        
+        console.log(`Imported STL model: ${fileName}`);
+        return modelObject;
+    }
+
+    /**
+     * Load PLY model with a default material
+     */
+    async loadPLYModel(arrayBuffer, fileName) {
+        const { model } = this.parsePLY(arrayBuffer);
+        
+        const modelObject = this.addImportedModel(model, fileName, {
+            source: { fileName, buffer: arrayBuffer }
         });
+        
+        console.log(`Imported PLY model: ${fileName}`);
+        return modelObject;
+    }
+
+    /**
+     * Load COLLADA model with its textures and animation clips
+     * @param {ArrayBuffer} arrayBuffer - DAE file contents
+     * @param {string} fileName - Original file name
+     * @param {Array<Object>} [resources] - Companion { fileName, buffer } files (textures)
+     */
+    async loadColladaModel(arrayBuffer, fileName, resources = []) {
+        const parsed = await this.parseCollada(arrayBuffer, resources);
+        
+        const modelObject = this.addImportedModel(parsed.model, fileName, {
+            animations: parsed.animations,
+            source: { fileName, buffer: arrayBuffer, resources: parsed.resources }
+        });
+        
+        console.log(`Imported COLLADA model: ${fileName}`);
+        return modelObject;
+    }
+
+    /**
+     * Load 3DS model with its textures
+     * @param {ArrayBuffer} arrayBuffer - 3DS file contents
+     * @param {string} fileName - Original file name
+     * @param {Array<Object>} [resources] - Companion { fileName, buffer } files (textures)
+     */
+    async load3DSModel(arrayBuffer, fileName, resources = []) {
+        const parsed = await this.parse3DS(arrayBuffer, resources);
+        
+        const modelObject = this.addImportedModel(parsed.model, fileName, {
+            source: { fileName, buffer: arrayBuffer, resources: parsed.resources }
+        });
+        
+        console.log(`Imported 3DS model: ${fileName}`);
+        return modelObject;
     }
 
     /**
@@ -877,6 +1796,55 @@ class SceneManager {
         return true;
     }
     
+    /**
+     * Register an object record and add its mesh to the scene, under its parent's mesh when it has one
+     * @param {Object} sceneObject - Object record with id, type, name, mesh, properties and optional parentId
+     * @param {Object} [options] - `index` to insert the object at a position in the scene order
+     * @returns {Object} The scene object
+     */
+    addSceneObject(sceneObject, options = {}) {
+        const { id, mesh } = sceneObject;
+        
+        if (mesh) {
+            mesh.userData.id = id;
+            
+            // Transforms are stored relative to the parent, so the mesh goes straight under it
+            const parent = sceneObject.parentId ? this.objects.get(sceneObject.parentId) : null;
+            (parent && parent.mesh ? parent.mesh : this.scene).add(mesh);
+            
+            // Children restored before their parent (e.g. while importing) join it now
+            this.objects.forEach(other => {
+                if (other.parentId === id && other.mesh && other.mesh.parent !== mesh) {
+                    mesh.add(other.mesh);
+                }
+            });
+        }
+        
+        // Maps keep insertion order, so rebuild it to put the object back in its place
+        if (options.index !== undefined && options.index >= 0 && options.index < this.objects.size) {
+            const entries = Array.from(this.objects.entries());
+            entries.splice(options.index, 0, [id, sceneObject]);
+            this.objects.clear();
+            entries.forEach(([key, value]) => this.objects.set(key, value));
+        } else {
+            this.objects.set(id, sceneObject);
+        }
+        
+        // Keep generated IDs from colliding with registered ones
+        const match = /^[a-z]+_(\d+)$/i.exec(String(id));
+        if (match && parseInt(match[1], 10) >= this.nextObjectId) {
+            this.nextObjectId = parseInt(match[1], 10) + 1;
+        }
+        
+        this.eventBus.emit(EventBus.Events.OBJECT_CREATED, {
+            object: sceneObject,
+            id,
+            type: sceneObject.type
+        });
+        
+        return sceneObject;
+    }
+
     /**
      * Remove an object from the scene
      */
@@ -887,31 +1855,27 @@ class SceneManager {
             return false;
         }
         
+        // Children leave with their parent
+        this.getChildren(id).forEach(child => this.removeObject(child.id));
+        
         // Detach transform controls if this object is selected
         const sceneObject = object.mesh || object.light || object.camera;
         if (this.transformControls && this.transformControls.object === sceneObject) {
             this.transformControls.detach();
         }
         
+        // Remember what the object looked like so deleting it can be undone.
+        // Geometry and materials are not disposed here: the editor history
+        // holds on to the object and frees it with disposeObject() once the
+        // deletion can no longer be undone.
+        const components = ComponentSystem.instance ? ComponentSystem.instance.serializeEntity(id) : {};
+        const index = Array.from(this.objects.keys()).indexOf(id);
+        
         // Remove from scene
         if (object.mesh) {
-            this.scene.remove(object.mesh);
-            
-            // Clean up geometry and material for meshes
-            if (object.mesh.geometry) {
-                object.mesh.geometry.dispose();
-            }
-            if (object.mesh.material) {
-                if (Array.isArray(object.mesh.material)) {
-                    object.mesh.material.forEach(material => material.dispose());
-                } else {
-                    object.mesh.material.dispose();
-                }
-            }
-            
-            // Clean up textures if any
-            if (object.mesh.material && object.mesh.material.map) {
-                object.mesh.material.map.dispose();
+            this.highlightObject(object, false);
+            if (object.mesh.parent) {
+                object.mesh.parent.remove(object.mesh);
             }
         } else if (object.light) {
             this.scene.remove(object.light);
@@ -920,11 +1884,16 @@ class SceneManager {
         }
         
         // Remove from tracking
+        const wasSelected = this.selectedObjects.delete(id);
         this.objects.delete(id);
-        this.selectedObjects.delete(id);
         
         // Emit event
-        this.eventBus.emit(EventBus.Events.OBJECT_DELETED, { id, object });
+        this.eventBus.emit(EventBus.Events.OBJECT_DELETED, { id, object, components, index });
+        
+        if (wasSelected) {
+            this.updateSelectionGizmo();
+            this.emitSelectionChanged();
+        }
         
         console.log(`Removed object: ${object.name} (${id})`);
         return true;
@@ -937,6 +1906,210 @@ class SceneManager {
         return this.removeObject(id);
     }
 
+    /**
+     * Get the parent of an object
+     * @returns {Object|null} The parent scene object
+     */
+    getParent(id) {
+        const object = this.objects.get(id);
+        return object && object.parentId ? this.objects.get(object.parentId) || null : null;
+    }
+
+    /**
+     * Get the direct children of an object in hierarchy order
+     * @param {string|null} id - Object ID, or null for the top-level objects
+     * @returns {Object[]} Child scene objects
+     */
+    getChildren(id) {
+        return Array.from(this.objects.values()).filter(object => {
+            const parentId = object.parentId && this.objects.has(object.parentId) ? object.parentId : null;
+            return parentId === (id || null);
+        });
+    }
+
+    /**
+     * Get all objects below an object, parents before their children
+     * @returns {Object[]} Descendant scene objects
+     */
+    getDescendants(id) {
+        return this.getChildren(id).reduce(
+            (descendants, child) => descendants.concat(child, this.getDescendants(child.id)),
+            []
+        );
+    }
+
+    /**
+     * Check whether an object is somewhere below another one
+     */
+    isDescendantOf(id, ancestorId) {
+        let parent = this.getParent(id);
+        while (parent) {
+            if (parent.id === ancestorId) return true;
+            parent = this.getParent(parent.id);
+        }
+        return false;
+    }
+
+    /**
+     * Reduce a list of scene objects to those with no ancestor in the list
+     * @param {Object[]} objects - Scene objects
+     * @returns {Object[]}
+     */
+    getTopLevelObjects(objects) {
+        return objects.filter(object =>
+            !objects.some(other => other !== object && this.isDescendantOf(object.id, other.id)));
+    }
+
+    /**
+     * Whether a Three.js node is the mesh of a registered scene object
+     */
+    isObjectMesh(node) {
+        const object = node.userData.id ? this.objects.get(node.userData.id) : null;
+        return !!object && object.mesh === node;
+    }
+
+    /**
+     * Visit the nodes that make up an object's mesh, without descending into child objects
+     * @param {Object} object - The scene object
+     * @param {Function} callback - Called with each node
+     */
+    traverseObjectMesh(object, callback) {
+        const visit = (node) => {
+            callback(node);
+            node.children.forEach(child => {
+                if (!this.isObjectMesh(child)) {
+                    visit(child);
+                }
+            });
+        };
+        visit(object.mesh);
+    }
+
+    /**
+     * Move an object under a new parent and/or to a new place in the hierarchy.
+     * The object keeps its world transform.
+     * @param {string} id - Object to move
+     * @param {string|null} parentId - New parent, or null for the scene root
+     * @param {Object} [options] - `beforeId` to place the object before a sibling, or
+     *   `index` for its position in the object order; by default it becomes the last child
+     * @returns {boolean} True if the object was moved
+     */
+    moveObject(id, parentId, options = {}) {
+        const object = this.objects.get(id);
+        const parent = parentId ? this.objects.get(parentId) : null;
+        if (!object || (parentId && !parent)) {
+            console.warn(`Cannot move object ${id} under ${parentId}: object not found`);
+            return false;
+        }
+        if (parentId === id || (parentId && this.isDescendantOf(parentId, id))) {
+            console.warn(`Cannot move object ${id} under itself or one of its children`);
+            return false;
+        }
+        
+        const oldParentId = object.parentId || null;
+        object.parentId = parentId || null;
+        
+        if (object.mesh) {
+            (parent && parent.mesh ? parent.mesh : this.scene).attach(object.mesh);
+            this.syncTransformProperties(object);
+        }
+        
+        // Sibling order follows the order of the objects map
+        const entries = Array.from(this.objects.entries()).filter(([key]) => key !== id);
+        let index = options.index;
+        if (index === undefined && options.beforeId && options.beforeId !== id) {
+            index = entries.findIndex(([key]) => key === options.beforeId);
+        }
+        if (index === undefined || index < 0 || index > entries.length) {
+            index = entries.length;
+        }
+        entries.splice(index, 0, [id, object]);
+        this.objects.clear();
+        entries.forEach(([key, value]) => this.objects.set(key, value));
+        
+        this.refreshSelectionPivot(id);
+        
+        this.eventBus.emit(EventBus.Events.OBJECT_REPARENTED, {
+            id,
+            object,
+            parentId: object.parentId,
+            oldParentId
+        });
+        
+        return true;
+    }
+
+    /**
+     * Free the geometry, materials and textures of an object that has left the scene for good
+     * @param {Object} object - Removed scene object
+     */
+    disposeObject(object) {
+        if (!object || !object.mesh) return;
+        
+        // Textures of texture assets (such as the checker) are shared with other objects
+        const editor = typeof EditorCore !== 'undefined' ? EditorCore.getInstance() : null;
+        const assetManager = editor ? editor.assetManager : null;
+        
+        object.mesh.traverse((child) => {
+            if (child.geometry) {
+                child.geometry.dispose();
+            }
+            
+            const materials = Array.isArray(child.material) ? child.material : (child.material ? [child.material] : []);
+            materials.forEach(material => {
+                Object.values(material).forEach(value => {
+                    if (value && value.isTexture && !(assetManager && assetManager.isAssetData(value))) {
+                        value.dispose();
+                    }
+                });
+                material.dispose();
+            });
+        });
+    }
+
+    /**
+     * Duplicate an object with its mesh, materials, components and children
+     * @param {string} id - ID of the object to copy
+     * @param {Object} [options] - `parentId` to copy the object under another parent
+     *   as-is; used for the children of a copy
+     * @returns {Object|null} The new scene object
+     */
+    duplicateObject(id, options = {}) {
+        const object = this.objects.get(id);
+        if (!object) {
+            console.warn(`Object with id ${id} not found`);
+            return null;
+        }
+        
+        // Round-trip through the saved form so the copy gets its own geometry and materials
+        const objectData = JSON.parse(JSON.stringify(this.serializeObject(object)));
+        const prefix = object.type === 'imported-model' ? 'model' : 'object';
+        objectData.id = `${prefix}_${this.nextObjectId++}`;
+        if (options.parentId) {
+            objectData.parentId = options.parentId;
+        } else {
+            objectData.name = `${object.name}_copy`;
+            objectData.properties.position[0] += 1;
+            objectData.properties.position[2] += 1;
+        }
+        
+        const copy = this.restoreObject(objectData);
+        if (!copy) return null;
+        
+        // Copies share the imported file so they are saved from it too
+        if (object.source) {
+            copy.source = object.source;
+        }
+        if (object.gltf) {
+            copy.gltf = object.gltf;
+        }
+        
+        this.getChildren(id).forEach(child => this.duplicateObject(child.id, { parentId: copy.id }));
+        
+        console.log(`Duplicated object: ${object.name} (${id}) as ${copy.id}`);
+        return copy;
+    }
+
     /**
      * Focus camera on a specific object with smooth animation
      * @param {Object} object - The object to focus on
@@ -1038,56 +2211,164 @@ class SceneManager {
     }
 
     /**
-     * Select an object
+     * Select an object
+     * @param {string} id - Object ID
+     * @param {string} [mode] - 'replace' selects only this object, 'add' adds it to the
+     *   selection and 'toggle' adds or removes it
+     * @returns {boolean} True if the object exists
+     */
+    selectObject(id, mode = 'replace') {
+        if (!this.objects.has(id)) return false;
+        
+        this.selectObjects([id], mode);
+        return true;
+    }
+
+    /**
+     * Select several objects at once. The last one selected is the active
+     * object shown in the inspector.
+     * @param {string[]} ids - Object IDs
+     * @param {string} [mode] - 'replace', 'add' or 'toggle' (see selectObject)
+     */
+    selectObjects(ids, mode = 'replace') {
+        if (mode === 'replace') {
+            Array.from(this.selectedObjects).forEach(id => {
+                if (!ids.includes(id)) {
+                    this.removeFromSelection(id);
+                }
+            });
+        }
+        
+        ids.forEach(id => {
+            if (!this.objects.has(id)) return;
+            
+            if (mode === 'toggle' && this.selectedObjects.has(id)) {
+                this.removeFromSelection(id);
+            } else {
+                this.addToSelection(id);
+            }
+        });
+        
+        this.updateSelectionGizmo();
+        this.emitSelectionChanged();
+    }
+
+    /**
+     * Remove an object from the selection
+     */
+    deselectObject(id) {
+        if (!this.selectedObjects.has(id)) return;
+        
+        this.removeFromSelection(id);
+        this.updateSelectionGizmo();
+        this.emitSelectionChanged();
+    }
+
+    /**
+     * Clear object selection
+     */
+    clearSelection() {
+        const hadSelection = this.selectedObjects.size > 0;
+        
+        Array.from(this.selectedObjects).forEach(id => this.removeFromSelection(id));
+        
+        // Detach transform controls
+        this.detachTransformControls();
+        
+        if (hadSelection) {
+            this.emitSelectionChanged();
+        }
+    }
+
+    /**
+     * Add an object to the selection set with visual feedback
      */
-    selectObject(id) {
+    addToSelection(id) {
         const object = this.objects.get(id);
-        if (!object) return false;
-        
-        // Clear previous selection
-        this.clearSelection();
         
-        // Add to selection
+        // Re-adding moves the object to the end, making it the active one
+        this.selectedObjects.delete(id);
         this.selectedObjects.add(id);
         
         // Visual feedback (outline or highlight)
         this.highlightObject(object, true);
         
-        // Attach transform controls if in transform mode
-        if (this.transformControls && this.currentTransformMode && this.currentTransformMode !== 'select') {
-            this.transformControls.setMode(this.currentTransformMode);
-            // Check if the mesh is still in the scene before attaching
-            if (this.scene.children.includes(object.mesh)) {
-                this.transformControls.attach(object.mesh);
-                console.log(`Attached transform controls in ${this.currentTransformMode} mode to selected object: ${object.name}`);
-            } else {
-                console.warn(`Object mesh not in scene, cannot attach transform controls`);
-                this.transformControls.detach();
-            }
-        }
-        
-        // Emit event
         this.eventBus.emit(EventBus.Events.OBJECT_SELECTED, { id, object });
+    }
+
+    /**
+     * Remove an object from the selection set
+     */
+    removeFromSelection(id) {
+        const object = this.objects.get(id);
+        this.selectedObjects.delete(id);
         
-        return true;
+        if (object) {
+            this.highlightObject(object, false);
+            this.eventBus.emit(EventBus.Events.OBJECT_DESELECTED, { id, object });
+        }
     }
 
     /**
-     * Clear object selection
+     * Tell listeners which objects are selected now
      */
-    clearSelection() {
-        this.selectedObjects.forEach(id => {
-            const object = this.objects.get(id);
-            if (object) {
-                this.highlightObject(object, false);
-                this.eventBus.emit(EventBus.Events.OBJECT_DESELECTED, { id, object });
-            }
+    emitSelectionChanged() {
+        const activeObject = this.getActiveObject();
+        this.eventBus.emit(EventBus.Events.SELECTION_CHANGED, {
+            ids: Array.from(this.selectedObjects),
+            activeId: activeObject ? activeObject.id : null,
+            activeObject
         });
+    }
+
+    /**
+     * Get the most recently selected object
+     * @returns {Object|null} The active object
+     */
+    getActiveObject() {
+        const ids = Array.from(this.selectedObjects);
+        return ids.length > 0 ? this.objects.get(ids[ids.length - 1]) || null : null;
+    }
+
+    /**
+     * Attach the transform gizmo to the selection: directly to a single object,
+     * or to a shared pivot at the centre of several objects
+     */
+    updateSelectionGizmo() {
+        if (!this.transformControls) return;
         
-        // Detach transform controls
-        this.detachTransformControls();
+        const meshes = this.getSelectedObjects()
+            .map(object => object.mesh)
+            .filter(mesh => mesh && mesh.parent);
+        
+        if (!this.currentTransformMode || this.currentTransformMode === 'select' || meshes.length === 0) {
+            this.transformControls.detach();
+            return;
+        }
+        
+        this.transformControls.setMode(this.currentTransformMode);
         
-        this.selectedObjects.clear();
+        if (meshes.length === 1) {
+            this.transformControls.attach(meshes[0]);
+            return;
+        }
+        
+        if (!this.selectionPivot) {
+            this.selectionPivot = new THREE.Object3D();
+            this.selectionPivot.name = 'SelectionPivot';
+            this.selectionPivot.userData.editorHelper = true;
+            this.scene.add(this.selectionPivot);
+        }
+        
+        const pivot = this.selectionPivot;
+        pivot.position.set(0, 0, 0);
+        pivot.rotation.set(0, 0, 0);
+        pivot.scale.set(1, 1, 1);
+        meshes.forEach(mesh => pivot.position.add(mesh.getWorldPosition(new THREE.Vector3())));
+        pivot.position.divideScalar(meshes.length);
+        pivot.updateMatrixWorld();
+        
+        this.transformControls.attach(pivot);
     }
 
     /**
@@ -1100,26 +2381,35 @@ class SceneManager {
     }
 
     /**
-     * Highlight/unhighlight an object
+     * Highlight/unhighlight an object. The highlight brightens the emissive
+     * color, and unhighlighting puts back the material's own emissive color.
      */
     highlightObject(object, highlight) {
         if (!object.mesh) return;
         
+        const setHighlight = (material) => {
+            if (!material.emissive) return;
+            
+            if (highlight) {
+                if (!this.highlightedEmissive.has(material)) {
+                    this.highlightedEmissive.set(material, material.emissive.getHex());
+                }
+                material.emissive.setHex(this.highlightedEmissive.get(material)).addScalar(0.2);
+            } else if (this.highlightedEmissive.has(material)) {
+                material.emissive.setHex(this.highlightedEmissive.get(material));
+                this.highlightedEmissive.delete(material);
+            }
+        };
+        
         // Traverse all meshes in case of imported models with multiple parts
-        object.mesh.traverse((child) => {
+        this.traverseObjectMesh(object, (child) => {
             if (child.isMesh && child.material) {
                 if (Array.isArray(child.material)) {
                     // Handle multiple materials
-                    child.material.forEach(material => {
-                        if (material.emissive) {
-                            material.emissive.setHex(highlight ? 0x333333 : 0x000000);
-                        }
-                    });
+                    child.material.forEach(setHighlight);
                 } else {
                     // Handle single material
-                    if (child.material.emissive) {
-                        child.material.emissive.setHex(highlight ? 0x333333 : 0x000000);
-                    }
+                    setHighlight(child.material);
                 }
             }
         });
@@ -1182,9 +2472,13 @@ class SceneManager {
      * Clear the entire scene
      */
     clearScene() {
-        // Remove all objects
-        const objectIds = Array.from(this.objects.keys());
-        objectIds.forEach(id => this.removeObject(id));
+        // A new scene replaces the one play mode would go back to
+        this.playState = null;
+        
+        // Remove all objects; children leave with their parents
+        Array.from(this.objects.values())
+            .filter(object => !object.parentId || !this.objects.has(object.parentId))
+            .forEach(object => this.removeObject(object.id));
         
         this.eventBus.emit(EventBus.Events.SCENE_CLEARED);
     }
@@ -1194,85 +2488,516 @@ class SceneManager {
      */
     exportScene() {
         const sceneData = {
-            objects: Array.from(this.objects.values()).map(object => ({
-                id: object.id,
-                type: object.type,
-                name: object.name,
-                properties: object.properties,
-                components: Array.from(object.components.entries())
-            })),
+            objects: Array.from(this.objects.values()).map(object => this.serializeObject(object)),
             camera: {
                 position: this.camera.position.toArray(),
                 target: this.controls.target.toArray()
             },
             settings: this.settings
         };
-        
+
         return sceneData;
     }
 
     /**
      * Import scene data
+     * @param {Object} sceneData - Data written by exportScene()
+     * @param {Map<string, ArrayBuffer>} [sources] - Embedded model files by bundle path
      */
-    importScene(sceneData) {
+    async importScene(sceneData, sources = new Map()) {
         // Clear current scene
         this.clearScene();
-        
+
         // Import settings
         if (sceneData.settings) {
             Object.assign(this.settings, sceneData.settings);
+            if (this.gridHelper) {
+                this.gridHelper.visible = this.settings.showGrid;
+            }
+            if (this.axesHelper) {
+                this.axesHelper.visible = this.settings.showAxes;
+            }
+            this.applySnapSettings();
         }
-        
+
         // Import camera
         if (sceneData.camera) {
             this.camera.position.fromArray(sceneData.camera.position);
             this.controls.target.fromArray(sceneData.camera.target);
             this.controls.update();
         }
-        
-        // Import objects
+
+        // Import objects, in order so IDs and selection match the saved scene
         if (sceneData.objects) {
-            sceneData.objects.forEach(objectData => {
-                const object = this.addObject(objectData.type, objectData.properties);
-                if (object && objectData.components) {
-                    // Restore components
-                    objectData.components.forEach(([componentName, componentData]) => {
-                        // Component restoration would be handled by ComponentSystem
-                    });
+            for (const objectData of this.checkObjectIds(sceneData.objects)) {
+                try {
+                    let loaded = null;
+                    const sourcePath = objectData.source && objectData.source.path;
+                    if (sourcePath && sources.has(sourcePath)) {
+                        const buffer = sources.get(sourcePath);
+                        const resources = (objectData.source.resources || [])
+                            .filter(resource => sources.has(resource.path))
+                            .map(resource => ({ fileName: resource.fileName, buffer: sources.get(resource.path) }));
+                        loaded = await this.parseModelSource(buffer, objectData.source.fileName, resources);
+                        loaded.source = { fileName: objectData.source.fileName, buffer, resources };
+                    }
+                    this.restoreObject(objectData, loaded);
+                } catch (error) {
+                    console.error(`Failed to restore object ${objectData.name} (${objectData.id}):`, error);
                 }
+            }
+        }
+
+        this.eventBus.emit(EventBus.Events.SCENE_IMPORTED, { sceneData });
+    }
+
+    /**
+     * Export the whole scene or the selected objects as glTF 2.0.
+     * Objects are exported in place with their names, materials, textures and
+     * animation clips; Light components become KHR_lights_punctual lights.
+     * @param {Object} [options] - `binary` for GLB output, `selectionOnly` to export the selection
+     * @returns {Promise<ArrayBuffer|Object>} GLB data or glTF JSON
+     */
+    exportGLTF(options = {}) {
+        if (!window.THREE.GLTFExporter) {
+            return Promise.reject(new Error('GLTFExporter not available'));
+        }
+        
+        let objects = Array.from(this.objects.values());
+        if (options.selectionOnly) {
+            // Selected objects are exported with their children
+            const selected = new Set();
+            this.getSelectedObjects().forEach(object => {
+                selected.add(object);
+                this.getDescendants(object.id).forEach(child => selected.add(child));
             });
+            objects = objects.filter(object => selected.has(object));
+        }
+        objects = objects.filter(object => object && object.mesh);
+        if (objects.length === 0) {
+            return Promise.reject(new Error(options.selectionOnly ? 'No objects selected' : 'The scene is empty'));
         }
         
-        this.eventBus.emit(EventBus.Events.SCENE_IMPORTED, { sceneData });
+        const restores = objects.map(object => this.prepareObjectForExport(object));
+        const animations = objects.reduce((clips, object) => clips.concat(object.animations || []), []);
+        
+        // The exporter resolves animation tracks against a single root, so gather the objects under one
+        const exportRoot = new THREE.Scene();
+        exportRoot.name = options.name || 'Scene';
+        // Children are exported inside their parents; top-level objects keep their world placement
+        const exportedIds = new Set(objects.map(object => object.id));
+        const moved = objects
+            .filter(object => !object.parentId || !exportedIds.has(object.parentId))
+            .map(object => ({ mesh: object.mesh, parent: object.mesh.parent, transform: this.captureTransform(object.mesh) }));
+        moved.forEach(({ mesh }) => exportRoot.attach(mesh));
+        
+        return new Promise((resolve, reject) => {
+            const exporter = new THREE.GLTFExporter();
+            const exportOptions = {
+                binary: !!options.binary,
+                onlyVisible: true,
+                embedImages: true,
+                animations
+            };
+            const onError = error => reject(error instanceof Error ? error : new Error(String(error)));
+            try {
+                // Newer exporters take an error callback before the options; r128 only throws
+                if (exporter.parse.length > 3) {
+                    exporter.parse(exportRoot, resolve, onError, exportOptions);
+                } else {
+                    exporter.parse(exportRoot, resolve, exportOptions);
+                }
+            } catch (error) {
+                onError(error);
+            }
+        }).finally(() => {
+            moved.forEach(({ mesh, parent, transform }) => {
+                if (parent) {
+                    parent.add(mesh);
+                }
+                mesh.position.copy(transform.position);
+                mesh.rotation.copy(transform.rotation);
+                mesh.scale.copy(transform.scale);
+            });
+            restores.forEach(restore => restore());
+        });
     }
 
     /**
-     * Reset all objects to their initial positions
+     * Temporarily put an object into its exported state: editor helpers detached,
+     * selection highlight and frustum culling undone, and directional/spot lights
+     * aimed down their local -Z axis as glTF expects
+     * @param {Object} object - The scene object
+     * @returns {Function} Restores the object's editor state
      */
-    resetObjectPositions() {
-        console.log('Resetting all object positions to initial state...');
+    prepareObjectForExport(object) {
+        const mesh = object.mesh;
+        const detached = [];
+        const lights = [];
+        
+        mesh.updateMatrixWorld(true);
+        this.traverseObjectMesh(object, (child) => {
+            if (child === mesh) return;
+            if (child.userData.editorHelper || (child.userData.componentOwned && !child.isLight)) {
+                detached.push({ child, parent: child.parent });
+            } else if (child.isDirectionalLight || child.isSpotLight) {
+                lights.push(child);
+            }
+        });
         
-        this.objects.forEach((object, id) => {
-            const initialData = this.initialPositions.get(id);
-            if (initialData && object.mesh) {
-                // Reset position
-                object.mesh.position.copy(initialData.position);
-                object.properties.position.copy(initialData.position);
-                
-                // Reset rotation
-                object.mesh.rotation.copy(initialData.rotation);
-                object.properties.rotation.copy(initialData.rotation);
-                
-                // Reset scale
-                object.mesh.scale.copy(initialData.scale);
-                object.properties.scale.copy(initialData.scale);
-                
-                // Reset size
-                if (object.properties.size !== undefined) {
-                    object.properties.size = initialData.size || 1.0;
+        // Aim lights at their targets before the targets are detached
+        const aimed = lights.map(light => {
+            const saved = { light, quaternion: light.quaternion.clone(), target: light.target };
+            const targetPosition = light.target.getWorldPosition(new THREE.Vector3());
+            light.lookAt(targetPosition);
+            
+            const target = new THREE.Object3D();
+            target.position.set(0, 0, -1);
+            light.add(target);
+            light.target = target;
+            return saved;
+        });
+        
+        detached.forEach(({ child, parent }) => parent.remove(child));
+        
+        const isSelected = this.selectedObjects.has(object.id);
+        if (isSelected) {
+            this.highlightObject(object, false);
+        }
+        const wasVisible = mesh.visible;
+        const originalName = mesh.name;
+        mesh.visible = object.properties.visible !== false;
+        mesh.name = object.name;
+        
+        return () => {
+            mesh.name = originalName;
+            mesh.visible = wasVisible;
+            if (isSelected) {
+                this.highlightObject(object, true);
+            }
+            aimed.forEach(({ light, quaternion, target }) => {
+                light.remove(light.target);
+                light.target = target;
+                light.quaternion.copy(quaternion);
+            });
+            detached.forEach(({ child, parent }) => parent.add(child));
+        };
+    }
+
+    /**
+     * Serialize a scene object into a JSON-safe record
+     * @param {Object} object - The scene object to serialize
+     * @returns {Object} Object record suitable for exportScene()
+     */
+    serializeObject(object) {
+        const componentSystem = ComponentSystem.instance;
+
+        return {
+            id: object.id,
+            type: object.type,
+            name: object.name,
+            parentId: object.parentId || null,
+            properties: this.serializeProperties(object.properties),
+            components: componentSystem ? componentSystem.serializeEntity(object.id) : {},
+            mesh: object.mesh ? this.serializeMesh(object) : null,
+            source: object.source ? { fileName: object.source.fileName } : null,
+            prefab: object.prefab ? { ...object.prefab } : null,
+            materials: object.materials ? JSON.parse(JSON.stringify(object.materials)) : null
+        };
+    }
+
+    /**
+     * Serialize the mesh of a scene object using the Three.js JSON format.
+     * Editor helpers and children owned by components (e.g. Light) are left out,
+     * since the components recreate them when they are deserialized. Child
+     * objects are saved as records of their own.
+     */
+    serializeMesh(object) {
+        const mesh = object.mesh;
+        const detached = [];
+
+        this.traverseObjectMesh(object, (node) => {
+            node.children.forEach(child => {
+                if (child.userData.editorHelper || child.userData.componentOwned || this.isObjectMesh(child)) {
+                    detached.push({ child, parent: node });
                 }
-                
-                console.log(`Reset object ${id} to initial position:`, initialData.position);
+            });
+        });
+        detached.forEach(({ child, parent }) => parent.remove(child));
+
+        // Don't bake the selection highlight or frustum culling state into the saved data
+        const isSelected = this.selectedObjects.has(object.id);
+        if (isSelected) {
+            this.highlightObject(object, false);
+        }
+        const wasVisible = mesh.visible;
+        mesh.visible = object.properties.visible !== false;
+
+        try {
+            return mesh.toJSON();
+        } finally {
+            mesh.visible = wasVisible;
+            if (isSelected) {
+                this.highlightObject(object, true);
+            }
+            detached.forEach(({ child, parent }) => parent.add(child));
+        }
+    }
+
+    /**
+     * Convert object properties into plain JSON values
+     */
+    serializeProperties(properties = {}) {
+        const serialized = {};
+
+        Object.entries(properties).forEach(([key, value]) => {
+            if (value && (value.isVector3 || value.isEuler)) {
+                serialized[key] = value.toArray();
+            } else {
+                serialized[key] = value;
+            }
+        });
+
+        return serialized;
+    }
+
+    /**
+     * Convert serialized properties back into Three.js values.
+     * Also accepts the {x, y, z} / {_x, _y, _z} shapes written by older exports.
+     */
+    deserializeProperties(properties = {}) {
+        const deserialized = { ...properties };
+
+        const readVector = (value) => {
+            if (Array.isArray(value)) return value;
+            if (value && value.x !== undefined) return [value.x, value.y, value.z];
+            if (value && value._x !== undefined) return [value._x, value._y, value._z, value._order];
+            return null;
+        };
+
+        const position = readVector(properties.position);
+        const rotation = readVector(properties.rotation);
+        const scale = readVector(properties.scale);
+
+        deserialized.position = position ? new THREE.Vector3().fromArray(position) : new THREE.Vector3();
+        deserialized.rotation = rotation ? new THREE.Euler().fromArray(rotation) : new THREE.Euler();
+        deserialized.scale = scale ? new THREE.Vector3().fromArray(scale) : new THREE.Vector3(1, 1, 1);
+
+        return deserialized;
+    }
+
+    /**
+     * Give the object records of a loaded scene that have IDs not matching
+     * SceneManager.ID_PATTERN new ones, keeping their children attached.
+     * IDs end up in the editor's markup, so files can't choose arbitrary ones.
+     * @param {Object[]} records - Object records written by serializeObject()
+     * @returns {Object[]} The records, with copies in place of those that got new IDs
+     */
+    checkObjectIds(records) {
+        const taken = new Set(records.map(record => record.id));
+        const renamed = new Map();
+        records.forEach(record => {
+            if (record.id && !SceneManager.ID_PATTERN.test(record.id)) {
+                let id;
+                do {
+                    id = `object_${this.nextObjectId++}`;
+                } while (taken.has(id) || this.objects.has(id));
+                taken.add(id);
+                renamed.set(record.id, id);
+                console.warn(`Object ID '${record.id}' is not valid; the object gets the ID ${id}`);
+            }
+        });
+        if (renamed.size === 0) return records;
+
+        return records.map(record => renamed.has(record.id) || renamed.has(record.parentId)
+            ? {
+                ...record,
+                id: renamed.get(record.id) || record.id,
+                parentId: renamed.has(record.parentId) ? renamed.get(record.parentId) : record.parentId
+            }
+            : record);
+    }
+
+    /**
+     * Restore a scene object from a record written by serializeObject()
+     * @param {Object} objectData - Serialized object record
+     * @param {Object} [loaded] - Model parsed from the embedded source file, used instead of the mesh data
+     * @returns {Object|null} The restored scene object
+     */
+    restoreObject(objectData, loaded = null) {
+        if (!objectData.mesh && !loaded) {
+            console.warn(`Object ${objectData.name} (${objectData.id}) has no mesh data and cannot be restored`);
+            return null;
+        }
+
+        const mesh = loaded ? loaded.model : new THREE.ObjectLoader().parse(objectData.mesh);
+        const properties = this.deserializeProperties(objectData.properties);
+        const validId = id => typeof id === 'string' && SceneManager.ID_PATTERN.test(id);
+        if (objectData.id && !validId(objectData.id)) {
+            console.warn(`Object ID '${objectData.id}' is not valid; the object gets a new one`);
+        }
+        const id = validId(objectData.id) ? objectData.id : `object_${this.nextObjectId++}`;
+
+        mesh.userData.id = id;
+        mesh.name = objectData.name;
+        mesh.position.copy(properties.position);
+        mesh.rotation.copy(properties.rotation);
+        mesh.scale.copy(properties.scale);
+        mesh.visible = properties.visible !== false;
+
+        const sceneObject = {
+            id,
+            type: objectData.type,
+            name: objectData.name,
+            parentId: validId(objectData.parentId) ? objectData.parentId : null,
+            mesh,
+            components: new Map(),
+            properties
+        };
+        if (objectData.prefab) {
+            sceneObject.prefab = { ...objectData.prefab };
+        }
+        if (objectData.materials) {
+            sceneObject.materials = JSON.parse(JSON.stringify(objectData.materials));
+        }
+        if (loaded) {
+            sceneObject.source = loaded.source;
+            if (loaded.gltf) {
+                sceneObject.gltf = loaded.gltf;
+            }
+            if (loaded.animations) {
+                mesh.animations = loaded.animations;
+            }
+            mesh.traverse((child) => {
+                if (child.isMesh) {
+                    child.castShadow = true;
+                    child.receiveShadow = true;
+                }
+            });
+        }
+
+        if (mesh.animations && mesh.animations.length > 0) {
+            sceneObject.animations = mesh.animations;
+        }
+
+        // Material edits and assigned textures; models rebuilt from their source file don't have them yet
+        const editor = typeof EditorCore !== 'undefined' ? EditorCore.getInstance() : null;
+        if (sceneObject.materials && editor && editor.materialManager) {
+            editor.materialManager.applyEdits(sceneObject);
+        }
+
+        this.addSceneObject(sceneObject);
+
+        // Restore components once the object is registered, since components look it up by ID
+        const componentSystem = ComponentSystem.instance;
+        if (componentSystem && objectData.components) {
+            const componentData = Array.isArray(objectData.components)
+                ? Object.fromEntries(objectData.components)
+                : objectData.components;
+            componentSystem.deserializeEntity(id, componentData);
+        }
+
+        return sceneObject;
+    }
+
+    /**
+     * Remember the state of the scene so restorePlayState() can undo what
+     * physics and scripts do in play mode: transforms, visibility, material
+     * colors, component data and which objects exist
+     */
+    storePlayState() {
+        const componentSystem = ComponentSystem.instance;
+        this.playState = new Map();
+        
+        Array.from(this.objects.values()).forEach((object, index) => {
+            const colors = [];
+            if (object.mesh) {
+                object.mesh.traverse(node => {
+                    const materials = Array.isArray(node.material) ? node.material : [node.material];
+                    materials.forEach(material => {
+                        if (material && material.color) {
+                            colors.push({ material, color: material.color.getHex() });
+                        }
+                    });
+                });
+            }
+            
+            const components = componentSystem ? componentSystem.serializeEntity(object.id) : {};
+            this.playState.set(object.id, {
+                object,
+                index,
+                position: object.mesh ? object.mesh.position.clone() : null,
+                rotation: object.mesh ? object.mesh.rotation.clone() : null,
+                scale: object.mesh ? object.mesh.scale.clone() : null,
+                size: object.properties.size,
+                visible: object.mesh ? object.mesh.visible : true,
+                colors,
+                components: JSON.stringify(components)
+            });
+        });
+    }
+
+    /**
+     * Scene objects held by the play state, which must not be disposed while
+     * the scene plays even if scripts destroy them
+     * @returns {Array<Object>}
+     */
+    getPlayStateObjects() {
+        return this.playState ? Array.from(this.playState.values()).map(state => state.object) : [];
+    }
+
+    /**
+     * Put the scene back as storePlayState() found it. Objects created in
+     * play mode are removed, destroyed ones come back.
+     */
+    restorePlayState() {
+        if (!this.playState) return;
+        
+        const playState = this.playState;
+        const componentSystem = ComponentSystem.instance;
+        console.log('Restoring the scene to its state before play mode...');
+        
+        // Objects created while playing go, with their children
+        Array.from(this.objects.keys())
+            .filter(id => !playState.has(id))
+            .forEach(id => {
+                if (this.objects.has(id)) {
+                    this.removeObject(id);
+                }
+            });
+        
+        // Destroyed objects come back in their old places, parents first
+        playState.forEach(state => {
+            if (this.objects.get(state.object.id) !== state.object) {
+                this.addSceneObject(state.object, { index: state.index });
+                if (componentSystem) {
+                    componentSystem.deserializeEntity(state.object.id, JSON.parse(state.components));
+                }
+            }
+        });
+        
+        this.playState = null;
+        playState.forEach((state, id) => {
+            const object = state.object;
+            
+            if (object.mesh) {
+                object.mesh.position.copy(state.position);
+                object.properties.position.copy(state.position);
+                object.mesh.rotation.copy(state.rotation);
+                object.properties.rotation.copy(state.rotation);
+                object.mesh.scale.copy(state.scale);
+                object.properties.scale.copy(state.scale);
+                object.mesh.visible = state.visible;
+            }
+            if (object.properties.size !== undefined) {
+                object.properties.size = state.size || 1.0;
+            }
+            state.colors.forEach(({ material, color }) => material.color.setHex(color));
+            
+            // Components scripts changed are rebuilt from their saved data
+            if (componentSystem && JSON.stringify(componentSystem.serializeEntity(id)) !== state.components) {
+                componentSystem.removeAllComponents(id);
+                componentSystem.deserializeEntity(id, JSON.parse(state.components));
             }
         });
         
@@ -1385,6 +3110,119 @@ class SceneManager {
         this.eventBus.emit('object:size-updated', { id: objectId, size });
     }
 
+    /**
+     * Get an object property by path (e.g. 'position', 'position.x', 'visible')
+     * @returns {*} A copy of the value, or undefined if the object or property does not exist
+     */
+    getObjectProperty(objectId, propertyPath) {
+        const object = this.objects.get(objectId);
+        if (!object) return undefined;
+        
+        // Objects that were never resized show (and undo back to) size 1
+        if (propertyPath === 'size') {
+            return object.properties.size || 1.0;
+        }
+        
+        // Objects without a layer are on layer 0
+        if (propertyPath === 'layer') {
+            return object.properties.layer || 0;
+        }
+        
+        const value = propertyPath.split('.').reduce((current, key) => (current == null ? undefined : current[key]), object.properties);
+        return value && typeof value.clone === 'function' ? value.clone() : value;
+    }
+
+    /**
+     * Re-centre the shared gizmo pivot after a selected object moved outside of a drag
+     */
+    refreshSelectionPivot(objectId) {
+        if (this.selectedObjects.size > 1 && this.selectedObjects.has(objectId) &&
+            this.transformControls && !this.transformControls.dragging) {
+            this.updateSelectionGizmo();
+        }
+    }
+
+    /**
+     * Set the position, rotation and scale of an object at once
+     * @param {string} objectId - Object ID
+     * @param {Object} transform - `{ position, rotation, scale }` as Vector3/Euler values
+     * @returns {boolean} True if the object exists
+     */
+    setObjectTransform(objectId, transform) {
+        const object = this.objects.get(objectId);
+        if (!object) {
+            console.warn(`Object with id ${objectId} not found`);
+            return false;
+        }
+        
+        ['position', 'rotation', 'scale'].forEach(key => {
+            object.properties[key] = transform[key].clone();
+            if (object.mesh) {
+                object.mesh[key].copy(transform[key]);
+            }
+        });
+        this.refreshSelectionPivot(objectId);
+        
+        this.eventBus.emit(EventBus.Events.OBJECT_PROPERTY_CHANGED, {
+            id: objectId,
+            object,
+            property: 'transform',
+            value: transform
+        });
+        
+        return true;
+    }
+
+    /**
+     * Set an object property by path and apply it to the mesh
+     * @param {string} objectId - Object ID
+     * @param {string} propertyPath - Property path (e.g. 'position', 'rotation.y', 'size')
+     * @param {*} value - New value
+     * @returns {boolean} True if the property was set
+     */
+    setObjectProperty(objectId, propertyPath, value) {
+        const object = this.objects.get(objectId);
+        if (!object) {
+            console.warn(`Object with id ${objectId} not found`);
+            return false;
+        }
+        
+        const keys = propertyPath.split('.');
+        const root = keys[0];
+        
+        if (root === 'size') {
+            this.setObjectUniformSize(objectId, value);
+        } else if (['position', 'rotation', 'scale'].includes(root)) {
+            const target = object.properties[root];
+            if (keys.length > 1) {
+                target[keys[1]] = value;
+            } else {
+                target.copy(value);
+            }
+            if (object.mesh) {
+                object.mesh[root].copy(target);
+            }
+        } else {
+            const lastKey = keys.pop();
+            const target = keys.reduce((current, key) => current[key], object.properties);
+            target[lastKey] = value;
+            
+            if (root === 'visible' && object.mesh) {
+                object.mesh.visible = value;
+            }
+        }
+        this.refreshSelectionPivot(objectId);
+        
+        this.eventBus.emit(EventBus.Events.OBJECT_PROPERTY_CHANGED, {
+            id: objectId,
+            object,
+            property: propertyPath,
+            value
+        });
+        
+        return true;
+    }
+
     /**
      * Dispose of the scene manager
      */
@@ -1407,6 +3245,21 @@ class SceneManager {
     }
 }
 
+// Form of object IDs ('object_12'); IDs of loaded objects must match it
+SceneManager.ID_PATTERN = /^[A-Za-z][\w-]*$/;
+
+// Loader method for each importable model file extension
+SceneManager.ModelLoaders = {
+    glb: 'loadGLTFModel',
+    gltf: 'loadGLTFModel',
+    fbx: 'loadFBXModel',
+    obj: 'loadOBJModel',
+    stl: 'loadSTLModel',
+    ply: 'loadPLYModel',
+    dae: 'loadColladaModel',
+    '3ds': 'load3DSModel'
+};
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = SceneManager;
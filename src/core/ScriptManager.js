@@ -0,0 +1,134 @@
+/**
+ * ScriptManager - Script assets
+ * Script code lives in `script` assets that any number of Script components
+ * reference by asset ID. Each asset keeps its code as a .js file, so project
+ * bundles embed scripts like other imported files. Changing the code of an
+ * asset reloads every Script component using it.
+ */
+class ScriptManager {
+    constructor(editorCore) {
+        this.editorCore = editorCore;
+    }
+
+    /**
+     * Get all script assets, including imported .js files
+     */
+    getScripts() {
+        const assetManager = this.editorCore.assetManager;
+        return assetManager ? assetManager.getAssetsByCategory('scripts') : [];
+    }
+
+    /**
+     * Get a script asset by ID
+     * @returns {Object|null} The script asset
+     */
+    getScript(assetId) {
+        const assetManager = this.editorCore.assetManager;
+        const asset = assetManager ? assetManager.getAsset(assetId) : null;
+        return asset && asset.type === 'script' ? asset : null;
+    }
+
+    /**
+     * Create a script asset
+     * @param {string} name - Script name, also the name of its file
+     * @param {string} code - Script code
+     * @returns {Object|null} The script asset
+     */
+    createScript(name, code) {
+        if (!this.editorCore.assetManager) {
+            console.warn('Cannot create a script asset without an asset manager');
+            return null;
+        }
+
+        const asset = {
+            type: 'script',
+            name,
+            data: code,
+            category: 'scripts',
+            tags: ['script'],
+            metadata: { language: 'javascript', size: code.length },
+            fileName: `${name}.js`
+        };
+        ScriptManager.setSource(asset, code);
+        this.editorCore.assetManager.registerAsset(`script_${Date.now()}`, asset);
+
+        this.editorCore.eventBus.emit(EventBus.Events.SCRIPT_CREATED, { id: asset.id, asset });
+        console.log(`Created script ${name} (${asset.id})`);
+        return asset;
+    }
+
+    /**
+     * Change the code (and optionally the name) of a script asset. Script
+     * components using it are reloaded; running ones keep their variables.
+     * @returns {number} Number of Script components using the asset
+     */
+    updateScript(assetId, code, name) {
+        const asset = this.getScript(assetId);
+        if (!asset) {
+            throw new Error(`Script asset ${assetId} not found`);
+        }
+
+        if (name && name !== asset.name) {
+            asset.name = name;
+            asset.fileName = `${name}.js`;
+        }
+        asset.data = code;
+        asset.metadata = { ...asset.metadata, size: code.length };
+        ScriptManager.setSource(asset, code);
+
+        const users = this.getUsers(assetId);
+        users.forEach(script => script.reloadScript());
+
+        this.editorCore.eventBus.emit(EventBus.Events.SCRIPT_CHANGED, { id: assetId, asset });
+        return users.length;
+    }
+
+    /**
+     * Script components that run a script asset
+     */
+    getUsers(assetId) {
+        return this.editorCore.componentSystem.getAllComponentsOfType('Script')
+            .filter(script => script.scriptAsset === assetId);
+    }
+
+    /**
+     * Delete a script asset. Script components using it keep a copy of its code
+     * as their inline code.
+     */
+    deleteScript(assetId) {
+        const asset = this.getScript(assetId);
+        if (!asset) return false;
+
+        this.getUsers(assetId).forEach(script => {
+            script.scriptCode = asset.data;
+            script.scriptAsset = '';
+        });
+
+        return this.editorCore.assetManager.deleteAsset(assetId);
+    }
+
+    /**
+     * Delete every script asset (for a new or loaded project)
+     */
+    clearScripts() {
+        this.getScripts().forEach(asset => this.editorCore.assetManager.deleteAsset(asset.id));
+    }
+
+    /**
+     * Keep the file a bundle embeds in step with the code
+     */
+    static setSource(asset, code) {
+        asset.source = {
+            fileName: asset.fileName || `${asset.name}.js`,
+            buffer: new TextEncoder().encode(code).buffer
+        };
+        asset.fileSize = asset.source.buffer.byteLength;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScriptManager;
+} else {
+    window.ScriptManager = ScriptManager;
+}
@@ -0,0 +1,1153 @@
+/**
+ * ScriptSandbox - Runs one Script component in an isolated worker
+ * Script code never runs on the editor's page. Each script gets a worker started
+ * from a data: URL (an opaque origin with no access to the page, its storage or
+ * its cookies), with the usual network and storage APIs removed before the code
+ * is loaded. That doesn't cut the network off: dynamic import() can't be
+ * removed and still loads URLs, so scripts are not safe from tracking or leaks.
+ * The worker sees the scene through a message-based proxy: every frame it gets a
+ * snapshot of the objects, their components and the input, and it sends back the
+ * transform changes and commands the script made. Queries that need the scene
+ * (raycasts, overlaps, createObject) are asynchronous and return promises.
+ * Each frame's update has a CPU time budget; scripts that keep going over it, or
+ * stop answering, are killed. The work a script makes the editor do (commands
+ * and queries) is limited per frame too, since it runs on the editor's page.
+ * At most LIMITS.maxSandboxes scripts run at once.
+ */
+class ScriptSandbox {
+    /**
+     * @param {Object} script - The Script component to run
+     * @param {Object} [variables] - Starting values of the script's variables
+     * @throws {Error} If LIMITS.maxSandboxes scripts are already running
+     */
+    constructor(script, variables = script.variables) {
+        const { maxSandboxes } = ScriptSandbox.LIMITS;
+        if (ScriptSandbox.running.size >= maxSandboxes) {
+            throw new Error(`no more than ${maxSandboxes} scripts can run at once`);
+        }
+
+        this.script = script;
+        this.entity = script.entity;
+        this.label = `'${script.scriptName || 'Script'}' on ${script.entity}`;
+        this.hooks = null; // Names of the hooks the script defines, once it has loaded
+        this.pending = 0; // Messages the worker has not finished yet
+        this.pendingFrames = 0; // Frame messages among them
+        this.watchdog = null;
+        this.overBudgetFrames = 0;
+        this.skippedTime = 0; // Frame time that passed while the worker was busy
+        this.skippedSteps = 0; // Fixed steps that passed while the worker was busy
+        this.hostCalls = 0; // Commands and queries the script sent since the last frame
+        this.createdObjects = 0; // Objects it created since the last frame
+        this.subscriptions = new Map(); // Map of event name to unsubscribe function
+        this.failed = false;
+        this.stopping = false;
+        this.killed = false;
+        this.variables = ScriptSandbox.toMessage(variables || {}); // Current values, as the script last left them
+
+        this.worker = ScriptSandbox.createWorker(ScriptSandbox.getWorkerSource());
+        this.worker.onmessage = (event) => this.handleMessage(event.data);
+        this.worker.onerror = (event) => {
+            if (event && event.preventDefault) {
+                event.preventDefault();
+            }
+            this.kill(`the sandbox crashed (${event && event.message})`);
+        };
+        ScriptSandbox.running.add(this);
+
+        const componentSystem = ComponentSystem.getInstance();
+        this.send({
+            type: 'init',
+            entity: this.entity,
+            code: script.getCode(),
+            variables: this.variables,
+            hooks: ComponentSystem.SCRIPT_HOOKS,
+            componentMethods: componentSystem.getScriptComponentMethods(),
+            frame: componentSystem.getScriptFrame()
+        });
+    }
+
+    /**
+     * Run the script's fixedUpdate, update and lateUpdate for a frame.
+     * fixedUpdate is not a fixed-timestep update: physics doesn't wait for the
+     * worker, so it is called as many times as the frame took physics steps,
+     * back to back after all of them, each time against the same snapshot.
+     * Forces it applies reach physics in the next frame's steps. Frames that
+     * come while the worker is still busy with an earlier frame are skipped;
+     * their time and steps are added to the next one.
+     * Hook calls and events waiting in the worker don't hold frames back.
+     * @param {number} deltaTime - Frame time in seconds
+     * @param {Object} frame - Scene, input and time snapshot from ComponentSystem.getScriptFrame()
+     */
+    frame(deltaTime, frame) {
+        if (!this.worker || this.stopping) return;
+
+        if (this.pendingFrames > 0) {
+            this.skippedTime += deltaTime;
+            this.skippedSteps += frame.fixedSteps || 0;
+            return;
+        }
+
+        const fixedSteps = Math.min((frame.fixedSteps || 0) + this.skippedSteps, ScriptSandbox.LIMITS.maxFixedSteps);
+        this.pendingFrames++;
+        this.send({ type: 'frame', frame: { ...frame, deltaTime: deltaTime + this.skippedTime, fixedSteps } });
+        this.skippedTime = 0;
+        this.skippedSteps = 0;
+        this.hostCalls = 0;
+        this.createdObjects = 0;
+    }
+
+    /**
+     * Call a hook of the script. Scene objects in the arguments reach the script as proxies.
+     */
+    call(hook, args = []) {
+        if (!this.worker || this.stopping) return;
+        if (this.hooks && !this.hooks.includes(hook)) return;
+
+        const ids = new Set();
+        this.send({ type: 'call', hook, args: ScriptSandbox.toMessage(args, ids), objects: this.getSnapshots(ids) });
+    }
+
+    /**
+     * Change the value of one of the script's variables while it runs
+     * @param {string} name - Variable name
+     * @param {*} value - New value; object references are `{ __object: id }`
+     */
+    setVariable(name, value) {
+        if (!this.worker || this.stopping) return;
+
+        const message = ScriptSandbox.toMessage(value);
+        this.variables[name] = message;
+        this.send({ type: 'variable', name, value: message });
+    }
+
+    /**
+     * Run the script's onDestroy, then shut the worker down
+     */
+    stop() {
+        if (!this.worker) return;
+
+        if (this.killed || this.stopping) {
+            this.terminate();
+            return;
+        }
+
+        this.stopping = true;
+        ScriptSandbox.running.delete(this);
+        this.unsubscribeAll();
+        this.send({ type: 'stop' });
+    }
+
+    /**
+     * Shut the worker down at once, reporting why
+     */
+    kill(reason) {
+        if (this.killed) return;
+
+        this.killed = true;
+        console.error(`Script ${this.label} was stopped: ${reason}`);
+        this.terminate();
+    }
+
+    terminate() {
+        clearTimeout(this.watchdog);
+        this.watchdog = null;
+        ScriptSandbox.running.delete(this);
+        this.unsubscribeAll();
+
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+
+    unsubscribeAll() {
+        this.subscriptions.forEach(unsubscribe => unsubscribe());
+        this.subscriptions.clear();
+    }
+
+    /**
+     * Post a message that runs script code; the worker answers each one with 'done'
+     */
+    send(message) {
+        if (!this.worker) return;
+
+        this.pending++;
+        if (this.pending === 1) {
+            this.armWatchdog();
+        }
+        this.worker.postMessage(message);
+    }
+
+    armWatchdog() {
+        const timeout = ScriptSandbox.LIMITS.runawayTimeout;
+        clearTimeout(this.watchdog);
+        this.watchdog = setTimeout(() => this.kill(`it ran for more than ${timeout} ms without finishing`), timeout);
+    }
+
+    handleMessage(message) {
+        if (!this.worker || !message) return;
+
+        switch (message.type) {
+            case 'ready':
+                this.hooks = message.hooks;
+                break;
+            case 'error':
+                this.failed = true;
+                console.error(`Error compiling script ${this.label}:`, message.message);
+                break;
+            case 'request':
+                this.handleRequest(message);
+                break;
+            case 'done':
+                this.handleDone(message);
+                break;
+            case 'stopped':
+                this.terminate();
+                break;
+        }
+    }
+
+    handleDone(message) {
+        if (message.variables) {
+            this.variables = message.variables;
+        }
+        const commands = message.commands || [];
+        if (!this.countHostWork(commands.length)) return;
+        commands.forEach(command => this.applyCommand(command));
+        if (!this.worker) return;
+
+        this.pending = Math.max(0, this.pending - 1);
+        if (this.pending > 0) {
+            this.armWatchdog();
+        } else {
+            clearTimeout(this.watchdog);
+            this.watchdog = null;
+        }
+
+        if (message.kind === 'frame') {
+            this.pendingFrames = Math.max(0, this.pendingFrames - 1);
+            const { frameBudget, overBudgetFrames } = ScriptSandbox.LIMITS;
+            this.overBudgetFrames = message.elapsed > frameBudget ? this.overBudgetFrames + 1 : 0;
+            if (this.overBudgetFrames >= overBudgetFrames) {
+                this.kill(`its update went over ${frameBudget} ms for ${overBudgetFrames} frames in a row`);
+            }
+        }
+    }
+
+    /**
+     * Count work the script asks of the editor; a script that asks for more
+     * than LIMITS allows in a frame is killed
+     * @param {number} calls - Commands and queries
+     * @param {number} [created] - Objects to create
+     * @returns {boolean} False if the script was killed
+     */
+    countHostWork(calls, created = 0) {
+        const { maxHostCalls, maxCreatedObjects } = ScriptSandbox.LIMITS;
+        this.hostCalls += calls;
+        this.createdObjects += created;
+
+        if (this.hostCalls > maxHostCalls) {
+            this.kill(`it sent more than ${maxHostCalls} commands and queries in a frame`);
+        } else if (this.createdObjects > maxCreatedObjects) {
+            this.kill(`it created more than ${maxCreatedObjects} objects in a frame`);
+        }
+        return !this.killed;
+    }
+
+    /**
+     * Carry out a command the script queued
+     */
+    applyCommand(command) {
+        if (command.type === 'log') {
+            const log = console[command.level] || console.log;
+            log(...command.args);
+            return;
+        }
+
+        // Once the script is stopping (or play mode is over) only what it logs still counts
+        const editor = EditorCore.getInstance();
+        if (this.stopping || editor.editorMode === 'edit') return;
+
+        const componentSystem = ComponentSystem.getInstance();
+        try {
+            switch (command.type) {
+                case 'transform':
+                    this.applyTransform(command);
+                    break;
+                case 'setColor':
+                    this.setColor(command.id, command.color);
+                    break;
+                case 'setComponentProperty':
+                    ScriptSandbox.checkComponent(command.component);
+                    ScriptSandbox.checkProperty(command.id, command.component, command.property);
+                    editor.setComponentProperty(command.id, command.component, command.property, command.value);
+                    break;
+                case 'callComponent':
+                    this.callComponent(command);
+                    break;
+                case 'addComponent':
+                    ScriptSandbox.checkComponent(command.component);
+                    componentSystem.addComponent(this.entity, command.component, command.data);
+                    break;
+                case 'removeComponent':
+                    ScriptSandbox.checkComponent(command.component);
+                    componentSystem.removeComponent(this.entity, command.component);
+                    break;
+                case 'destroyObject':
+                    editor.sceneManager.removeObject(command.id);
+                    break;
+                case 'subscribe':
+                    this.subscribe(command.event);
+                    break;
+                case 'unsubscribe':
+                    if (this.subscriptions.has(command.event)) {
+                        this.subscriptions.get(command.event)();
+                        this.subscriptions.delete(command.event);
+                    }
+                    break;
+                case 'emit':
+                    // Editor events (named in EventBus.Events or not) are out of reach
+                    if (typeof command.event !== 'string' || !command.event.startsWith(ScriptSandbox.EVENT_PREFIX)) {
+                        throw new Error(`scripts can only emit events named '${ScriptSandbox.EVENT_PREFIX}...'`);
+                    }
+                    editor.eventBus.emit(command.event, ScriptSandbox.fromMessage(command.data));
+                    break;
+                default:
+                    console.warn(`Script ${this.label} sent an unknown command '${command.type}'`);
+            }
+        } catch (error) {
+            console.error(`Script ${this.label} could not ${command.type}:`, error.message);
+        }
+    }
+
+    /**
+     * Write transform changes of the script to the object's mesh and properties
+     */
+    applyTransform(command) {
+        const object = EditorCore.getInstance().sceneManager.objects.get(command.id);
+        if (!object || !object.mesh) return;
+
+        const mesh = object.mesh;
+        if (command.position) {
+            mesh.position.fromArray(command.position);
+            object.properties.position.copy(mesh.position);
+        }
+        if (command.rotation) {
+            mesh.rotation.set(command.rotation[0], command.rotation[1], command.rotation[2]);
+            object.properties.rotation.copy(mesh.rotation);
+        }
+        if (command.scale) {
+            mesh.scale.fromArray(command.scale);
+            object.properties.scale.copy(mesh.scale);
+        }
+        if (command.visible !== undefined) {
+            mesh.visible = command.visible;
+        }
+    }
+
+    /**
+     * Tint every material of an object's mesh
+     */
+    setColor(id, color) {
+        const object = EditorCore.getInstance().sceneManager.objects.get(id);
+        if (!object || !object.mesh) return;
+
+        object.mesh.traverse(node => {
+            const materials = Array.isArray(node.material) ? node.material : [node.material];
+            materials.forEach(material => {
+                if (material && material.color) {
+                    material.color.set(color);
+                }
+            });
+        });
+    }
+
+    /**
+     * Call one of the methods a component offers to scripts (its static scriptApi)
+     */
+    callComponent({ id, component, method, args }) {
+        ScriptSandbox.checkComponent(component);
+
+        const componentSystem = ComponentSystem.getInstance();
+        if (!componentSystem.getScriptApi(ComponentSystem.getComponentType(component)).methods.includes(method)) {
+            throw new Error(`${component}.${method} is not available to scripts`);
+        }
+
+        const instance = componentSystem.getComponent(id, component);
+        if (!instance) {
+            throw new Error(`${id} has no ${component} component`);
+        }
+        instance[method](...(args || []));
+    }
+
+    subscribe(event) {
+        if (this.subscriptions.has(event)) return;
+
+        const unsubscribe = EditorCore.getInstance().eventBus.on(event, (data) => {
+            if (!this.worker || this.stopping) return;
+
+            const ids = new Set();
+            this.send({ type: 'event', event, data: ScriptSandbox.toMessage(data, ids), objects: this.getSnapshots(ids) });
+        });
+        this.subscriptions.set(event, unsubscribe);
+    }
+
+    /**
+     * Answer an asynchronous query of the script
+     */
+    handleRequest({ id, method, args }) {
+        if (!this.countHostWork(1, method === 'createObject' ? 1 : 0)) return;
+
+        let value = null;
+        let error = null;
+
+        try {
+            value = this.runRequest(method, args || []);
+        } catch (requestError) {
+            error = requestError.message;
+        }
+
+        const ids = new Set();
+        this.send({ type: 'result', id, value: ScriptSandbox.toMessage(value, ids), error, objects: this.getSnapshots(ids) });
+    }
+
+    runRequest(method, args) {
+        const editor = EditorCore.getInstance();
+        const physics = ComponentSystem.getInstance().physics;
+
+        switch (method) {
+            case 'raycast':
+                return physics.raycast(args[0], args[1], args[2], args[3]);
+            case 'overlapSphere':
+                return physics.overlapSphere(args[0], args[1], args[2]);
+            case 'overlapBox':
+                return physics.overlapBox(args[0], args[1], ScriptSandbox.toRotation(args[2]), args[3]);
+            case 'screenPointToRay':
+                return editor.sceneManager.screenPointToRay(args[0], args[1]);
+            case 'createObject':
+                if (this.stopping || editor.editorMode === 'edit') {
+                    throw new Error('Objects can only be created while the scene plays');
+                }
+                return editor.createObject(args[0], args[1] || {});
+            default:
+                throw new Error(`Unknown query '${method}'`);
+        }
+    }
+
+    getSnapshots(ids) {
+        const objects = {};
+        const sceneObjects = EditorCore.getInstance().sceneManager.objects;
+        ids.forEach(id => {
+            const object = sceneObjects.get(id);
+            if (object) {
+                objects[id] = ScriptSandbox.snapshotObject(object);
+            }
+        });
+        return objects;
+    }
+
+    /**
+     * Script-facing state of a scene object: transform, visibility and component data
+     */
+    static snapshotObject(object) {
+        const source = object.mesh || object.properties;
+        return {
+            id: object.id,
+            name: object.name,
+            type: object.type,
+            parentId: object.parentId || null,
+            layer: object.properties.layer || 0,
+            position: source.position.toArray(),
+            rotation: [source.rotation.x, source.rotation.y, source.rotation.z, source.rotation.order],
+            scale: source.scale.toArray(),
+            visible: object.mesh ? object.mesh.visible : object.properties.visible !== false,
+            components: ComponentSystem.getInstance().getScriptComponentData(object.id)
+        };
+    }
+
+    /**
+     * Turn a value into plain data that can be posted to a worker. Vectors become
+     * { x, y, z }, colors their hex value and scene objects { __object: id } (their
+     * IDs are collected in `ids`). Meshes, materials, functions and cycles are dropped.
+     */
+    static toMessage(value, ids = null, parents = new Set()) {
+        if (typeof value === 'function') return undefined;
+        if (value === null || typeof value !== 'object') return value;
+
+        if (value.isVector2 || value.isVector3 || value.isVector4 || value.isQuaternion) {
+            const vector = { x: value.x, y: value.y };
+            ['z', 'w'].forEach(axis => {
+                if (value[axis] !== undefined) vector[axis] = value[axis];
+            });
+            return vector;
+        }
+        if (value.isEuler) {
+            return { x: value.x, y: value.y, z: value.z, order: value.order };
+        }
+        if (value.isColor) {
+            return value.getHex();
+        }
+        if (value.isObject3D || value.isMaterial || value.isTexture || value.isBufferGeometry) {
+            return undefined;
+        }
+        if (value.id !== undefined && value.properties && 'mesh' in value) {
+            if (ids) ids.add(value.id);
+            return { __object: value.id };
+        }
+        if (parents.has(value)) return undefined;
+
+        parents.add(value);
+        let result;
+        if (Array.isArray(value)) {
+            result = value.map(item => ScriptSandbox.toMessage(item, ids, parents));
+        } else {
+            result = {};
+            Object.keys(value).forEach(key => {
+                const item = ScriptSandbox.toMessage(value[key], ids, parents);
+                if (item !== undefined) result[key] = item;
+            });
+        }
+        parents.delete(value);
+
+        return result;
+    }
+
+    /**
+     * Turn { __object: id } markers in data from a script back into scene objects
+     */
+    static fromMessage(value) {
+        if (value === null || typeof value !== 'object') return value;
+        if (Array.isArray(value)) return value.map(item => ScriptSandbox.fromMessage(item));
+
+        if (value.__object !== undefined) {
+            return EditorCore.getInstance().sceneManager.objects.get(value.__object) || null;
+        }
+
+        const result = {};
+        Object.keys(value).forEach(key => {
+            result[key] = ScriptSandbox.fromMessage(value[key]);
+        });
+        return result;
+    }
+
+    /**
+     * Rotation for overlapBox from a script: { x, y, z, w } is a quaternion, { x, y, z } Euler angles
+     */
+    static toRotation(rotation) {
+        if (!rotation) return null;
+        if (rotation.w !== undefined) {
+            return new THREE.Quaternion(rotation.x, rotation.y, rotation.z, rotation.w);
+        }
+        return new THREE.Euler(rotation.x || 0, rotation.y || 0, rotation.z || 0, rotation.order || 'XYZ');
+    }
+
+    static checkComponent(component) {
+        if (ComponentSystem.getComponentType(component) === 'Script') {
+            throw new Error('Scripts cannot change Script components');
+        }
+    }
+
+    /**
+     * Scripts may only set the properties of a component's schema, never its
+     * internals (its light, collider mesh and such)
+     * @throws {Error} If the component has no such property
+     */
+    static checkProperty(id, component, property) {
+        const componentSystem = ComponentSystem.getInstance();
+        const instance = componentSystem.getComponent(id, component);
+        if (!instance) {
+            throw new Error(`${id} has no ${component} component`);
+        }
+        if (typeof property !== 'string' ||
+            !componentSystem.getPropertySchema(ComponentSystem.getComponentType(component), property, instance)) {
+            throw new Error(`${component} has no property '${property}'`);
+        }
+    }
+
+    static getWorkerSource() {
+        if (!ScriptSandbox.workerSource) {
+            ScriptSandbox.workerSource = `(${ScriptSandbox.runtime.toString()})();`;
+        }
+        return ScriptSandbox.workerSource;
+    }
+
+    /**
+     * Start a worker running the given source
+     */
+    static createWorker(source) {
+        try {
+            // A data: URL worker has an opaque origin, cut off from the editor's storage and cookies
+            return new Worker(`data:text/javascript;charset=utf-8,${encodeURIComponent(source)}`);
+        } catch (error) {
+            console.warn('Data URL workers are not available, scripts run in a same-origin worker:', error.message);
+            return new Worker(URL.createObjectURL(new Blob([source], { type: 'text/javascript' })));
+        }
+    }
+}
+
+/**
+ * What runs inside the worker. Stringified into the worker source, so it must
+ * not use anything from the editor's scope.
+ */
+ScriptSandbox.runtime = function () {
+    'use strict';
+
+    const scope = self;
+    const post = scope.postMessage.bind(scope);
+    const clock = performance;
+
+    // Take away the usual ways to reach the network, storage or the page, and to post messages of their own.
+    // Dynamic import() is syntax and stays, so this makes requests harder, not impossible.
+    ['postMessage', 'fetch', 'XMLHttpRequest', 'WebSocket', 'EventSource', 'importScripts', 'indexedDB',
+        'caches', 'BroadcastChannel', 'Worker', 'SharedWorker', 'RTCPeerConnection', 'WebTransport', 'navigator',
+        'FontFace', 'fonts'
+    ].forEach(name => {
+        for (let target = scope; target; target = Object.getPrototypeOf(target)) {
+            if (Object.prototype.hasOwnProperty.call(target, name)) {
+                try {
+                    delete target[name];
+                } catch (error) {
+                    // Not configurable, shadowed below
+                }
+            }
+        }
+        try {
+            Object.defineProperty(scope, name, { value: undefined, writable: false, configurable: false });
+        } catch (error) {
+            try {
+                scope[name] = undefined;
+            } catch (assignError) {
+                // Read-only, nothing more to do
+            }
+        }
+    });
+
+    class Vector3 {
+        constructor(x = 0, y = 0, z = 0) {
+            this.x = x;
+            this.y = y;
+            this.z = z;
+        }
+
+        set(x, y, z) {
+            this.x = x;
+            this.y = y;
+            this.z = z;
+            return this;
+        }
+
+        copy(v) {
+            return this.set(v.x, v.y, v.z);
+        }
+
+        clone() {
+            return new Vector3(this.x, this.y, this.z);
+        }
+
+        add(v) {
+            return this.set(this.x + v.x, this.y + v.y, this.z + v.z);
+        }
+
+        sub(v) {
+            return this.set(this.x - v.x, this.y - v.y, this.z - v.z);
+        }
+
+        addScaledVector(v, s) {
+            return this.set(this.x + v.x * s, this.y + v.y * s, this.z + v.z * s);
+        }
+
+        multiplyScalar(s) {
+            return this.set(this.x * s, this.y * s, this.z * s);
+        }
+
+        dot(v) {
+            return this.x * v.x + this.y * v.y + this.z * v.z;
+        }
+
+        cross(v) {
+            return this.set(this.y * v.z - this.z * v.y, this.z * v.x - this.x * v.z, this.x * v.y - this.y * v.x);
+        }
+
+        lengthSq() {
+            return this.dot(this);
+        }
+
+        length() {
+            return Math.sqrt(this.lengthSq());
+        }
+
+        normalize() {
+            return this.multiplyScalar(1 / (this.length() || 1));
+        }
+
+        distanceTo(v) {
+            return Math.hypot(this.x - v.x, this.y - v.y, this.z - v.z);
+        }
+
+        lerp(v, t) {
+            return this.set(this.x + (v.x - this.x) * t, this.y + (v.y - this.y) * t, this.z + (v.z - this.z) * t);
+        }
+
+        equals(v) {
+            return this.x === v.x && this.y === v.y && this.z === v.z;
+        }
+
+        toArray() {
+            return [this.x, this.y, this.z];
+        }
+    }
+
+    let entity = null;
+    let hookNames = [];
+    let hooks = {};
+    let componentMethods = {};
+    let scene = {}; // Map of object ID to snapshot
+    let frameInput = null;
+    let commands = [];
+    const records = new Map(); // Map of object ID to proxy and transform baseline
+    const proxyIds = new WeakMap();
+    const componentProxies = new Map();
+    const listeners = new Map(); // Map of event name to callbacks
+    const requests = new Map(); // Map of request ID to { resolve, reject }
+    let nextRequest = 1;
+    let sentVariables = null; // JSON of the variables last reported to the host
+
+    const queue = (command) => commands.push(command);
+
+    // Plain data for a message: proxies become { __object: id }, functions and cycles are dropped
+    const toPlain = (value, parents = new Set()) => {
+        if (typeof value === 'function') return undefined;
+        if (value === null || typeof value !== 'object') return value;
+        if (proxyIds.has(value)) return { __object: proxyIds.get(value) };
+        if (parents.has(value)) return undefined;
+
+        parents.add(value);
+        let result;
+        if (Array.isArray(value)) {
+            result = value.map(item => toPlain(item, parents));
+        } else {
+            result = {};
+            Object.keys(value).forEach(key => {
+                const item = toPlain(value[key], parents);
+                if (item !== undefined) result[key] = item;
+            });
+        }
+        parents.delete(value);
+        return result;
+    };
+
+    const fromMessage = (value) => {
+        if (value === null || typeof value !== 'object') return value;
+        if (Array.isArray(value)) return value.map(fromMessage);
+        if (value.__object !== undefined) return getObject(value.__object);
+
+        const result = {};
+        Object.keys(value).forEach(key => {
+            result[key] = fromMessage(value[key]);
+        });
+        return result;
+    };
+
+    const toVector = (value) => value ? new Vector3(value.x, value.y, value.z) : value;
+
+    const sameArray = (a, b) => !!a && !!b && a.length === b.length && a.every((item, i) => item === b[i]);
+
+    const getComponentProxy = (id, name) => {
+        const key = `${id}/${name}`;
+        if (!componentProxies.has(key)) {
+            componentProxies.set(key, new Proxy({}, {
+                get(target, property) {
+                    if (typeof property !== 'string') return undefined;
+                    if ((componentMethods[name] || []).includes(property)) {
+                        return (...args) => queue({ type: 'callComponent', id, component: name, method: property, args: toPlain(args) });
+                    }
+                    const data = scene[id] && scene[id].components[name];
+                    return data ? data[property] : undefined;
+                },
+                set(target, property, value) {
+                    const data = scene[id] && scene[id].components[name];
+                    if (data) data[property] = toPlain(value);
+                    queue({ type: 'setComponentProperty', id, component: name, property, value: toPlain(value) });
+                    return true;
+                },
+                has(target, property) {
+                    const data = scene[id] && scene[id].components[name];
+                    return !!data && property in data;
+                }
+            }));
+        }
+        return componentProxies.get(key);
+    };
+
+    // Proxy of a scene object; transform changes are sent back when the script finishes running
+    const getObject = (id) => {
+        if (records.has(id)) return records.get(id).proxy;
+        if (!scene[id]) return null;
+
+        const record = {
+            position: new Vector3(),
+            rotation: new Vector3(),
+            scale: new Vector3(1, 1, 1),
+            visible: true,
+            base: {}
+        };
+        const visibility = {
+            get() {
+                return record.visible;
+            },
+            set(visible) {
+                record.visible = !!visible;
+            },
+            enumerable: true
+        };
+
+        const proxy = {
+            id,
+            position: record.position,
+            rotation: record.rotation,
+            scale: record.scale,
+            getComponent: (name) => scene[id] && scene[id].components[name] ? getComponentProxy(id, name) : null,
+            setColor: (color) => queue({ type: 'setColor', id, color }),
+            toJSON: () => ({ __object: id })
+        };
+        ['name', 'type', 'parentId', 'layer'].forEach(key => {
+            Object.defineProperty(proxy, key, { get: () => scene[id] ? scene[id][key] : undefined, enumerable: true });
+        });
+        Object.defineProperty(proxy, 'exists', { get: () => !!scene[id] });
+        Object.defineProperty(proxy, 'visible', visibility);
+
+        // Older scripts work with the mesh directly
+        proxy.mesh = { position: record.position, rotation: record.rotation, scale: record.scale };
+        Object.defineProperty(proxy.mesh, 'visible', visibility);
+
+        record.proxy = proxy;
+        records.set(id, record);
+        proxyIds.set(proxy, id);
+        refresh(id, record);
+        return proxy;
+    };
+
+    // Take over the host's values, keeping changes the script has not sent yet
+    const refresh = (id, record) => {
+        const snapshot = scene[id];
+        if (!snapshot) return;
+
+        ['position', 'rotation', 'scale'].forEach(key => {
+            const value = snapshot[key].slice(0, 3);
+            if (!sameArray(value, record.base[key])) {
+                record[key].set(value[0], value[1], value[2]);
+                record.base[key] = value;
+            }
+        });
+        record.rotation.order = snapshot.rotation[3] || 'XYZ';
+        if (snapshot.visible !== record.base.visible) {
+            record.visible = snapshot.visible;
+            record.base.visible = snapshot.visible;
+        }
+    };
+
+    const collectTransforms = () => {
+        records.forEach((record, id) => {
+            if (!scene[id]) return;
+
+            const command = { type: 'transform', id };
+            let changed = false;
+            ['position', 'rotation', 'scale'].forEach(key => {
+                const value = record[key].toArray();
+                if (!sameArray(value, record.base[key])) {
+                    command[key] = value;
+                    record.base[key] = value;
+                    changed = true;
+                }
+            });
+            if (record.visible !== record.base.visible) {
+                command.visible = record.visible;
+                record.base.visible = record.visible;
+                changed = true;
+            }
+            if (changed) queue(command);
+        });
+    };
+
+    const addObjects = (objects) => {
+        Object.keys(objects || {}).forEach(id => {
+            if (!scene[id]) scene[id] = objects[id];
+        });
+    };
+
+    const request = (method, args) => new Promise((resolve, reject) => {
+        const id = nextRequest++;
+        requests.set(id, { resolve, reject });
+        post({ type: 'request', id, method, args: toPlain(args) });
+    });
+
+    const report = (hook, error) => {
+        const message = error && error.stack ? error.stack : String(error);
+        queue({ type: 'log', level: 'error', args: [`Error in script ${hook} for entity ${entity}: ${message}`] });
+    };
+
+    const writeLog = (level) => (...args) => queue({ type: 'log', level, args: toPlain(args) });
+
+    const has = (list, name) => !!frameInput && frameInput[list].includes(String(name).toLowerCase());
+
+    const hasGamepadEvent = (list, button, index) => !!frameInput && (index === undefined
+        ? frameInput[list].some(entry => entry.endsWith(`:${button}`))
+        : frameInput[list].includes(`${index}:${button}`));
+
+    const getGamepads = (index) => !frameInput ? [] : frameInput.gamepads.filter(pad => index === undefined || pad.index === index);
+
+    const getAction = (action) => (frameInput && frameInput.actions[action]) || {};
+
+    const time = {
+        deltaTime: 0,
+        fixedDeltaTime: 0,
+        time: 0,
+        timeScale: 1,
+        getTime: () => time.time
+    };
+
+    const input = {
+        getKey: (key) => has('keys', key),
+        getKeyDown: (key) => has('keysDown', key),
+        getKeyUp: (key) => has('keysUp', key),
+        getMouseButton: (button) => !!frameInput && frameInput.buttons.includes(button),
+        getMouseButtonDown: (button) => !!frameInput && frameInput.buttonsDown.includes(button),
+        getMouseButtonUp: (button) => !!frameInput && frameInput.buttonsUp.includes(button),
+        getButton: (action) => !!getAction(action).held,
+        getButtonDown: (action) => !!getAction(action).down,
+        getButtonUp: (action) => !!getAction(action).up,
+        getGamepadButton: (button, index) => getGamepads(index).some(pad => !!pad.buttons[button] && pad.buttons[button].pressed),
+        getGamepadButtonDown: (button, index) => hasGamepadEvent('gamepadButtonsDown', button, index),
+        getGamepadButtonUp: (button, index) => hasGamepadEvent('gamepadButtonsUp', button, index),
+        getGamepadAxis: (axis, index) => getGamepads(index).reduce((result, pad) => {
+            const value = pad.axes[axis] || 0;
+            return Math.abs(value) > Math.abs(result) ? value : result;
+        }, 0),
+
+        get mousePosition() {
+            return frameInput ? frameInput.mousePosition : null;
+        },
+
+        get mouseDelta() {
+            return frameInput ? frameInput.mouseDelta : { x: 0, y: 0 };
+        },
+
+        get wheelDelta() {
+            return frameInput ? frameInput.wheelDelta : { x: 0, y: 0 };
+        },
+
+        get touches() {
+            return frameInput ? frameInput.touches : [];
+        },
+
+        get gamepads() {
+            return getGamepads();
+        }
+    };
+
+    // Everything a script can use, passed to it as parameters
+    const api = {
+        entity: null,
+        gameObject: null,
+        variables: {},
+        time,
+        input,
+        Math,
+        Vector3,
+        log: writeLog('log'),
+        warn: writeLog('warn'),
+        error: writeLog('error'),
+        console: { log: writeLog('log'), info: writeLog('log'), warn: writeLog('warn'), error: writeLog('error') },
+
+        getComponent: (name) => api.gameObject ? api.gameObject.getComponent(name) : null,
+        addComponent: (name, data) => queue({ type: 'addComponent', component: name, data: toPlain(data) }),
+        removeComponent: (name) => queue({ type: 'removeComponent', component: name }),
+
+        // By name, or by ID
+        findObject: (name) => {
+            const id = Object.keys(scene).find(key => scene[key].name === name) || (scene[name] ? name : null);
+            return id ? getObject(id) : null;
+        },
+
+        createObject: (type, options) => request('createObject', [type, options]).then(fromMessage),
+
+        destroyObject: (object) => queue({ type: 'destroyObject', id: proxyIds.has(object) ? proxyIds.get(object) : object }),
+
+        // Returns an unsubscribe function
+        on: (event, callback) => {
+            if (!listeners.has(event)) {
+                listeners.set(event, []);
+                queue({ type: 'subscribe', event });
+            }
+            listeners.get(event).push(callback);
+
+            return () => {
+                const callbacks = (listeners.get(event) || []).filter(item => item !== callback);
+                if (callbacks.length > 0) {
+                    listeners.set(event, callbacks);
+                } else if (listeners.delete(event)) {
+                    queue({ type: 'unsubscribe', event });
+                }
+            };
+        },
+
+        emit: (event, data) => queue({ type: 'emit', event, data: toPlain(data) }),
+
+        raycast: (origin, direction, maxDistance, layerMask) => request('raycast', [origin, direction, maxDistance, layerMask])
+            .then(hit => hit && { object: fromMessage(hit.object), point: toVector(hit.point), normal: toVector(hit.normal), distance: hit.distance }),
+
+        overlapSphere: (center, radius, layerMask) => request('overlapSphere', [center, radius, layerMask]).then(fromMessage),
+
+        overlapBox: (center, halfExtents, rotation, layerMask) => request('overlapBox', [center, halfExtents, rotation, layerMask]).then(fromMessage),
+
+        screenPointToRay: (x, y) => request('screenPointToRay', [x, y])
+            .then(ray => ray && { origin: toVector(ray.origin), direction: toVector(ray.direction) }),
+
+        layerMask: (...layers) => layers.reduce((mask, layer) => mask | (1 << layer), 0)
+    };
+
+    const applyFrame = (frame) => {
+        scene = frame.objects || {};
+        frameInput = frame.input || null;
+        time.time = frame.time || 0;
+        time.deltaTime = frame.deltaTime || 0;
+        time.fixedDeltaTime = frame.fixedDeltaTime || 0;
+
+        records.forEach((record, id) => refresh(id, record));
+    };
+
+    const run = (hook, args) => {
+        const fn = hooks[hook];
+        if (typeof fn !== 'function') return;
+
+        try {
+            const result = fn.apply(api, args);
+            if (result && typeof result.then === 'function') {
+                result.then(null, error => report(hook, error));
+            }
+        } catch (error) {
+            report(hook, error);
+        }
+    };
+
+    const load = (message) => {
+        entity = message.entity;
+        hookNames = message.hooks || [];
+        componentMethods = message.componentMethods || {};
+        applyFrame(message.frame || {});
+        api.entity = entity;
+        api.variables = fromMessage(message.variables || {});
+        api.gameObject = getObject(entity);
+
+        try {
+            const names = Object.keys(api);
+            const collect = hookNames.map(hook => `${hook}: typeof ${hook} === 'function' ? ${hook} : undefined`).join(', ');
+            const factory = new Function(...names, `${message.code}\n;return { ${collect} };`);
+            hooks = factory.apply(api, names.map(name => api[name])) || {};
+            post({ type: 'ready', hooks: hookNames.filter(hook => typeof hooks[hook] === 'function') });
+        } catch (error) {
+            hooks = {};
+            post({ type: 'error', message: String(error) });
+        }
+    };
+
+    scope.addEventListener('message', (event) => {
+        const message = event.data || {};
+        const started = clock.now();
+
+        switch (message.type) {
+            case 'init':
+                load(message);
+                break;
+            case 'frame': {
+                applyFrame(message.frame);
+
+                // One fixedUpdate call per physics step the frame took. The steps have all run
+                // already, so every call sees the same snapshot. deltaTime is the fixed step meanwhile.
+                time.deltaTime = time.fixedDeltaTime;
+                for (let step = 0; step < (message.frame.fixedSteps || 0); step++) {
+                    run('fixedUpdate', []);
+                }
+                time.deltaTime = message.frame.deltaTime || 0;
+
+                run('update', []);
+                run('lateUpdate', []);
+                break;
+            }
+            case 'variable':
+                api.variables[message.name] = fromMessage(message.value);
+                break;
+            case 'call':
+                addObjects(message.objects);
+                run(message.hook, fromMessage(message.args || []));
+                break;
+            case 'event':
+                addObjects(message.objects);
+                (listeners.get(message.event) || []).slice().forEach(callback => {
+                    try {
+                        callback(fromMessage(message.data));
+                    } catch (error) {
+                        report(`'${message.event}' listener`, error);
+                    }
+                });
+                break;
+            case 'result': {
+                addObjects(message.objects);
+                const pending = requests.get(message.id);
+                requests.delete(message.id);
+                if (pending) {
+                    if (message.error) {
+                        pending.reject(new Error(message.error));
+                    } else {
+                        pending.resolve(message.value);
+                    }
+                }
+                break;
+            }
+            case 'stop':
+                run('onDestroy', []);
+                break;
+        }
+
+        collectTransforms();
+        const done = { type: 'done', kind: message.type, commands, elapsed: clock.now() - started };
+        const variables = JSON.stringify(toPlain(api.variables) || {});
+        if (variables !== sentVariables) {
+            sentVariables = variables;
+            done.variables = JSON.parse(variables);
+        }
+        post(done);
+        commands = [];
+
+        if (message.type === 'stop') {
+            post({ type: 'stopped' });
+            scope.close();
+        }
+    });
+};
+
+// Limits for script code; times are in milliseconds
+ScriptSandbox.LIMITS = {
+    frameBudget: 8, // CPU time an update may take in a frame
+    overBudgetFrames: 60, // Frames in a row over budget before the script is killed
+    runawayTimeout: 2000, // Longest the worker may take to answer before it is killed
+    maxFixedSteps: 5, // Most fixedUpdate calls a frame runs to catch up
+    maxHostCalls: 1000, // Most commands and queries a script may send in a frame
+    maxCreatedObjects: 20, // Most objects a script may create in a frame
+    maxSandboxes: 64 // Most scripts that run at once
+};
+
+// Namespace of the events scripts may emit
+ScriptSandbox.EVENT_PREFIX = 'script:';
+
+ScriptSandbox.workerSource = null;
+
+// Sandboxes whose worker is running and not stopping
+ScriptSandbox.running = new Set();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScriptSandbox;
+} else {
+    window.ScriptSandbox = ScriptSandbox;
+}
@@ -115,13 +115,9 @@ export class VirtualExhibitionPlugin {
 
     addObjectToScene(mesh, type) {
         const id = this.generateId();
-        mesh.userData.id = id;
         mesh.name = type;
 
-        // Add mesh to scene
-        this.editorCore.sceneManager.scene.add(mesh);
-
-        // Add to SceneManager objects map
+        // Register with the SceneManager so the object is part of the editor history
         const sceneObject = {
             id,
             type: 'custom',
@@ -136,7 +132,7 @@ export class VirtualExhibitionPlugin {
                 type
             }
         };
-        this.editorCore.sceneManager.objects.set(id, sceneObject);
+        this.editorCore.sceneManager.addSceneObject(sceneObject);
 
         // Add metadata component
 // Use a component type that exists or register a new one if needed
@@ -214,13 +210,10 @@ saveExhibition() {
                 mesh.position.fromArray(objData.position);
                 mesh.rotation.set(objData.rotation[0], objData.rotation[1], objData.rotation[2], objData.rotation[3]);
                 mesh.scale.fromArray(objData.scale);
-                mesh.userData.id = objData.id;
                 mesh.name = objData.type;
                 mesh.castShadow = true;
                 mesh.receiveShadow = true;
 
-                this.editorCore.sceneManager.scene.add(mesh);
-
                 const sceneObject = {
                     id: objData.id,
                     type: 'custom',
@@ -235,7 +228,7 @@ saveExhibition() {
                         type: objData.type
                     }
                 };
-                this.editorCore.sceneManager.objects.set(objData.id, sceneObject);
+                this.editorCore.sceneManager.addSceneObject(sceneObject);
 
                 // Use 'Script' component as placeholder for metadata
                 this.editorCore.componentSystem.addComponent(objData.id, 'Script', { scriptName: 'Metadata', variables: { isExhibitionElement: true, elementType: objData.type } });
@@ -10,6 +10,10 @@ class UIManager {
         this.panels = new Map();
         this.modals = new Map();
         this.contextMenu = null;
+        this.inspectedObjectId = null; // Object currently shown in the inspector
+        this.hierarchyAnchorId = null; // Start of Shift+click range selection in the hierarchy
+        this.collapsedHierarchyItems = new Set(); // Objects whose children are hidden in the hierarchy
+        this.editedScriptId = null; // Script asset open in the script editor
         
         // Drag and drop state
         this.dragState = {
@@ -32,6 +36,8 @@ class UIManager {
         this.setupModals();
         this.setupInspector();
         this.setupHierarchy();
+        this.setupPrefabPanel();
+        this.setupScriptPanel();
         
         console.log('UIManager initialized');
         
@@ -46,24 +52,27 @@ class UIManager {
      * Setup event listeners
      */
     setupEventListeners() {
-        // Listen for object selection to update inspector
-        this.eventBus.on(EventBus.Events.OBJECT_SELECTED, (data) => {
-            this.updateInspector(data.object);
+        // Listen for selection changes to update the inspector with the active object
+        this.eventBus.on(EventBus.Events.SELECTION_CHANGED, (data) => {
+            if (data.activeObject) {
+                this.updateInspector(data.activeObject);
+                this.revealInHierarchy(data.activeId);
+            } else {
+                this.clearInspector();
+            }
             this.updateHierarchy();
         });
         
-        this.eventBus.on(EventBus.Events.OBJECT_DESELECTED, () => {
-            this.clearInspector();
-        });
-        
         this.eventBus.on(EventBus.Events.OBJECT_CREATED, (data) => {
             // console.log('Object created event received:', data);
             this.updateHierarchy();
         });
         
-        this.eventBus.on(EventBus.Events.OBJECT_DELETED, () => {
+        this.eventBus.on(EventBus.Events.OBJECT_DELETED, (data) => {
             this.updateHierarchy();
-            this.clearInspector();
+            if (data.id === this.inspectedObjectId) {
+                this.clearInspector();
+            }
         });
         
         this.eventBus.on(EventBus.Events.COMPONENT_ADDED, (data) => {
@@ -92,6 +101,65 @@ class UIManager {
             }
         });
         
+        // Keep the hierarchy and inspector in sync with edits, including undo and redo
+        this.eventBus.on(EventBus.Events.OBJECT_RENAMED, (data) => {
+            this.updateHierarchy();
+            this.refreshInspector(data.id);
+        });
+        
+        // Prefab list, and the prefab section of the inspector
+        this.eventBus.on(EventBus.Events.PREFAB_CREATED, () => {
+            this.updatePrefabList();
+            this.refreshInspector(this.inspectedObjectId);
+        });
+        
+        this.eventBus.on(EventBus.Events.PREFAB_UPDATED, () => {
+            this.refreshInspector(this.inspectedObjectId);
+        });
+        
+        this.eventBus.on(EventBus.Events.ASSET_DELETED, (data) => {
+            if (data.asset && data.asset.type === 'prefab') {
+                this.updatePrefabList();
+                this.refreshInspector(this.inspectedObjectId);
+            } else if (data.asset && data.asset.type === 'script') {
+                this.updateScriptList();
+                this.refreshInspector(this.inspectedObjectId);
+            }
+        });
+        
+        // Script list, and the script asset choices of the inspector
+        [EventBus.Events.SCRIPT_CREATED, EventBus.Events.SCRIPT_CHANGED, EventBus.Events.ASSET_IMPORTED, EventBus.Events.ASSET_LOADED].forEach(event => {
+            this.eventBus.on(event, (data) => {
+                if (data.asset && data.asset.type === 'script') {
+                    this.updateScriptList();
+                    this.refreshInspector(this.inspectedObjectId);
+                }
+            });
+        });
+        
+        // Loaded scenes bring their own grid and snap settings
+        this.eventBus.on(EventBus.Events.SCENE_IMPORTED, () => {
+            this.initializeViewportButtonStates();
+        });
+        
+        this.eventBus.on(EventBus.Events.OBJECT_REPARENTED, (data) => {
+            this.updateHierarchy();
+            // Transforms in the inspector are relative to the new parent
+            this.refreshInspector(data.id);
+        });
+        
+        this.eventBus.on(EventBus.Events.OBJECT_PROPERTY_CHANGED, (data) => {
+            this.refreshInspector(data.id);
+        });
+        
+        this.eventBus.on(EventBus.Events.COMPONENT_UPDATED, (data) => {
+            this.refreshInspector(data.entityId);
+        });
+        
+        this.eventBus.on(EventBus.Events.MATERIAL_CHANGED, (data) => {
+            this.refreshInspector(data.id);
+        });
+        
         // Listen for scene state changes
         this.eventBus.on(EventBus.Events.SCENE_PLAY, () => {
             this.updateSceneControls('play');
@@ -163,6 +231,36 @@ class UIManager {
             console.error('Grid toggle button not found!');
         }
 
+        const snapToggleBtn = document.getElementById('snap-toggle');
+        if (snapToggleBtn) {
+            snapToggleBtn.addEventListener('click', () => {
+                this.editorCore.sceneManager.toggleSnap();
+                snapToggleBtn.classList.toggle('active', this.editorCore.sceneManager.settings.snapEnabled);
+            });
+        }
+
+        const surfaceSnapToggleBtn = document.getElementById('surface-snap-toggle');
+        if (surfaceSnapToggleBtn) {
+            surfaceSnapToggleBtn.addEventListener('click', () => {
+                this.editorCore.sceneManager.toggleSurfaceSnap();
+                surfaceSnapToggleBtn.classList.toggle('active', this.editorCore.sceneManager.settings.surfaceSnap);
+            });
+        }
+
+        const snapSettingsBtn = document.getElementById('snap-settings');
+        if (snapSettingsBtn) {
+            snapSettingsBtn.addEventListener('click', () => {
+                this.showSnapSettings();
+            });
+        }
+
+        const inputSettingsBtn = document.getElementById('input-settings');
+        if (inputSettingsBtn) {
+            inputSettingsBtn.addEventListener('click', () => {
+                this.showInputSettings();
+            });
+        }
+
         const fullscreenToggleBtn = document.getElementById('fullscreen-toggle');
         if (fullscreenToggleBtn) {
             fullscreenToggleBtn.addEventListener('click', () => {
@@ -178,6 +276,17 @@ class UIManager {
             });
         }
 
+        // glTF export button
+        const exportBtn = document.getElementById('export-gltf');
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => {
+                const exportModal = document.getElementById('export-modal');
+                if (exportModal) {
+                    exportModal.classList.remove('hidden');
+                }
+            });
+        }
+
         // Scene control buttons
         const playBtn = document.getElementById('play-scene');
         const pauseBtn = document.getElementById('pause-scene');
@@ -296,15 +405,27 @@ class UIManager {
      * Handle import model button click
      */
     handleImportModel() {
+        const modelExtensions = Object.keys(SceneManager.ModelLoaders);
+        const companionExtensions = ['mtl', 'png', 'jpg', 'jpeg', 'bmp', 'tga'];
         const input = document.createElement('input');
         input.type = 'file';
-        input.accept = '.glb,.gltf,.fbx,.obj,.dae,.3ds,.ply,.stl';
+        input.accept = [...modelExtensions, ...companionExtensions].map(ext => `.${ext}`).join(',');
         input.multiple = true;
         input.onchange = (e) => {
             const files = Array.from(e.target.files);
-            if (files.length > 0) {
-                files.forEach(file => {
-                    this.editorCore.sceneManager.importModel(file)
+            
+            // Material libraries and textures are passed along with the models that reference them
+            const isModel = (file) => modelExtensions.includes(file.name.toLowerCase().split('.').pop());
+            const models = files.filter(isModel);
+            const companions = files.filter(file => !isModel(file));
+            
+            if (files.length > 0 && models.length === 0) {
+                this.editorCore.showMessage('Select a model file together with its materials and textures', 'warning');
+            }
+            
+            if (models.length > 0) {
+                models.forEach(file => {
+                    this.editorCore.sceneManager.importModel(file, companions)
                         .then(() => {
                             console.log(`Model "${file.name}" imported successfully`);
                             this.editorCore.showMessage(`Model "${file.name}" imported successfully`, 'success');
@@ -366,11 +487,29 @@ class UIManager {
                 
                 if (this.dragState.dragType === 'component') {
                     this.handleComponentDrop(e);
+                } else if (this.dragState.dragType === 'prefab') {
+                    this.handlePrefabDrop(e);
                 }
             });
         }
     }
 
+    /**
+     * Place an instance of the dragged prefab where it is dropped: on the
+     * surface under the pointer, or on the ground plane
+     */
+    handlePrefabDrop(event) {
+        const sceneManager = this.editorCore.sceneManager;
+        const hit = sceneManager.raycastPlacementTargets(event);
+        let position = hit ? hit.point.clone() : null;
+        if (!position) {
+            const ground = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+            position = sceneManager.getPointerRaycaster(event).ray.intersectPlane(ground, new THREE.Vector3());
+        }
+        
+        this.editorCore.instantiatePrefab(this.dragState.dragData.assetId, position ? { position } : {});
+    }
+
     /**
      * Handle component drop on viewport
      */
@@ -386,35 +525,10 @@ class UIManager {
         const targetObject = selectedObjects[0];
         
         try {
-            // Add component with default data
-            let componentData = {};
+            // Add component with the defaults from its schema
+            const componentData = this.editorCore.componentSystem.getDefaultComponentData(componentName);
             
-            // Set default data based on component type
-            if (componentName === 'Script') {
-                componentData = {
-                    scriptName: 'New Script',
-                    scriptCode: '// New script\nfunction start() {\n    console.log("Script started");\n}\n\nfunction update() {\n    // Update logic here\n}',
-                    enabled: true,
-                    variables: {}
-                };
-            } else if (componentName === 'Light') {
-                componentData = {
-                    type: 'point',
-                    color: 0xffffff,
-                    intensity: 1,
-                    castShadow: true
-                };
-            } else if (componentName === 'Collider') {
-                componentData = {
-                    type: 'box',
-                    size: { x: 1, y: 1, z: 1 },
-                    offset: { x: 0, y: 0, z: 0 },
-                    isTrigger: false,
-                    enabled: true
-                };
-            }
-            
-            this.editorCore.componentSystem.addComponent(targetObject.id, componentName, componentData);
+            this.editorCore.addComponent(targetObject.id, componentName, componentData);
             this.editorCore.showMessage(`Added ${componentName} component to ${targetObject.name}`, 'success');
             
             // Update inspector to show new component
@@ -486,6 +600,91 @@ class UIManager {
             }
         }
         
+        // glTF export modal
+        const exportModal = document.getElementById('export-modal');
+        if (exportModal) {
+            this.setupModal(exportModal);
+            
+            const confirmBtn = document.getElementById('export-confirm');
+            if (confirmBtn) {
+                confirmBtn.addEventListener('click', () => {
+                    exportModal.classList.add('hidden');
+                    this.editorCore.exportGLTF({
+                        binary: document.getElementById('export-format').value === 'glb',
+                        selectionOnly: document.getElementById('export-scope').value === 'selection'
+                    });
+                });
+            }
+        }
+        
+        // Snap settings modal; increments apply as they are edited
+        const snapModal = document.getElementById('snap-modal');
+        if (snapModal) {
+            this.setupModal(snapModal);
+            
+            ['translation', 'rotation', 'scale'].forEach(name => {
+                const input = document.getElementById(`snap-${name}`);
+                if (input) {
+                    input.addEventListener('change', () => {
+                        this.editorCore.sceneManager.setSnapSettings({ [name]: input.value });
+                        this.showSnapSettings();
+                    });
+                }
+            });
+        }
+        
+        // Input settings modal; actions apply as they are edited
+        const inputModal = document.getElementById('input-modal');
+        if (inputModal) {
+            this.setupModal(inputModal);
+            
+            const addActionBtn = document.getElementById('add-input-action');
+            if (addActionBtn) {
+                addActionBtn.addEventListener('click', () => {
+                    this.addInputAction();
+                });
+            }
+            
+            const deadZoneInput = document.getElementById('input-dead-zone');
+            if (deadZoneInput) {
+                deadZoneInput.addEventListener('change', () => {
+                    try {
+                        this.editorCore.inputManager.setDeadZone(deadZoneInput.value);
+                    } catch (error) {
+                        this.editorCore.showMessage(error.message, 'error');
+                    }
+                    deadZoneInput.value = this.editorCore.inputManager.getDeadZone();
+                });
+            }
+        }
+        
+        // Script editor modal
+        const scriptEditorModal = document.getElementById('script-editor-modal');
+        if (scriptEditorModal) {
+            this.setupModal(scriptEditorModal);
+            
+            const saveBtn = document.getElementById('script-editor-save');
+            if (saveBtn) {
+                saveBtn.addEventListener('click', () => {
+                    this.saveScriptEditor();
+                });
+            }
+            
+            const codeInput = document.getElementById('script-editor-code');
+            if (codeInput) {
+                codeInput.addEventListener('keydown', (e) => {
+                    if (e.key === 'Tab') {
+                        // Indent instead of leaving the editor
+                        e.preventDefault();
+                        codeInput.setRangeText('    ', codeInput.selectionStart, codeInput.selectionEnd, 'end');
+                    } else if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 's') {
+                        e.preventDefault();
+                        this.saveScriptEditor();
+                    }
+                });
+            }
+        }
+        
         // Settings modal
         const settingsModal = document.getElementById('settings-modal');
         if (settingsModal) {
@@ -494,6 +693,99 @@ class UIManager {
         }
     }
 
+    /**
+     * Open the snap settings modal with the current increments
+     */
+    showSnapSettings() {
+        const snapModal = document.getElementById('snap-modal');
+        if (!snapModal) return;
+        
+        const settings = this.editorCore.sceneManager.settings;
+        document.getElementById('snap-translation').value = settings.snapTranslation;
+        document.getElementById('snap-rotation').value = settings.snapRotation;
+        document.getElementById('snap-scale').value = settings.snapScale;
+        snapModal.classList.remove('hidden');
+    }
+
+    /**
+     * Open the input settings modal with the project's actions and gamepad dead zone
+     */
+    showInputSettings() {
+        const inputModal = document.getElementById('input-modal');
+        if (!inputModal) return;
+        
+        this.renderInputActions();
+        document.getElementById('input-dead-zone').value = this.editorCore.inputManager.getDeadZone();
+        inputModal.classList.remove('hidden');
+    }
+
+    /**
+     * List the input actions and their bindings. Rows refer to actions by
+     * position, so names don't need quoting in the handlers.
+     */
+    renderInputActions() {
+        const container = document.getElementById('input-actions');
+        if (!container) return;
+        
+        const actions = this.editorCore.inputManager.getActions();
+        const names = Object.keys(actions);
+        if (names.length === 0) {
+            container.innerHTML = '<p class="input-note">No actions</p>';
+            return;
+        }
+        
+        container.innerHTML = names.map((name, index) => `
+            <div class="property-row input-action">
+                <input type="text" class="input-action-name" value="${this.escapeHtml(name)}" placeholder="Action"
+                       onchange="uiManager.renameInputAction(${index}, this.value)">
+                <input type="text" class="input-action-bindings" value="${this.escapeHtml(actions[name].join(', '))}" placeholder="Space, Gamepad A"
+                       onchange="uiManager.setInputBindings(${index}, this.value)">
+                <button class="remove-component" onclick="uiManager.removeInputAction(${index})" title="Remove action">×</button>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Get the name of the action at a position in the list
+     */
+    getInputActionName(index) {
+        return Object.keys(this.editorCore.inputManager.getActions())[index];
+    }
+
+    addInputAction() {
+        const actions = this.editorCore.inputManager.getActions();
+        let name = 'New Action';
+        for (let count = 2; actions[name]; count++) {
+            name = `New Action ${count}`;
+        }
+        
+        this.editorCore.inputManager.setAction(name, []);
+        this.renderInputActions();
+    }
+
+    renameInputAction(index, newName) {
+        try {
+            this.editorCore.inputManager.renameAction(this.getInputActionName(index), newName);
+        } catch (error) {
+            this.editorCore.showMessage(error.message, 'error');
+        }
+        this.renderInputActions();
+    }
+
+    setInputBindings(index, bindings) {
+        try {
+            this.editorCore.inputManager.setAction(this.getInputActionName(index), bindings);
+        } catch (error) {
+            this.editorCore.showMessage(error.message, 'error');
+        }
+        this.renderInputActions();
+    }
+
+    removeInputAction(index) {
+        this.editorCore.inputManager.removeAction(this.getInputActionName(index));
+        this.renderInputActions();
+    }
+
     /**
      * Setup a modal
      */
@@ -598,18 +890,28 @@ class UIManager {
         const inspectorContent = document.getElementById('inspector-content');
         if (!inspectorContent) return;
         
+        this.inspectedObjectId = object.id;
+        
+        // Properties that differ from the object's prefab are marked
+        const overrides = this.editorCore.prefabManager.getOverrides(object.id) || [];
+        const overridden = (path) => overrides.includes(path) ? ' overridden' : '';
+        
         // Start building the HTML for the inspector
         let html = `
             <div class="object-inspector">
                 <div class="property-group">
                     <h6>Name</h6>
-                    <div class="property-row">
-                        <input type="text" id="object-name" value="${object.name || 'Unnamed Object'}" class="object-name-input" placeholder="Enter object name">
+                    <div class="property-row${overridden('name')}">
+                        <input type="text" id="object-name" value="${this.escapeHtml(object.name || 'Unnamed Object')}" class="object-name-input" placeholder="Enter object name">
+                    </div>
+                    <div class="property-row${overridden('properties.layer')}">
+                        <label>Layer:</label>
+                        <input type="number" id="layer-input" value="${object.properties.layer || 0}" min="0" max="31" step="1">
                     </div>
                 </div>
                 <div class="property-group">
                     <h6>Transform</h6>
-                    <div class="property-row vertical-inputs">
+                    <div class="property-row vertical-inputs${overridden('properties.position')}">
                         <label>Position:</label>
                         <div class="vector-input vertical-inputs">
                             <input type="number" id="pos-x" value="${object.properties.position.x.toFixed(2)}" step="0.1" placeholder="X">
@@ -617,7 +919,7 @@ class UIManager {
                             <input type="number" id="pos-z" value="${object.properties.position.z.toFixed(2)}" step="0.1" placeholder="Z">
                         </div>
                     </div>
-                    <div class="property-row vertical-inputs">
+                    <div class="property-row vertical-inputs${overridden('properties.rotation')}">
                         <label>Rotation:</label>
                         <div class="vector-input vertical-inputs">
                             <input type="number" id="rot-x" value="${(object.properties.rotation.x * 180 / Math.PI).toFixed(1)}" step="1" placeholder="X">
@@ -625,34 +927,41 @@ class UIManager {
                             <input type="number" id="rot-z" value="${(object.properties.rotation.z * 180 / Math.PI).toFixed(1)}" step="1" placeholder="Z">
                         </div>
                     </div>
-                    <div class="property-row">
+                    <div class="property-row${overridden('properties.size')}">
                         <label>Size:</label>
                         <input type="number" id="size-input" value="${object.properties.size || 1.0}" step="0.25" placeholder="Size">
                     </div>
                 </div>
         `;
         
+        // Prefab link and overrides
+        html += this.renderPrefabInspector(object);
+        
+        // Materials of the mesh and its parts
+        html += this.renderMaterialInspector(object);
+        
         // Add components
-        const components = this.editorCore.componentSystem.getComponents(object.id);
-        if (components.length > 0) {
+        const componentSystem = this.editorCore.componentSystem;
+        const componentKeys = componentSystem.getComponentNames(object.id);
+        if (componentKeys.length > 0) {
             html += '<div class="property-group"><h6>Components</h6>';
             
-            components.forEach(component => {
-                html += this.renderComponentInspector(component, object.id);
+            componentKeys.forEach((componentKey, index) => {
+                html += this.renderComponentInspector(componentKey, componentSystem.getComponent(object.id, componentKey), object.id, overrides, index, componentKeys.length);
             });
             
             html += '</div>';
         }
         
-        // Add component button
+        // Add component button, offering every registered type the object doesn't have yet (or can have again)
+        const addableTypes = componentSystem.getComponentTypes()
+            .filter(name => componentSystem.allowsMultiple(name) || !componentSystem.hasComponent(object.id, name));
         html += `
             <div class="property-group">
                 <button id="add-component-btn">Add Component</button>
                 <select id="component-select">
                     <option value="">Select Component...</option>
-                    <option value="Script">Script</option>
-                    <option value="Collider">Collider</option>
-                    <option value="Light">Light</option>
+                    ${addableTypes.map(name => `<option value="${name}">${name}</option>`).join('')}
                 </select>
             </div>
         `;
@@ -669,16 +978,7 @@ class UIManager {
         if (nameInput) {
             nameInput.addEventListener('change', (e) => {
                 const newName = e.target.value.trim();
-                if (newName && newName !== object.name) {
-                    // Update the object's name in the scene manager
-                    this.editorCore.sceneManager.renameObject(object.id, newName);
-                    
-                    // Update the object's name in the hierarchy
-                    const hierarchyItem = document.querySelector(`[data-object-id="${object.id}"] .tree-label`);
-                    if (hierarchyItem) {
-                        hierarchyItem.textContent = newName;
-                    }
-                    
+                if (newName && this.editorCore.renameObject(object.id, newName)) {
                     // Show feedback to the user
                     this.editorCore.showMessage(`Renamed to: ${newName}`, 'success');
                 }
@@ -687,96 +987,573 @@ class UIManager {
     }
 
     /**
-     * Render component inspector
+     * Render the prefab section of the inspector: the prefab an object belongs
+     * to and the properties it overrides, each with a revert button
      */
-    renderComponentInspector(component, entityId) {
-        const componentName = component.constructor.name;
-        let html = `
-            <div class="component-inspector">
-                <div class="component-header">
-                    <h5>${componentName}</h5>
-                    <button class="remove-component" onclick="uiManager.removeComponent('${entityId}', '${componentName}')">×</button>
-                </div>
-                <div class="component-properties">
-        `;
+    renderPrefabInspector(object) {
+        const prefabManager = this.editorCore.prefabManager;
+        const asset = object.prefab ? prefabManager.getPrefab(object.prefab.assetId) : null;
+        if (!asset) return '';
         
-        // Render component-specific properties
-        if (componentName === 'Script') {
-            html += `
-                <div class="property-row">
-                    <label>Script Name:</label>
-                    <input type="text" value="${component.scriptName}" onchange="uiManager.updateScriptProperty('${entityId}', 'scriptName', this.value)">
-                </div>
-                <div class="property-row">
-                    <label>Enabled:</label>
-                    <input type="checkbox" ${component.enabled ? 'checked' : ''} onchange="uiManager.updateScriptProperty('${entityId}', 'enabled', this.checked)">
+        const overrides = prefabManager.getOverrides(object.id);
+        let overridesHtml;
+        if (!overrides) {
+            overridesHtml = '<p class="prefab-note">Not part of the prefab yet; apply to add it</p>';
+        } else if (overrides.length === 0) {
+            overridesHtml = '<p class="prefab-note">No overrides</p>';
+        } else {
+            overridesHtml = overrides.map(path => `
+                <div class="property-row prefab-override">
+                    <span>${this.escapeHtml(this.getOverrideLabel(path))}</span>
+                    <button onclick="uiManager.revertPrefabOverride('${this.escapeHtml(object.id)}', '${this.escapeHtml(path)}')" title="Revert to prefab value">↺</button>
                 </div>
-                <div class="property-row">
-                    <label>Script Code:</label>
-                    <textarea rows="10" onchange="uiManager.updateScriptProperty('${entityId}', 'scriptCode', this.value)">${component.scriptCode}</textarea>
+            `).join('');
+        }
+        
+        return `
+            <div class="property-group prefab-group">
+                <h6>Prefab: ${this.escapeHtml(asset.name)}</h6>
+                ${overridesHtml}
+                <div class="property-row prefab-actions">
+                    <button onclick="uiManager.applyPrefab('${this.escapeHtml(object.id)}')" title="Make this instance the new version of the prefab">Apply</button>
+                    <button onclick="uiManager.revertPrefabOverride('${this.escapeHtml(object.id)}')" title="Revert all overrides of this object">Revert All</button>
+                    <button onclick="uiManager.unpackPrefab('${this.escapeHtml(object.id)}')" title="Turn the instance into plain objects">Unpack</button>
                 </div>
-                <div class="property-row">
-                    <button onclick="uiManager.loadScriptTemplate('${entityId}')">Load Template</button>
-                    <select id="script-template-select">
-                        <option value="">Select Template...</option>
-                        <option value="Simple Rotate">Simple Rotate</option>
-                        <option value="Rotator">Rotator</option>
-                        <option value="Oscillator">Oscillator</option>
-                        <option value="ClickHandler">Click Handler</option>
-                    </select>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the material section of the inspector: every material on the
+     * object, including the parts of imported models
+     */
+    renderMaterialInspector(object) {
+        const materialManager = this.editorCore.materialManager;
+        const slots = materialManager.getSlots(object);
+        if (slots.length === 0) return '';
+        
+        const textures = materialManager.getTextureAssets();
+        const builtins = materialManager.getBuiltinMaterials();
+        const mapLabels = {
+            map: 'Albedo Map',
+            normalMap: 'Normal Map',
+            roughnessMap: 'Roughness Map',
+            metalnessMap: 'Metalness Map',
+            emissiveMap: 'Emissive Map'
+        };
+        
+        const slotsHtml = slots.map(({ slot }) => {
+            const info = materialManager.describeSlot(object, slot);
+            const values = info.values;
+            const target = `'${this.escapeHtml(object.id)}', ${slot}`;
+            const hex = (value) => `#${value.toString(16).padStart(6, '0')}`;
+            let rows = '';
+            
+            if (values.color !== undefined) {
+                rows += `
+                    <div class="property-row">
+                        <label>Color:</label>
+                        <input type="color" value="${hex(values.color)}" onchange="uiManager.updateMaterialProperty(${target}, 'color', this.value)">
+                    </div>
+                `;
+            }
+            ['metalness', 'roughness', 'opacity'].forEach(property => {
+                if (values[property] === undefined) return;
+                rows += `
+                    <div class="property-row">
+                        <label>${property.charAt(0).toUpperCase() + property.slice(1)}:</label>
+                        <input type="range" min="0" max="1" step="0.01" value="${values[property]}" title="${values[property]}" onchange="uiManager.updateMaterialProperty(${target}, '${property}', this.value)">
+                    </div>
+                `;
+            });
+            if (values.emissive !== undefined) {
+                rows += `
+                    <div class="property-row">
+                        <label>Emissive:</label>
+                        <input type="color" value="${hex(values.emissive)}" onchange="uiManager.updateMaterialProperty(${target}, 'emissive', this.value)">
+                    </div>
+                `;
+            }
+            Object.entries(info.maps).forEach(([property, assetId]) => {
+                rows += `
+                    <div class="property-row">
+                        <label>${mapLabels[property]}:</label>
+                        <select onchange="uiManager.updateMaterialProperty(${target}, '${property}', this.value)">
+                            <option value="">None</option>
+                            ${assetId === 'embedded' ? '<option value="embedded" selected disabled>From model</option>' : ''}
+                            ${textures.map(asset => `<option value="${this.escapeHtml(asset.id)}" ${asset.id === assetId ? 'selected' : ''}>${this.escapeHtml(asset.name || asset.id)}</option>`).join('')}
+                        </select>
+                    </div>
+                `;
+            });
+            if (builtins.length > 0) {
+                rows += `
+                    <div class="property-row">
+                        <label>Replace:</label>
+                        <select onchange="uiManager.applyMaterialAsset(${target}, this.value)">
+                            <option value="">Built-in material...</option>
+                            ${builtins.map(asset => `<option value="${this.escapeHtml(asset.id)}">${this.escapeHtml(asset.name)}</option>`).join('')}
+                        </select>
+                    </div>
+                `;
+            }
+            
+            const title = info.name ? this.escapeHtml(info.name) : `Material ${slot + 1}`;
+            return `
+                <div class="component-inspector material-slot">
+                    <div class="component-header">
+                        <h5>${title}</h5>
+                        <span class="material-type">${info.type}</span>
+                    </div>
+                    <div class="component-properties">
+                        ${rows}
+                    </div>
                 </div>
             `;
-        } else if (componentName === 'Light') {
-            html += `
-                <div class="property-row">
-                    <label>Type:</label>
-                    <select onchange="uiManager.updateLightProperty('${entityId}', 'type', this.value)">
-                        <option value="directional" ${component.type === 'directional' ? 'selected' : ''}>Directional</option>
-                        <option value="point" ${component.type === 'point' ? 'selected' : ''}>Point</option>
-                        <option value="spot" ${component.type === 'spot' ? 'selected' : ''}>Spot</option>
-                        <option value="ambient" ${component.type === 'ambient' ? 'selected' : ''}>Ambient</option>
-                    </select>
+        }).join('');
+        
+        return `
+            <div class="property-group">
+                <h6>Materials</h6>
+                ${slotsHtml}
+            </div>
+        `;
+    }
+
+    /**
+     * Set a material property from the inspector
+     */
+    updateMaterialProperty(objectId, slot, property, value) {
+        try {
+            this.editorCore.setMaterialProperty(objectId, slot, property, value);
+        } catch (error) {
+            this.editorCore.showMessage(error.message, 'error');
+            this.refreshInspector(objectId);
+        }
+    }
+
+    /**
+     * Replace a material with a built-in material from the inspector
+     */
+    applyMaterialAsset(objectId, slot, assetId) {
+        if (!assetId) return;
+        
+        try {
+            if (this.editorCore.applyMaterialAsset(objectId, slot, assetId)) {
+                this.editorCore.showMessage('Material replaced', 'success');
+            }
+        } catch (error) {
+            this.editorCore.showMessage(error.message, 'error');
+            this.refreshInspector(objectId);
+        }
+    }
+
+    /**
+     * Readable name for a prefab override path
+     */
+    getOverrideLabel(path) {
+        const [group, key, property] = path.split('.');
+        if (group === 'properties') {
+            return key.charAt(0).toUpperCase() + key.slice(1);
+        }
+        if (group === 'components') {
+            return property === undefined ? `${key} component` : `${key}: ${property}`;
+        }
+        return 'Name';
+    }
+
+    /**
+     * Apply an instance to its prefab
+     */
+    applyPrefab(objectId) {
+        this.editorCore.applyPrefab(objectId);
+    }
+
+    /**
+     * Revert one override of an instance object, or all of them
+     */
+    revertPrefabOverride(objectId, path) {
+        this.editorCore.revertPrefabOverrides(objectId, path ? [path] : null);
+        this.refreshInspector(objectId);
+    }
+
+    /**
+     * Unlink an instance from its prefab
+     */
+    unpackPrefab(objectId) {
+        if (this.editorCore.unpackPrefab(objectId)) {
+            this.refreshInspector(objectId);
+        }
+    }
+
+    /**
+     * Setup the prefab panel: creating prefabs from the selection and dragging them into the viewport
+     */
+    setupPrefabPanel() {
+        const createBtn = document.getElementById('create-prefab');
+        if (createBtn) {
+            createBtn.addEventListener('click', (e) => {
+                // The button sits in the panel header
+                e.stopPropagation();
+                const active = this.editorCore.sceneManager.getActiveObject();
+                if (!active) {
+                    this.editorCore.showMessage('Select an object to create a prefab from', 'warning');
+                    return;
+                }
+                this.eventBus.emit('editor:create-prefab', { id: active.id });
+            });
+        }
+        
+        const prefabList = document.getElementById('prefab-list');
+        if (prefabList) {
+            prefabList.addEventListener('dragstart', (e) => {
+                const item = e.target.closest && e.target.closest('.prefab-item');
+                if (!item) return;
+                
+                this.dragState.isDragging = true;
+                this.dragState.dragType = 'prefab';
+                this.dragState.dragData = { assetId: item.dataset.prefabId };
+                
+                e.dataTransfer.setData('text/plain', item.dataset.prefabId);
+                e.dataTransfer.effectAllowed = 'copy';
+                item.classList.add('dragging');
+            });
+            
+            prefabList.addEventListener('dragend', (e) => {
+                const item = e.target.closest && e.target.closest('.prefab-item');
+                if (item) {
+                    item.classList.remove('dragging');
+                }
+                this.dragState.isDragging = false;
+                this.dragState.dragType = null;
+                this.dragState.dragData = null;
+            });
+        }
+        
+        this.updatePrefabList();
+    }
+
+    /**
+     * Update the prefab list
+     */
+    updatePrefabList() {
+        const prefabList = document.getElementById('prefab-list');
+        if (!prefabList) return;
+        
+        const prefabs = this.editorCore.prefabManager.getPrefabs();
+        if (prefabs.length === 0) {
+            prefabList.innerHTML = '<p>No prefabs</p>';
+            return;
+        }
+        
+        prefabList.innerHTML = prefabs.map(asset => `
+            <div class="component-item prefab-item" draggable="true" data-prefab-id="${this.escapeHtml(asset.id)}" title="Drag into the viewport to place an instance">
+                <span class="component-icon">🧩</span>
+                <span class="component-name">${this.escapeHtml(asset.name)}</span>
+                <button class="delete-btn" onclick="uiManager.instantiatePrefab('${this.escapeHtml(asset.id)}')" title="Add Instance">➕</button>
+                <button class="delete-btn" onclick="uiManager.deletePrefab('${this.escapeHtml(asset.id)}')" title="Delete Prefab">🗑</button>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Add an instance of a prefab where the prefab was created
+     */
+    instantiatePrefab(assetId) {
+        this.editorCore.instantiatePrefab(assetId);
+    }
+
+    /**
+     * Delete a prefab asset
+     */
+    deletePrefab(assetId) {
+        const asset = this.editorCore.prefabManager.getPrefab(assetId);
+        if (asset && confirm(`Delete prefab "${asset.name}"? Its instances stay in the scene as plain objects.`)) {
+            this.editorCore.deletePrefab(assetId);
+        }
+    }
+
+    /**
+     * Setup the script panel
+     */
+    setupScriptPanel() {
+        const createBtn = document.getElementById('create-script');
+        if (createBtn) {
+            createBtn.addEventListener('click', (e) => {
+                // The button sits in the panel header
+                e.stopPropagation();
+                this.createScript();
+            });
+        }
+        
+        this.updateScriptList();
+    }
+
+    /**
+     * Update the script list
+     */
+    updateScriptList() {
+        const scriptList = document.getElementById('script-list');
+        if (!scriptList) return;
+        
+        const scripts = this.editorCore.scriptManager.getScripts();
+        if (scripts.length === 0) {
+            scriptList.innerHTML = '<p>No scripts</p>';
+            return;
+        }
+        
+        scriptList.innerHTML = scripts.map(asset => `
+            <div class="component-item script-item" title="${this.escapeHtml(asset.fileName || asset.name)}">
+                <span class="component-icon">📜</span>
+                <span class="component-name">${this.escapeHtml(asset.name)}</span>
+                <button class="delete-btn" onclick="uiManager.editScript('${this.escapeHtml(asset.id)}')" title="Edit Script">✏️</button>
+                <button class="delete-btn" onclick="uiManager.deleteScript('${this.escapeHtml(asset.id)}')" title="Delete Script">🗑</button>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Create a script asset with the default code and open it in the editor
+     */
+    createScript() {
+        const name = prompt('Script name', 'New Script');
+        if (!name || !name.trim()) return;
+        
+        const codeField = this.editorCore.componentSystem.getComponentSchema('Script')
+            .find(field => field.name === 'scriptCode');
+        const asset = this.editorCore.createScript(name.trim(), codeField ? codeField.default : '');
+        if (asset) {
+            this.editScript(asset.id);
+        }
+    }
+
+    /**
+     * Open a script asset in the script editor
+     */
+    editScript(assetId) {
+        const asset = this.editorCore.scriptManager.getScript(assetId);
+        const modal = document.getElementById('script-editor-modal');
+        if (!asset || !modal) return;
+        
+        const users = this.editorCore.scriptManager.getUsers(assetId).length;
+        this.editedScriptId = assetId;
+        document.getElementById('script-editor-name').value = asset.name;
+        document.getElementById('script-editor-code').value = asset.data;
+        document.getElementById('script-editor-usage').textContent = users > 0
+            ? `Used by ${users} object(s). Saving reloads them while the scene plays.`
+            : 'Not used by any object yet. Pick it as the Script Asset of a Script component.';
+        modal.classList.remove('hidden');
+        document.getElementById('script-editor-code').focus();
+    }
+
+    /**
+     * Save the script open in the script editor
+     */
+    saveScriptEditor() {
+        if (!this.editedScriptId) return;
+        
+        const name = document.getElementById('script-editor-name').value.trim();
+        const code = document.getElementById('script-editor-code').value;
+        this.editorCore.updateScript(this.editedScriptId, code, name || undefined);
+    }
+
+    /**
+     * Delete a script asset
+     */
+    deleteScript(assetId) {
+        const asset = this.editorCore.scriptManager.getScript(assetId);
+        if (asset && confirm(`Delete script "${asset.name}"? Objects using it keep a copy of its code.`)) {
+            this.editorCore.deleteScript(assetId);
+        }
+    }
+
+    /**
+     * Turn the inline code of a Script component into a script asset it uses
+     * @param {string} entityId - The object
+     * @param {string} [componentKey] - Key of the Script component, the first one by default
+     */
+    saveScriptAsAsset(entityId, componentKey = 'Script') {
+        const script = this.editorCore.componentSystem.getComponent(entityId, componentKey);
+        if (!script) return;
+        
+        const asset = this.editorCore.createScript(script.scriptName || 'New Script', script.scriptCode);
+        if (asset) {
+            this.updateComponentProperty(entityId, script.componentKey, 'scriptAsset', asset.id);
+        }
+    }
+
+    /**
+     * Render component inspector. The property editors are generated from the
+     * component's schema (see ComponentSystem.registerComponent); some components
+     * add controls of their own below them. An `enabled` property is shown as
+     * a checkbox in the header.
+     * @param {string} componentKey - Key of the component (its type, or `Type#id` for multiple components)
+     * @param {Object} component - Component instance
+     * @param {string} entityId - Object the component belongs to
+     * @param {Array<string>} overrides - Prefab override paths of the object
+     * @param {number} index - Position of the component on the object
+     * @param {number} count - Number of components on the object
+     */
+    renderComponentInspector(componentKey, component, entityId, overrides = [], index = 0, count = 1) {
+        const schema = this.editorCore.componentSystem.getComponentSchema(component.componentName, component);
+        const isOverridden = field => overrides.includes(`components.${componentKey}.${field.name}`) ? ' overridden' : '';
+        const enabledField = schema.find(field => field.name === 'enabled' && field.type === 'boolean');
+        const fields = schema.filter(field => field !== enabledField).map(field => `
+                <div class="property-row${isOverridden(field)}">
+                    <label>${this.escapeHtml(field.label)}:</label>
+                    ${this.renderComponentField(field, componentKey, component, entityId)}
                 </div>
-                <div class="property-row">
-                    <label>Color:</label>
-                    <input type="color" value="#${component.color.toString(16).padStart(6, '0')}" onchange="uiManager.updateLightProperty('${entityId}', 'color', parseInt(this.value.substring(1), 16))">
+            `).join('');
+        const toggle = enabledField
+            ? `<span class="component-toggle${isOverridden(enabledField)}" title="${this.escapeHtml(enabledField.label)}">${this.renderComponentField(enabledField, componentKey, component, entityId)}</span>`
+            : '';
+        
+        return `
+            <div class="component-inspector">
+                <div class="component-header">
+                    ${toggle}
+                    <h5>${component.componentName}</h5>
+                    <div class="component-buttons">
+                        <button title="Move up" ${index === 0 ? 'disabled' : ''} onclick="uiManager.moveComponent('${this.escapeHtml(entityId)}', '${this.escapeHtml(componentKey)}', ${index - 1})">↑</button>
+                        <button title="Move down" ${index === count - 1 ? 'disabled' : ''} onclick="uiManager.moveComponent('${this.escapeHtml(entityId)}', '${this.escapeHtml(componentKey)}', ${index + 1})">↓</button>
+                        <button class="remove-component" onclick="uiManager.removeComponent('${this.escapeHtml(entityId)}', '${this.escapeHtml(componentKey)}')">×</button>
+                    </div>
                 </div>
-                <div class="property-row">
-                    <label>Intensity:</label>
-                    <input type="range" min="0" max="5" step="0.1" value="${component.intensity}" onchange="uiManager.updateLightProperty('${entityId}', 'intensity', parseFloat(this.value))">
+                <div class="component-properties">
+                    ${fields}
+                    ${this.renderComponentExtras(componentKey, component, entityId)}
                 </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the editor for one schema property of a component
+     */
+    renderComponentField(field, componentKey, component, entityId) {
+        let value = ComponentSystem.getPropertyValue(component, field.name);
+        if (value === undefined) {
+            value = field.default;
+        }
+        const target = [entityId, componentKey, field.name].map(value => `'${this.escapeHtml(value)}'`).join(', ');
+        const disabled = field.readOnly ? ' disabled' : '';
+        const range = ['min', 'max', 'step']
+            .filter(key => field[key] !== undefined)
+            .map(key => `${key}="${this.escapeHtml(field[key])}"`)
+            .join(' ');
+        
+        switch (field.type) {
+            case 'boolean':
+                return `<input type="checkbox" ${value ? 'checked' : ''}${disabled} onchange="uiManager.updateComponentProperty(${target}, this.checked)">`;
+            case 'number':
+            case 'integer': {
+                const step = field.step === undefined && field.type === 'integer' ? ' step="1"' : '';
+                const type = field.slider ? 'range' : 'number';
+                const title = field.slider ? ` title="${this.escapeHtml(value)}"` : '';
+                return `<input type="${type}" ${range}${step}${title} value="${this.escapeHtml(value)}"${disabled} onchange="uiManager.updateComponentProperty(${target}, this.value)">`;
+            }
+            case 'text':
+                return `<textarea rows="${this.escapeHtml(field.rows || 4)}"${disabled} onchange="uiManager.updateComponentProperty(${target}, this.value)">${this.escapeHtml(value)}</textarea>`;
+            case 'enum': {
+                const options = this.editorCore.componentSystem.getEnumOptions(field, component);
+                return `
+                    <select${disabled} onchange="uiManager.updateComponentProperty(${target}, this.value)">
+                        ${options.map(option => `<option value="${this.escapeHtml(option.value)}" ${String(option.value) === String(value) ? 'selected' : ''}>${this.escapeHtml(option.label)}</option>`).join('')}
+                    </select>
+                `;
+            }
+            case 'color': {
+                const hex = (Number(value) || 0).toString(16).padStart(6, '0');
+                return `<input type="color" value="#${hex}"${disabled} onchange="uiManager.updateComponentProperty(${target}, this.value)">`;
+            }
+            case 'vector':
+                return `
+                    <div class="vector-input">
+                        ${field.components.map(axis => `<input type="number" ${range} value="${this.escapeHtml(value ? value[axis] : 0)}" placeholder="${this.escapeHtml(axis.toUpperCase())}"${disabled} onchange="uiManager.updateComponentVector(${target}, '${this.escapeHtml(axis)}', this.value)">`).join('')}
+                    </div>
+                `;
+            case 'asset': {
+                const assets = this.editorCore.assetManager.getAllAssets()
+                    .filter(asset => !field.assetType || asset.type === field.assetType);
+                return `
+                    <select${disabled} onchange="uiManager.updateComponentProperty(${target}, this.value)">
+                        <option value="">None</option>
+                        ${assets.map(asset => `<option value="${this.escapeHtml(asset.id)}" ${asset.id === value ? 'selected' : ''}>${this.escapeHtml(asset.name || asset.id)}</option>`).join('')}
+                    </select>
+                `;
+            }
+            case 'object': {
+                const objects = Array.from(this.editorCore.sceneManager.objects.values());
+                return `
+                    <select${disabled} onchange="uiManager.updateComponentProperty(${target}, this.value)">
+                        <option value="">None</option>
+                        ${objects.map(object => `<option value="${this.escapeHtml(object.id)}" ${object.id === value ? 'selected' : ''}>${this.escapeHtml(object.name || object.id)}</option>`).join('')}
+                    </select>
+                `;
+            }
+            default:
+                return `<input type="text" value="${this.escapeHtml(value)}"${disabled} onchange="uiManager.updateComponentProperty(${target}, this.value)">`;
+        }
+    }
+
+    /**
+     * Controls that are not component properties: script templates and animation playback
+     */
+    renderComponentExtras(componentKey, component, entityId) {
+        if (component.componentName === 'Script') {
+            const templates = this.editorCore.componentSystem.getScriptTemplates();
+            const assetButton = component.scriptAsset
+                ? `<button onclick="uiManager.editScript('${this.escapeHtml(component.scriptAsset)}')">Edit Script</button>`
+                : `<button onclick="uiManager.saveScriptAsAsset('${this.escapeHtml(entityId)}', '${this.escapeHtml(componentKey)}')">Save as Asset</button>`;
+            return `
                 <div class="property-row">
-                    <label>Cast Shadow:</label>
-                    <input type="checkbox" ${component.castShadow ? 'checked' : ''} onchange="uiManager.updateLightProperty('${entityId}', 'castShadow', this.checked)">
+                    ${assetButton}
                 </div>
-            `;
-        } else if (componentName === 'Collider') {
-            html += `
                 <div class="property-row">
-                    <label>Type:</label>
-                    <select onchange="uiManager.updateColliderProperty('${entityId}', 'type', this.value)">
-                        <option value="box" ${component.type === 'box' ? 'selected' : ''}>Box</option>
-                        <option value="sphere" ${component.type === 'sphere' ? 'selected' : ''}>Sphere</option>
-                        <option value="mesh" ${component.type === 'mesh' ? 'selected' : ''}>Mesh</option>
+                    <button onclick="uiManager.loadScriptTemplate('${this.escapeHtml(entityId)}', '${this.escapeHtml(componentKey)}', this.nextElementSibling.value)">Load Template</button>
+                    <select class="script-template-select">
+                        <option value="">Select Template...</option>
+                        ${templates.map(name => `<option value="${this.escapeHtml(name)}">${this.escapeHtml(name)}</option>`).join('')}
                     </select>
                 </div>
+            `;
+        }
+        
+        if (component.componentName === 'Animator') {
+            const clips = component.getClips();
+            return `
                 <div class="property-row">
-                    <label>Is Trigger:</label>
-                    <input type="checkbox" ${component.isTrigger ? 'checked' : ''} onchange="uiManager.updateColliderProperty('${entityId}', 'isTrigger', this.checked)">
+                    <label>Clips:</label>
+                    <div class="animator-clips">
+                        ${clips.length === 0 ? '<p>No animation clips</p>' : clips.map((clip, index) => `
+                            <div class="animator-clip ${clip.name === component.currentClip ? 'active' : ''}">
+                                <span>${this.escapeHtml(clip.name || `Clip ${index + 1}`)} (${clip.duration.toFixed(2)}s)</span>
+                                <button onclick="uiManager.playAnimatorClip('${this.escapeHtml(entityId)}', ${index})">▶</button>
+                            </div>
+                        `).join('')}
+                    </div>
                 </div>
                 <div class="property-row">
-                    <label>Enabled:</label>
-                    <input type="checkbox" ${component.enabled ? 'checked' : ''} onchange="uiManager.updateColliderProperty('${entityId}', 'enabled', this.checked)">
+                    <button onclick="uiManager.animatorCommand('${this.escapeHtml(entityId)}', 'pause')">Pause</button>
+                    <button onclick="uiManager.animatorCommand('${this.escapeHtml(entityId)}', 'resume')">Resume</button>
+                    <button onclick="uiManager.animatorCommand('${this.escapeHtml(entityId)}', 'stop')">Stop</button>
                 </div>
             `;
         }
         
-        html += `
-                </div>
-            </div>
-        `;
-        
-        return html;
+        return '';
+    }
+
+    /**
+     * Escape text for use in inspector HTML
+     */
+    escapeHtml(text) {
+        return String(text === undefined || text === null ? '' : text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
     }
 
     /**
@@ -796,9 +1573,8 @@ class UIManager {
                     const axis = axes[index];
                     const value = parseFloat(input.value);
                     
-                    if (object.mesh) {
-                        object.mesh.position[axis] = value;
-                        object.properties.position[axis] = value;
+                    if (!isNaN(value)) {
+                        this.editorCore.setObjectProperty(object.id, `position.${axis}`, value);
                     }
                 });
             }
@@ -812,9 +1588,8 @@ class UIManager {
                     const axis = axes[index];
                     const value = parseFloat(input.value) * Math.PI / 180; // Convert to radians
                     
-                    if (object.mesh) {
-                        object.mesh.rotation[axis] = value;
-                        object.properties.rotation[axis] = value;
+                    if (!isNaN(value)) {
+                        this.editorCore.setObjectProperty(object.id, `rotation.${axis}`, value);
                     }
                 });
             }
@@ -827,7 +1602,19 @@ class UIManager {
                 let size = parseFloat(sizeInput.value);
                 if (isNaN(size) || size <= 0) size = 0.01;
                 sizeInput.value = size;
-                this.editorCore.sceneManager.setObjectUniformSize(object.id, size);
+                this.editorCore.setObjectProperty(object.id, 'size', size);
+            });
+        }
+
+        // Layer input, used by the layer masks of raycasts and overlap queries
+        const layerInput = document.getElementById('layer-input');
+        if (layerInput) {
+            layerInput.addEventListener('change', () => {
+                let layer = parseInt(layerInput.value, 10);
+                if (isNaN(layer)) layer = 0;
+                layer = Math.min(31, Math.max(0, layer));
+                layerInput.value = layer;
+                this.editorCore.setObjectProperty(object.id, 'layer', layer);
             });
         }
 
@@ -858,34 +1645,10 @@ class UIManager {
      */
     addComponentToObject(entityId, componentName) {
         try {
-            let componentData = {};
-            
-            // Set default data based on component type
-            if (componentName === 'Script') {
-                componentData = {
-                    scriptName: 'New Script',
-                    scriptCode: '// New script\nfunction start() {\n    console.log("Script started");\n}\n\nfunction update() {\n    // Update logic here\n}',
-                    enabled: true,
-                    variables: {}
-                };
-            } else if (componentName === 'Light') {
-                componentData = {
-                    type: 'point',
-                    color: 0xffffff,
-                    intensity: 1,
-                    castShadow: true
-                };
-            } else if (componentName === 'Collider') {
-                componentData = {
-                    type: 'box',
-                    size: { x: 1, y: 1, z: 1 },
-                    offset: { x: 0, y: 0, z: 0 },
-                    isTrigger: false,
-                    enabled: true
-                };
-            }
+            // New components start from the defaults in their schema
+            const componentData = this.editorCore.componentSystem.getDefaultComponentData(componentName);
             
-            this.editorCore.componentSystem.addComponent(entityId, componentName, componentData);
+            this.editorCore.addComponent(entityId, componentName, componentData);
             
             // Update inspector
             const object = this.editorCore.sceneManager.objects.get(entityId);
@@ -903,13 +1666,13 @@ class UIManager {
      */
     removeComponent(entityId, componentName) {
         try {
-            this.editorCore.componentSystem.removeComponent(entityId, componentName);
+            this.editorCore.removeComponent(entityId, componentName);
             
             // Update inspector
             const object = this.editorCore.sceneManager.objects.get(entityId);
             this.updateInspector(object);
             
-            this.editorCore.showMessage(`Removed ${componentName} component`, 'success');
+            this.editorCore.showMessage(`Removed ${ComponentSystem.getComponentType(componentName)} component`, 'success');
             
         } catch (error) {
             this.editorCore.showMessage(`Failed to remove component: ${error.message}`, 'error');
@@ -917,74 +1680,87 @@ class UIManager {
     }
 
     /**
-     * Update script property
+     * Move a component up or down among the components of its object
      */
-    updateScriptProperty(entityId, property, value) {
-        const scriptComponent = this.editorCore.componentSystem.getComponent(entityId, 'Script');
-        if (scriptComponent) {
-            scriptComponent[property] = value;
-            
-            // If script code changed, recompile
-            if (property === 'scriptCode' || property === 'scriptName') {
-                scriptComponent.compileScript();
-            }
-            
-            this.editorCore.showMessage(`Updated script ${property}`, 'info');
+    moveComponent(entityId, componentKey, index) {
+        if (this.editorCore.moveComponent(entityId, componentKey, index)) {
+            this.refreshInspector(entityId);
         }
     }
 
     /**
-     * Update light property
+     * Set a component property from the inspector. The value is validated
+     * against the component's schema and the change goes through the history.
      */
-    updateLightProperty(entityId, property, value) {
-        const lightComponent = this.editorCore.componentSystem.getComponent(entityId, 'Light');
-        if (lightComponent) {
-            if (property === 'type') {
-                lightComponent.setType(value);
-            } else if (property === 'color') {
-                lightComponent.setColor(value);
-            } else if (property === 'intensity') {
-                lightComponent.setIntensity(value);
+    updateComponentProperty(entityId, componentName, property, value) {
+        try {
+            if (this.editorCore.setComponentProperty(entityId, componentName, property, value)) {
+                this.editorCore.showMessage(`Updated ${ComponentSystem.getComponentType(componentName)} ${property}`, 'info');
             } else {
-                lightComponent[property] = value;
-                lightComponent.update();
+                // Nothing changed (e.g. the value was clamped to the current one); show the stored value again
+                this.refreshInspector(entityId);
             }
-            
-            this.editorCore.showMessage(`Updated light ${property}`, 'info');
+        } catch (error) {
+            this.editorCore.showMessage(error.message, 'error');
+            this.refreshInspector(entityId);
         }
     }
 
     /**
-     * Update collider property
+     * Set one component (x, y, z, ...) of a vector property from the inspector
      */
-    updateColliderProperty(entityId, property, value) {
-        const colliderComponent = this.editorCore.componentSystem.getComponent(entityId, 'Collider');
-        if (colliderComponent) {
-            colliderComponent[property] = value;
+    updateComponentVector(entityId, componentName, property, axis, value) {
+        const componentSystem = this.editorCore.componentSystem;
+        const component = componentSystem.getComponent(entityId, componentName);
+        if (!component) return;
+        
+        // Variables that were never set start from their default
+        const field = componentSystem.getPropertySchema(component.componentName, property, component);
+        const vector = Object.assign({}, field && field.default, ComponentSystem.getPropertyValue(component, property), { [axis]: value });
+        this.updateComponentProperty(entityId, componentName, property, vector);
+    }
+
+    /**
+     * Play an animator clip from the inspector (previews the clip in edit mode)
+     */
+    playAnimatorClip(entityId, clipIndex) {
+        const animator = this.editorCore.componentSystem.getComponent(entityId, 'Animator');
+        const clip = animator ? animator.getClips()[clipIndex] : null;
+        if (clip) {
+            animator.play(clip.name);
             
-            // Recreate collider if type changed
-            if (property === 'type') {
-                colliderComponent.destroy();
-                colliderComponent.createCollider();
-            }
+            const object = this.editorCore.sceneManager.objects.get(entityId);
+            this.updateInspector(object);
+        }
+    }
+
+    /**
+     * Run an animator playback command (pause, resume, stop) from the inspector
+     */
+    animatorCommand(entityId, command) {
+        const animator = this.editorCore.componentSystem.getComponent(entityId, 'Animator');
+        if (animator && typeof animator[command] === 'function') {
+            animator[command]();
             
-            this.editorCore.showMessage(`Updated collider ${property}`, 'info');
+            const object = this.editorCore.sceneManager.objects.get(entityId);
+            this.updateInspector(object);
         }
     }
 
     /**
-     * Load script template
+     * Load a script template into a Script component
+     * @param {string} entityId - The object
+     * @param {string} componentKey - Key of the Script component
+     * @param {string} templateName - Template picked in the inspector
      */
-    loadScriptTemplate(entityId) {
-        const templateSelect = document.getElementById('script-template-select');
-        if (!templateSelect || !templateSelect.value) return;
+    loadScriptTemplate(entityId, componentKey, templateName) {
+        if (!templateName) return;
         
-        const templateName = templateSelect.value;
         const templateCode = this.editorCore.componentSystem.getScriptTemplate(templateName);
         
         if (templateCode) {
-            this.updateScriptProperty(entityId, 'scriptName', templateName);
-            this.updateScriptProperty(entityId, 'scriptCode', templateCode);
+            this.updateComponentProperty(entityId, componentKey, 'scriptName', templateName);
+            this.updateComponentProperty(entityId, componentKey, 'scriptCode', templateCode);
             
             // Update inspector to show new code
             const object = this.editorCore.sceneManager.objects.get(entityId);
@@ -994,10 +1770,24 @@ class UIManager {
         }
     }
 
+    /**
+     * Re-render the inspector if it shows the given object
+     */
+    refreshInspector(objectId) {
+        if (this.inspectedObjectId !== objectId) return;
+        
+        const object = this.editorCore.sceneManager.objects.get(objectId);
+        if (object) {
+            this.updateInspector(object);
+        }
+    }
+
     /**
      * Clear inspector
      */
     clearInspector() {
+        this.inspectedObjectId = null;
+        
         const inspectorContent = document.getElementById('inspector-content');
         if (inspectorContent) {
             inspectorContent.innerHTML = '<p>Select an object to view its properties</p>';
@@ -1009,6 +1799,7 @@ class UIManager {
      */
     setupHierarchy() {
         this.updateHierarchy();
+        this.setupHierarchyDragAndDrop();
 
         // Add double-click event listener to hierarchy list for framing
         const hierarchyTree = document.getElementById('hierarchy-list');
@@ -1047,20 +1838,190 @@ class UIManager {
             </div>
         `;
         
-        // Add all objects
-        const objects = Array.from(this.editorCore.sceneManager.objects.values());
-        objects.forEach(object => {
-            const isSelected = this.editorCore.sceneManager.selectedObjects.has(object.id);
+        html += this.renderHierarchyItems(null, 1);
+        
+        hierarchyTree.innerHTML = html;
+    }
+
+    /**
+     * Build the tree items for the children of an object, recursing into expanded ones
+     * @param {string|null} parentId - Parent object ID, or null for top-level objects
+     * @param {number} depth - Indentation level
+     * @returns {string} HTML for the items
+     */
+    renderHierarchyItems(parentId, depth) {
+        const sceneManager = this.editorCore.sceneManager;
+        let html = '';
+        
+        sceneManager.getChildren(parentId).forEach(object => {
+            const isSelected = sceneManager.selectedObjects.has(object.id);
+            const hasChildren = sceneManager.getChildren(object.id).length > 0;
+            const isCollapsed = this.collapsedHierarchyItems.has(object.id);
+            const toggle = hasChildren
+                ? `<button class="tree-toggle" onclick="uiManager.toggleHierarchyItem('${this.escapeHtml(object.id)}', event)" title="${isCollapsed ? 'Expand' : 'Collapse'}">${isCollapsed ? '▸' : '▾'}</button>`
+                : '<span class="tree-toggle"></span>';
             html += `
-                <div class="tree-item ${isSelected ? 'selected' : ''}" data-object-id="${object.id}">
+                <div class="tree-item ${isSelected ? 'selected' : ''}" data-object-id="${this.escapeHtml(object.id)}" draggable="true" style="padding-left: ${depth * 14}px">
+                    ${toggle}
                     <span class="tree-icon">${this.getObjectIcon(object.type)}</span>
-                    <span class="tree-label" onclick="uiManager.selectObjectFromHierarchy('${object.id}')" ondblclick="uiManager.focusObjectFromHierarchy('${object.id}')">${object.name}</span>
-                    <button class="delete-btn" onclick="uiManager.deleteObject('${object.id}')" title="Delete Object">🗑</button>
+                    <span class="tree-label" onclick="uiManager.selectObjectFromHierarchy('${this.escapeHtml(object.id)}', event)" ondblclick="uiManager.focusObjectFromHierarchy('${this.escapeHtml(object.id)}')">${this.escapeHtml(object.name)}</span>
+                    <button class="delete-btn" onclick="uiManager.deleteObject('${this.escapeHtml(object.id)}')" title="Delete Object">🗑</button>
                 </div>
             `;
+            if (hasChildren && !isCollapsed) {
+                html += this.renderHierarchyItems(object.id, depth + 1);
+            }
         });
         
-        hierarchyTree.innerHTML = html;
+        return html;
+    }
+
+    /**
+     * Expand or collapse an object's children in the hierarchy
+     */
+    toggleHierarchyItem(objectId, event) {
+        if (event) {
+            event.stopPropagation();
+        }
+        
+        if (this.collapsedHierarchyItems.has(objectId)) {
+            this.collapsedHierarchyItems.delete(objectId);
+        } else {
+            this.collapsedHierarchyItems.add(objectId);
+        }
+        this.updateHierarchy();
+    }
+
+    /**
+     * Expand the parents of an object so it is visible in the hierarchy
+     */
+    revealInHierarchy(objectId) {
+        let parent = this.editorCore.sceneManager.getParent(objectId);
+        while (parent) {
+            this.collapsedHierarchyItems.delete(parent.id);
+            parent = this.editorCore.sceneManager.getParent(parent.id);
+        }
+    }
+
+    /**
+     * Let hierarchy items be dragged onto each other to reparent and reorder them.
+     * Dropping on the top or bottom edge of an item places the objects next to it,
+     * dropping on its middle makes them its children, and dropping on the Scene
+     * item moves them to the top level.
+     */
+    setupHierarchyDragAndDrop() {
+        const hierarchyTree = document.getElementById('hierarchy-list');
+        if (!hierarchyTree) return;
+        
+        const clearDropIndicator = () => {
+            hierarchyTree.querySelectorAll('.drop-before, .drop-after, .drop-inside')
+                .forEach(item => item.classList.remove('drop-before', 'drop-after', 'drop-inside'));
+        };
+        
+        hierarchyTree.addEventListener('dragstart', (e) => {
+            const item = e.target.closest && e.target.closest('.tree-item[draggable="true"]');
+            if (!item) return;
+            
+            const sceneManager = this.editorCore.sceneManager;
+            const objectId = item.getAttribute('data-object-id');
+            // Dragging a selected object moves the whole selection
+            const ids = sceneManager.selectedObjects.has(objectId)
+                ? this.getHierarchyOrder().filter(id => sceneManager.selectedObjects.has(id))
+                : [objectId];
+            
+            this.dragState.isDragging = true;
+            this.dragState.dragType = 'hierarchy';
+            this.dragState.dragData = { ids };
+            
+            e.dataTransfer.setData('text/plain', ids.join(','));
+            e.dataTransfer.effectAllowed = 'move';
+            item.classList.add('dragging');
+        });
+        
+        hierarchyTree.addEventListener('dragover', (e) => {
+            if (this.dragState.dragType !== 'hierarchy') return;
+            
+            const drop = this.getHierarchyDropTarget(e);
+            clearDropIndicator();
+            this.dragState.dropTarget = drop;
+            if (!drop) return;
+            
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            drop.item.classList.add(`drop-${drop.position}`);
+        });
+        
+        hierarchyTree.addEventListener('dragleave', (e) => {
+            if (!hierarchyTree.contains(e.relatedTarget)) {
+                clearDropIndicator();
+            }
+        });
+        
+        hierarchyTree.addEventListener('drop', (e) => {
+            if (this.dragState.dragType !== 'hierarchy') return;
+            e.preventDefault();
+            clearDropIndicator();
+            
+            const drop = this.getHierarchyDropTarget(e);
+            if (!drop) return;
+            
+            const sceneManager = this.editorCore.sceneManager;
+            const ids = this.dragState.dragData.ids;
+            if (drop.objectId === 'scene') {
+                this.editorCore.moveObjects(ids, null);
+            } else if (drop.position === 'inside') {
+                this.collapsedHierarchyItems.delete(drop.objectId);
+                this.editorCore.moveObjects(ids, drop.objectId);
+            } else {
+                const target = sceneManager.objects.get(drop.objectId);
+                const parentId = target.parentId || null;
+                let beforeId = drop.objectId;
+                if (drop.position === 'after') {
+                    const siblings = sceneManager.getChildren(parentId).map(object => object.id)
+                        .filter(id => id === drop.objectId || !ids.includes(id));
+                    beforeId = siblings[siblings.indexOf(drop.objectId) + 1] || null;
+                }
+                this.editorCore.moveObjects(ids, parentId, beforeId);
+            }
+        });
+        
+        hierarchyTree.addEventListener('dragend', () => {
+            clearDropIndicator();
+            hierarchyTree.querySelectorAll('.tree-item.dragging')
+                .forEach(item => item.classList.remove('dragging'));
+            this.dragState.isDragging = false;
+            this.dragState.dragType = null;
+            this.dragState.dragData = null;
+            this.dragState.dropTarget = null;
+        });
+    }
+
+    /**
+     * Work out where dragged hierarchy items would land
+     * @param {DragEvent} event - Drag event over the hierarchy list
+     * @returns {Object|null} `{ item, objectId, position }` with position 'before',
+     *   'after' or 'inside', or null if the items cannot be dropped there
+     */
+    getHierarchyDropTarget(event) {
+        const item = event.target.closest && event.target.closest('.tree-item[data-object-id]');
+        if (!item) return null;
+        
+        const objectId = item.getAttribute('data-object-id');
+        if (objectId === 'scene') {
+            return { item, objectId, position: 'inside' };
+        }
+        
+        // An object cannot be dropped onto itself or one of its own children
+        const sceneManager = this.editorCore.sceneManager;
+        const ids = this.dragState.dragData.ids;
+        if (ids.some(id => id === objectId || sceneManager.isDescendantOf(objectId, id))) {
+            return null;
+        }
+        
+        const rect = item.getBoundingClientRect();
+        const offset = (event.clientY - rect.top) / rect.height;
+        const position = offset < 0.25 ? 'before' : offset > 0.75 ? 'after' : 'inside';
+        return { item, objectId, position };
     }
 
     /**
@@ -1080,10 +2041,38 @@ class UIManager {
     }
 
     /**
-     * Select object from hierarchy
+     * Select object from hierarchy. Shift+click selects the range from the
+     * last clicked object, Ctrl/Cmd+click toggles the object.
      */
-    selectObjectFromHierarchy(objectId) {
-        this.editorCore.sceneManager.selectObject(objectId);
+    selectObjectFromHierarchy(objectId, event) {
+        const sceneManager = this.editorCore.sceneManager;
+        const toggle = event && (event.ctrlKey || event.metaKey);
+        
+        if (event && event.shiftKey && this.hierarchyAnchorId && sceneManager.objects.has(this.hierarchyAnchorId)) {
+            const order = this.getHierarchyOrder();
+            const from = order.indexOf(this.hierarchyAnchorId);
+            const to = order.indexOf(objectId);
+            if (from !== -1 && to !== -1) {
+                const range = order.slice(Math.min(from, to), Math.max(from, to) + 1);
+                // Keep the clicked object last so it becomes the active one
+                range.splice(range.indexOf(objectId), 1);
+                range.push(objectId);
+                sceneManager.selectObjects(range, toggle ? 'add' : 'replace');
+                return;
+            }
+        }
+        
+        sceneManager.selectObject(objectId, toggle ? 'toggle' : 'replace');
+        this.hierarchyAnchorId = objectId;
+    }
+
+    /**
+     * Object IDs in the order they are listed in the hierarchy
+     */
+    getHierarchyOrder() {
+        return Array.from(document.querySelectorAll('#hierarchy-list .tree-item[data-object-id]'))
+            .map(item => item.getAttribute('data-object-id'))
+            .filter(id => id !== 'scene');
     }
 
     /**
@@ -1098,7 +2087,7 @@ class UIManager {
     
     deleteObject(objectId) {
         if (confirm('Are you sure you want to delete this object?')) {
-            this.editorCore.sceneManager.removeObject(objectId);
+            this.editorCore.deleteObjects([objectId]);
         }
     }
 
@@ -1328,10 +2317,18 @@ class UIManager {
      */
     initializeViewportButtonStates() {
         const gridToggleBtn = document.getElementById('grid-toggle');
+        const snapToggleBtn = document.getElementById('snap-toggle');
+        const surfaceSnapToggleBtn = document.getElementById('surface-snap-toggle');
 
         if (gridToggleBtn) {
             gridToggleBtn.classList.toggle('active', this.editorCore.sceneManager.settings.showGrid);
         }
+        if (snapToggleBtn) {
+            snapToggleBtn.classList.toggle('active', this.editorCore.sceneManager.settings.snapEnabled);
+        }
+        if (surfaceSnapToggleBtn) {
+            surfaceSnapToggleBtn.classList.toggle('active', this.editorCore.sceneManager.settings.surfaceSnap);
+        }
     }
 
     /**